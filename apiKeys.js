@@ -0,0 +1,80 @@
+import fs from 'fs';
+import crypto from 'crypto';
+
+export function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * API keys for clients embedding the chatbot
+ *
+ * Each key has a name and optional limits:
+ *
+ *     { "name": "acme-widget", "keyHash": "<sha256 of the key>", "sites": ["acme"],
+ *       "requestsPerMinute": 120, "dailyTokenQuota": 500000 }
+ *
+ * `key` may be given in plain text instead of `keyHash`. Only hashes are
+ * kept in memory; lookups hash the presented key.
+ */
+export class ApiKeyStore {
+    constructor(entries = []) {
+        this.keys = new Map();
+
+        for (const entry of entries) {
+            const keyHash = entry.keyHash || (entry.key && hashApiKey(entry.key));
+            if (!entry.name || !keyHash) {
+                throw new Error('Every API key needs a name and a key or keyHash');
+            }
+
+            const { key, ...rest } = entry;
+            this.keys.set(keyHash.toLowerCase(), { ...rest, keyHash: keyHash.toLowerCase() });
+        }
+    }
+
+    size() {
+        return this.keys.size;
+    }
+
+    /**
+     * Find the client a presented key belongs to, or null
+     */
+    authenticate(key) {
+        if (!key) return null;
+        return this.keys.get(hashApiKey(key)) || null;
+    }
+
+    /**
+     * Whether a key may be used for a site (keys without `sites` work everywhere)
+     */
+    allowsSite(client, siteId) {
+        return !client.sites || client.sites.includes(siteId);
+    }
+}
+
+/**
+ * Load API keys from a JSON file (`{ "keys": [...] }`) and/or
+ * `API_KEYS="name:key,name2:key2"`
+ */
+export function loadApiKeys({ filePath = null, env = process.env } = {}) {
+    const entries = [];
+
+    if (filePath) {
+        try {
+            entries.push(...JSON.parse(fs.readFileSync(filePath, 'utf-8')).keys);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new Error(`Error loading API keys ${filePath}: ${error.message}`);
+            }
+        }
+    }
+
+    for (const pair of (env.API_KEYS || '').split(',').map(item => item.trim()).filter(Boolean)) {
+        const separator = pair.indexOf(':');
+        if (separator <= 0) {
+            throw new Error('API_KEYS entries must look like name:key');
+        }
+        entries.push({ name: pair.slice(0, separator), key: pair.slice(separator + 1) });
+    }
+
+    return new ApiKeyStore(entries);
+}
@@ -0,0 +1,119 @@
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { SitemapParser } from './sitemapParser.js';
+import { WebScraper } from './webScraper.js';
+import { ContentIndex } from './contentIndex.js';
+import { ContentIndexer } from './contentIndexer.js';
+import { ProductCatalog } from './productCatalog.js';
+import { VectorStore } from './vectorStore.js';
+import { createEmbeddingProvider } from './embeddings.js';
+import { loadSiteConfigs } from './siteConfig.js';
+import { FetchPolicy, fetchPolicyOptionsFromEnv } from './fetchPolicy.js';
+import { logger } from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+logger.configure({
+    level: process.env.LOG_LEVEL || 'info',
+    format: process.env.LOG_FORMAT || 'pretty',
+    redact: process.env.REDACT_PII !== 'false'
+});
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Usage: node buildIndex.js [--site <id>] [--full] [--no-crawl] [--no-vectors] [--no-products]
+const full = process.argv.includes('--full');
+const crawl = !process.argv.includes('--no-crawl');
+const vectors = !process.argv.includes('--no-vectors');
+const products = !process.argv.includes('--no-products');
+const siteId = process.argv.includes('--site') ? process.argv[process.argv.indexOf('--site') + 1] : null;
+
+const { sites } = loadSiteConfigs(process.env.SITES_CONFIG || path.join(__dirname, 'sites.json'), {
+    rootDir: __dirname
+});
+const selectedSites = siteId ? sites.filter(site => site.id === siteId) : sites;
+
+if (selectedSites.length === 0) {
+    console.error(`Unknown site: ${siteId}`);
+    process.exit(1);
+}
+
+const embeddingProvider = createEmbeddingProvider({
+    type: process.env.EMBEDDING_PROVIDER || 'local',
+    apiUrl: process.env.EMBEDDING_API_URL,
+    apiKey: process.env.EMBEDDING_API_KEY,
+    model: process.env.EMBEDDING_MODEL
+});
+
+/**
+ * Build the content index, product catalog and vectors for one site
+ */
+async function buildSite(site) {
+    console.log(`\n🌍 Building indexes for ${site.id} (${site.baseUrl})`);
+
+    const fetchPolicy = new FetchPolicy({ allowedDomains: site.allowedDomains, ...fetchPolicyOptionsFromEnv() });
+    const sitemapParser = new SitemapParser(site.sitemapDir, {
+        sitemapUrl: site.sitemapUrl,
+        baseUrl: site.baseUrl,
+        fetchPolicy
+    });
+    await sitemapParser.loadSitemaps();
+
+    const contentIndex = new ContentIndex(site.contentIndexPath);
+    if (!full) {
+        contentIndex.load();
+    }
+
+    const webScraper = new WebScraper({
+        fetchPolicy,
+        selectors: { content: site.contentSelectors, noise: site.noiseSelectors }
+    });
+
+    if (crawl) {
+        const indexer = new ContentIndexer(sitemapParser, webScraper, contentIndex);
+        await indexer.build({ full });
+    }
+
+    if (products) {
+        const productCatalog = new ProductCatalog(site.productCatalogPath);
+        if (!full) {
+            productCatalog.load();
+        }
+
+        const productUrls = sitemapParser.getAllUrls().filter(urlData => urlData.category === 'product');
+        console.log(`🏷️  Extracting pricing from ${productUrls.length} product pages`);
+        const stats = await productCatalog.update(productUrls, url => webScraper.fetchProductData(url));
+        productCatalog.save();
+        console.log(`✅ Product catalog: ${stats.extracted} extracted, ${stats.skipped} unchanged, ${stats.failed} failed`);
+    }
+
+    if (vectors) {
+        const vectorStore = new VectorStore(site.vectorStorePath);
+        if (!full) {
+            vectorStore.load();
+        }
+
+        // Embed the crawled text when available, otherwise just what the sitemap tells us
+        const getText = (urlData) => {
+            const page = contentIndex.pages[urlData.url];
+            if (!page) {
+                return `${urlData.title}. ${urlData.keywords}`;
+            }
+
+            const passages = page.passageIds.map(id => contentIndex.passages[id]);
+            const headings = [...new Set(passages.map(passage => passage.heading).filter(Boolean))];
+            const body = passages.map(passage => passage.text).join(' ').split(' ').slice(0, 300).join(' ');
+
+            return [page.title, page.description, headings.join('. '), body].filter(Boolean).join('\n');
+        };
+
+        await vectorStore.sync(sitemapParser.getAllUrls(), embeddingProvider, getText);
+    }
+}
+
+for (const site of selectedSites) {
+    await buildSite(site);
+}
@@ -0,0 +1,174 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+// Fields that change on every run and must not affect request matching
+const VOLATILE_KEYS = new Set(['fetchedAt', 'indexedAt']);
+
+// A tool result as the guardrails hand it to the model: JSON inside <untrusted_data> tags
+const UNTRUSTED_PATTERN = /^<untrusted_data source="([^"]*)">\n([\s\S]*)\n<\/untrusted_data>$/;
+
+/**
+ * JSON.stringify with sorted keys, so equal objects always hash the same
+ */
+export function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Drop volatile keys, including inside JSON-encoded strings such as tool
+ * results, whether or not they are wrapped as untrusted data
+ */
+function stripVolatile(value) {
+    const untrusted = typeof value === 'string' && value.match(UNTRUSTED_PATTERN);
+    if (untrusted) {
+        return { untrusted_data: untrusted[1], content: stripVolatile(untrusted[2]) };
+    }
+    if (typeof value === 'string' && /^[[{]/.test(value)) {
+        try {
+            return stripVolatile(JSON.parse(value));
+        } catch (error) {
+            return value;
+        }
+    }
+    if (Array.isArray(value)) {
+        return value.map(stripVolatile);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value)
+                .filter(([key]) => !VOLATILE_KEYS.has(key))
+                .map(([key, item]) => [key, stripVolatile(item)])
+        );
+    }
+    return value;
+}
+
+export function hashRequest(kind, request) {
+    return crypto.createHash('sha256')
+        .update(`${kind}:${stableStringify(stripVolatile(request))}`)
+        .digest('hex')
+        .slice(0, 32);
+}
+
+/**
+ * Error thrown in replay mode when no recording matches a request
+ */
+export class CassetteMissError extends Error {
+    constructor(kind, hash) {
+        super(`No recorded ${kind} interaction matches request ${hash} (record it with CASSETTE_MODE=record)`);
+        this.name = 'CassetteMissError';
+        this.retryable = false;
+        this.kind = kind;
+        this.hash = hash;
+    }
+}
+
+/**
+ * A file of recorded request/response pairs, matched by request hash
+ *
+ * In `record` mode every call goes through and its response is saved; in
+ * `replay` mode responses are served from the file and nothing touches the
+ * network.
+ */
+export class Cassette {
+    constructor(filePath, mode = 'replay') {
+        if (!['record', 'replay'].includes(mode)) {
+            throw new Error(`Unknown cassette mode: ${mode}`);
+        }
+
+        this.filePath = filePath;
+        this.mode = mode;
+        this.interactions = {};
+
+        try {
+            this.interactions = JSON.parse(fs.readFileSync(filePath, 'utf-8')).interactions;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error loading cassette ${filePath}:`, { error });
+            }
+            if (mode === 'replay') {
+                logger.warn(`⚠️  Cassette ${filePath} is empty, every request will miss`);
+            }
+        }
+    }
+
+    /**
+     * Serve a recorded response, or call `perform` and record its result
+     */
+    async wrap(kind, request, perform) {
+        const hash = hashRequest(kind, request);
+
+        if (this.mode === 'replay') {
+            const interaction = this.interactions[hash];
+            if (!interaction) {
+                throw new CassetteMissError(kind, hash);
+            }
+            logger.info(`📼 Replaying ${kind} ${hash}`);
+            return interaction.response;
+        }
+
+        const response = await perform();
+        this.interactions[hash] = { kind, request, response, recordedAt: new Date().toISOString() };
+        this.save();
+        logger.info(`📼 Recorded ${kind} ${hash}`);
+        return response;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        fs.writeFileSync(this.filePath, JSON.stringify({ version: 1, interactions: this.interactions }, null, 2));
+    }
+}
+
+/**
+ * Wrap an LLM provider so its completions are recorded to or replayed from a cassette
+ *
+ * Streaming requests are recorded as the assembled completion; on replay the
+ * content is sent to `onToken` in one piece.
+ */
+export class RecordingLLMProvider {
+    constructor(provider, cassette) {
+        this.provider = provider;
+        this.cassette = cassette;
+    }
+
+    get name() {
+        return this.provider.name;
+    }
+
+    get id() {
+        return this.provider.id;
+    }
+
+    get model() {
+        return this.provider.model;
+    }
+
+    async complete({ messages, tools, onToken = null, signal }) {
+        const request = { provider: this.provider.id, messages, tools };
+        let replayed = true;
+
+        const completion = await this.cassette.wrap('llm', request, () => {
+            replayed = false;
+            return this.provider.complete({ messages, tools, onToken, signal });
+        });
+
+        const content = completion.choices[0].message.content;
+        if (replayed && onToken && content) {
+            onToken(content);
+        }
+
+        return completion;
+    }
+}
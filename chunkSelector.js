@@ -0,0 +1,160 @@
+import { tokenize } from './contentIndex.js';
+import { markdownToText } from './pageExtractor.js';
+
+/**
+ * Rough token estimate (~4 characters per token), good enough for budgeting
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function countWords(text) {
+    return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Break a Markdown block that is too long into pieces of at most `maxWords`
+ *
+ * Tables are split between rows with the header repeated, lists and code
+ * between lines, and anything still too long between words.
+ */
+function splitBlock(block, maxWords) {
+    if (countWords(block) <= maxWords) return [block];
+
+    const lines = block.split('\n');
+    const isTable = lines.length > 2 && lines[0].startsWith('|') && /^\|[\s|:-]+\|$/.test(lines[1]);
+    const header = isTable ? lines.slice(0, 2) : [];
+    const rows = isTable ? lines.slice(2) : lines;
+
+    if (rows.length === 1) {
+        const words = rows[0].split(' ');
+        const pieces = [];
+        for (let i = 0; i < words.length; i += maxWords) {
+            pieces.push(words.slice(i, i + maxWords).join(' '));
+        }
+        return pieces;
+    }
+
+    const pieces = [];
+    let current = [];
+    for (const row of rows) {
+        if (current.length > 0 && countWords([...header, ...current, row].join('\n')) > maxWords) {
+            pieces.push([...header, ...current].join('\n'));
+            current = [];
+        }
+        current.push(row);
+    }
+    pieces.push([...header, ...current].join('\n'));
+
+    return pieces.flatMap(piece => (!isTable && countWords(piece) > maxWords ? splitBlock(piece.replace(/\n/g, ' '), maxWords) : [piece]));
+}
+
+/**
+ * Split long sections into chunks of at most `maxWords` words, keeping the heading
+ *
+ * Sections are Markdown, so chunks break between blocks (paragraphs, lists,
+ * tables) where possible, keeping a table's rows together with its header.
+ */
+export function chunkSections(sections, maxWords = 180) {
+    const chunks = [];
+
+    sections.forEach(section => {
+        const pieces = section.text.split(/\n{2,}/).flatMap(block => splitBlock(block, maxWords));
+        let current = [];
+
+        const push = () => {
+            if (current.length === 0) return;
+            chunks.push({ heading: section.heading, level: section.level, text: current.join('\n\n') });
+            current = [];
+        };
+
+        for (const piece of pieces) {
+            if (current.length > 0 && countWords([...current, piece].join(' ')) > maxWords) push();
+            current.push(piece);
+        }
+        push();
+    });
+
+    return chunks;
+}
+
+/**
+ * Pick the page sections most relevant to a query within a token budget
+ *
+ * Chunks from all requested pages compete for the same budget. They are
+ * scored with BM25 against the query (heading matches count double), with a
+ * small bonus for appearing early on the page. Each page first gets its best
+ * chunk, then remaining budget goes to the highest-scoring chunks overall.
+ * Selected chunks are returned in page order as Markdown `content`.
+ */
+export function selectChunks(pages, query, { tokenBudget = 3000, maxWords = 180, k1 = 1.2, b = 0.75 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+
+    const chunks = [];
+    pages.forEach((page, pageIndex) => {
+        chunkSections(page.sections || [], maxWords).forEach((chunk, position) => {
+            const headingTerms = tokenize(chunk.heading);
+            // Link targets and table markup would count as terms
+            const bodyTerms = tokenize(markdownToText(chunk.text));
+            chunks.push({
+                ...chunk,
+                pageIndex,
+                position,
+                terms: [...headingTerms, ...headingTerms, ...bodyTerms],
+                tokens: estimateTokens(`${chunk.heading}\n${chunk.text}`)
+            });
+        });
+    });
+
+    // BM25 over the candidate chunks
+    const averageLength = chunks.reduce((sum, chunk) => sum + chunk.terms.length, 0) / (chunks.length || 1) || 1;
+    const documentFrequency = Object.fromEntries(terms.map(term => [
+        term,
+        chunks.filter(chunk => chunk.terms.includes(term)).length
+    ]));
+
+    chunks.forEach(chunk => {
+        let score = 0;
+        for (const term of terms) {
+            const tf = chunk.terms.filter(t => t === term).length;
+            if (!tf) continue;
+            const idf = Math.log(1 + (chunks.length - documentFrequency[term] + 0.5) / (documentFrequency[term] + 0.5));
+            score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * chunk.terms.length / averageLength));
+        }
+        chunk.score = score + 0.05 / (chunk.position + 1);
+    });
+
+    const ranked = [...chunks].sort((a, c) => c.score - a.score || a.position - c.position);
+    const selected = new Set();
+    let used = 0;
+
+    const take = (chunk) => {
+        if (selected.has(chunk) || used + chunk.tokens > tokenBudget) return;
+        selected.add(chunk);
+        used += chunk.tokens;
+    };
+
+    // Best chunk of every page first, so no requested page comes back empty
+    pages.forEach((page, pageIndex) => {
+        const best = ranked.find(chunk => chunk.pageIndex === pageIndex);
+        if (best) take(best);
+    });
+    ranked.forEach(take);
+
+    return pages.map((page, pageIndex) => {
+        if (page.error) return page;
+
+        const pageChunks = chunks.filter(chunk => chunk.pageIndex === pageIndex);
+        const kept = pageChunks.filter(chunk => selected.has(chunk));
+        const { sections, ...rest } = page;
+
+        return {
+            ...rest,
+            content: kept
+                .map(chunk => (chunk.heading ? `${'#'.repeat(chunk.level || 2)} ${chunk.heading}\n${chunk.text}` : chunk.text))
+                .join('\n\n'),
+            sectionsIncluded: kept.length,
+            sectionsTotal: pageChunks.length
+        };
+    });
+}
@@ -0,0 +1,316 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import readline from 'readline';
+
+const HISTORY_SIZE = 500;
+
+const HELP = `Commands:
+  /sources          Sources of the last answer (✓ = cited)
+  /search <query>   Search the site, as the search_website_urls tool does
+  /fetch <url>      Fetch a page and show what the chatbot would read
+  /trace            Tool calls, guardrails and usage of the last turn
+  /model [id]       List the LLM providers, or make one the primary
+  /site [id]        List the sites, or switch to another (starts a new conversation)
+  /reset            Start a new conversation
+  /help             Show this help
+  /exit             Quit (or Ctrl+D)
+Anything else is sent to the chatbot.`;
+
+function loadHistory(filePath) {
+    try {
+        return fs.readFileSync(filePath, 'utf-8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE);
+    } catch (error) {
+        return [];
+    }
+}
+
+function saveHistory(filePath, history) {
+    try {
+        fs.writeFileSync(filePath, `${[...history].reverse().join('\n')}\n`);
+    } catch (error) {
+        // History is a convenience; a read-only home directory shouldn't stop the REPL
+    }
+}
+
+/**
+ * One line per tool call of a turn, e.g. `search_website_urls {"query":"ssl"} → 5 results (12 ms)`
+ */
+function formatToolCall(call) {
+    const outcome = call.error ? `❌ ${call.error}` : `${call.count} result${call.count === 1 ? '' : 's'}`;
+    return `${call.tool} ${JSON.stringify(call.args || {})} → ${outcome} (${call.durationMs} ms)`;
+}
+
+/**
+ * What the CLI prints and the batch mode writes for an answer
+ */
+function describeAnswer(site, answer) {
+    const turn = answer.turnId ? site.transcriptStore.get(answer.turnId) : null;
+
+    return {
+        response: answer.response,
+        sources: answer.sources.map(({ id, url, title, cited }) => ({ id, url, title, cited })),
+        uncited: answer.uncited,
+        guardrails: answer.guardrails || [],
+        supportRequest: answer.supportRequest ? answer.supportRequest.id : null,
+        toolCalls: turn ? turn.toolCalls : [],
+        usage: answer.usage,
+        turnId: answer.turnId || null,
+        error: (turn && turn.error) || null
+    };
+}
+
+/**
+ * Interactive chat in the terminal, with line history and inspection commands
+ *
+ * `sites` is the map of loaded sites; the REPL starts on `site`. Input
+ * history is kept in `historyFile` between runs. Resolves when the visitor
+ * quits.
+ */
+export function startRepl(sites, site, {
+    historyFile = path.join(os.homedir(), '.site-chatbot-history'),
+    input = process.stdin,
+    output = process.stdout
+} = {}) {
+    const print = (text = '') => output.write(`${text}\n`);
+    const state = { site, sessionId: `cli-${crypto.randomUUID()}`, last: null };
+
+    const rl = readline.createInterface({
+        input,
+        output,
+        prompt: `${site.id}> `,
+        history: loadHistory(historyFile),
+        historySize: HISTORY_SIZE,
+        removeHistoryDuplicates: true
+    });
+    rl.on('history', history => saveHistory(historyFile, history));
+
+    const commands = {
+        help: () => print(HELP),
+
+        sources: () => {
+            if (!state.last || state.last.sources.length === 0) {
+                print('No sources yet. Ask a question first.');
+                return;
+            }
+            state.last.sources.forEach(source => {
+                print(`  ${source.cited ? '✓' : ' '} [${source.id}] ${source.title} - ${source.url}`);
+            });
+        },
+
+        search: (query) => {
+            if (!query) {
+                print('Usage: /search <query>');
+                return;
+            }
+            const results = state.site.chatbot.searchUrls(query, 10);
+            if (results.length === 0) {
+                print('No matching pages.');
+            }
+            results.forEach((result, index) => {
+                print(`  ${index + 1}. ${result.title} - ${result.url}`);
+                if (result.snippet) print(`     ${result.snippet}`);
+            });
+        },
+
+        fetch: async (url) => {
+            if (!url) {
+                print('Usage: /fetch <url>');
+                return;
+            }
+            const page = await state.site.webScraper.fetchPageContent(new URL(url, state.site.config.baseUrl).href);
+            print(`  ${page.title || '(no title)'} - ${page.url}`);
+            if (page.description) print(`  ${page.description}`);
+            print(`  ${page.sections.length} section${page.sections.length === 1 ? '' : 's'}, ${page.links.length} internal link${page.links.length === 1 ? '' : 's'}`);
+            page.sections.forEach(section => {
+                const words = section.text.split(/\s+/).filter(Boolean).length;
+                print(`  ${'  '.repeat(Math.max((section.level || 2) - 2, 0))}- ${section.heading || '(intro)'} (${words} words)`);
+            });
+            const kinds = Object.keys(page.structuredData || {});
+            if (kinds.length > 0) print(`  Structured data: ${kinds.join(', ')}`);
+        },
+
+        trace: () => {
+            if (!state.last) {
+                print('No turn yet. Ask a question first.');
+                return;
+            }
+            const { toolCalls, guardrails, usage, error } = state.last;
+            print(`  Turn ${state.last.turnId} in ${state.last.durationMs} ms`);
+            if (toolCalls.length === 0) print('  No tool calls');
+            toolCalls.forEach((call, index) => print(`  ${index + 1}. ${formatToolCall(call)}`));
+            if (guardrails.length > 0) print(`  🛡️  Guardrails: ${guardrails.join(', ')}`);
+            if (usage) print(`  Tokens: ${usage.prompt_tokens} prompt, ${usage.completion_tokens} completion`);
+            if (error) print(`  ❌ ${error}`);
+        },
+
+        model: (id) => {
+            const { chatbot } = state.site;
+            if (id) {
+                const chosen = chatbot.llmProviders.find((provider, index) => provider.id === id || String(index + 1) === id);
+                if (!chosen) {
+                    print(`Unknown model: ${id}`);
+                    return;
+                }
+                chatbot.llmProviders = [chosen, ...chatbot.llmProviders.filter(provider => provider !== chosen)];
+            }
+            chatbot.llmProviders.forEach((provider, index) => {
+                print(`  ${index + 1}. ${provider.id}${index === 0 ? ' (primary)' : ' (fallback)'}`);
+            });
+        },
+
+        site: (id) => {
+            if (id) {
+                if (!sites.has(id)) {
+                    print(`Unknown site: ${id}`);
+                    return;
+                }
+                state.site = sites.get(id);
+                state.sessionId = `cli-${crypto.randomUUID()}`;
+                state.last = null;
+                rl.setPrompt(`${id}> `);
+            }
+            [...sites.values()].forEach(candidate => {
+                print(`  ${candidate === state.site ? '*' : ' '} ${candidate.id} - ${candidate.config.baseUrl}`);
+            });
+        },
+
+        reset: async () => {
+            await state.site.chatbot.resetConversation(state.sessionId);
+            state.sessionId = `cli-${crypto.randomUUID()}`;
+            state.last = null;
+            print('🔄 New conversation');
+        },
+
+        exit: () => rl.close(),
+        quit: () => rl.close()
+    };
+
+    const ask = async (message) => {
+        const startedAt = Date.now();
+        const answer = await state.site.chatbot.chat(message, {
+            sessionId: state.sessionId,
+            onEvent: event => {
+                if (event.type === 'tool_start') print(`  ⏳ ${event.message}`);
+            }
+        });
+
+        state.last = { ...describeAnswer(state.site, answer), durationMs: Date.now() - startedAt };
+        print(`\n🤖 ${answer.response}\n`);
+        state.last.sources.filter(source => source.cited).forEach(source => {
+            print(`   [${source.id}] ${source.title} - ${source.url}`);
+        });
+        if (state.last.supportRequest) print(`   📨 Support request ${state.last.supportRequest}`);
+    };
+
+    const handle = async (line) => {
+        const text = line.trim();
+        if (!text) return;
+
+        // Bare exit, quit and reset still work as in the old CLI
+        const [, name, arg] = text.match(/^\/(\w+)\s*(.*)$/) || (/^(exit|quit|reset)$/i.test(text) ? [null, text.toLowerCase(), ''] : []);
+        if (!name) {
+            await ask(text);
+            return;
+        }
+        if (!commands[name]) {
+            print(`Unknown command: /${name} (type /help)`);
+            return;
+        }
+        await commands[name](arg.trim());
+    };
+
+    print(`\n🎮 Chatting with ${site.config.name} (${site.id}). Type /help for commands.\n`);
+
+    return new Promise(resolve => {
+        // Handle one line at a time, so pasted lines don't interleave their answers
+        let queue = Promise.resolve();
+        let closed = false;
+        rl.on('line', line => {
+            queue = queue
+                .then(() => handle(line))
+                .catch(error => print(`❌ ${error.message}`))
+                .then(() => {
+                    if (!closed) rl.prompt();
+                });
+        });
+        rl.on('close', () => {
+            closed = true;
+            queue.then(() => {
+                print();
+                resolve();
+            });
+        });
+        rl.prompt();
+    });
+}
+
+/**
+ * Parse batch input: one question per line, or a JSON object per line with
+ * `question` and optional `id` and `sessionId`; blank lines and `#` comments are skipped
+ */
+function parseQuestions(text) {
+    // Keep each line's number in the file, for ids and error messages
+    return text.split('\n')
+        .map((line, index) => ({ line: line.trim(), number: index + 1 }))
+        .filter(({ line }) => line && !line.startsWith('#'))
+        .map(({ line, number }) => {
+            let item;
+            try {
+                item = line.startsWith('{') ? JSON.parse(line) : { question: line };
+            } catch (error) {
+                throw new Error(`Line ${number} is not valid JSON: ${error.message}`);
+            }
+            if (!item.question || typeof item.question !== 'string') {
+                throw new Error(`Line ${number} has no question`);
+            }
+            return { id: item.id ?? number, question: item.question, sessionId: item.sessionId || null };
+        });
+}
+
+/**
+ * Answer every question in a file (or stdin, for `-`) and write one JSON
+ * result per line, with the answer, its sources, tool calls and timing
+ *
+ * Each question gets its own conversation unless lines share a `sessionId`.
+ * Resolves to `{ answered, failed }`.
+ */
+export async function runBatch(site, {
+    inputPath = '-',
+    outputPath = null,
+    log = message => process.stderr.write(`${message}\n`)
+} = {}) {
+    const text = inputPath === '-' ? fs.readFileSync(0, 'utf-8') : fs.readFileSync(inputPath, 'utf-8');
+    const questions = parseQuestions(text);
+    const output = outputPath ? fs.createWriteStream(outputPath) : process.stdout;
+    const runId = crypto.randomUUID().slice(0, 8);
+    const startedAt = Date.now();
+    let failed = 0;
+
+    log(`📋 Answering ${questions.length} question${questions.length === 1 ? '' : 's'} for ${site.id}`);
+
+    for (const [index, item] of questions.entries()) {
+        const sessionId = item.sessionId || `batch-${runId}-${index + 1}`;
+        const questionStartedAt = Date.now();
+        let result;
+
+        try {
+            const answer = await site.chatbot.chat(item.question, { sessionId });
+            result = { ...describeAnswer(site, answer), durationMs: Date.now() - questionStartedAt };
+        } catch (error) {
+            result = { response: null, sources: [], error: error.message, durationMs: Date.now() - questionStartedAt };
+        }
+
+        if (result.error) failed++;
+        output.write(`${JSON.stringify({ id: item.id, question: item.question, sessionId, ...result })}\n`);
+        log(`   ${result.error ? '❌' : '✅'} ${item.id} (${result.durationMs} ms)`);
+    }
+
+    if (outputPath) {
+        await new Promise(resolve => output.end(resolve));
+    }
+
+    log(`✅ ${questions.length - failed} answered, ${failed} failed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    return { answered: questions.length - failed, failed };
+}
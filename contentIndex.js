@@ -0,0 +1,286 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import { markdownToText } from './pageExtractor.js';
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from',
+    'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that',
+    'the', 'this', 'to', 'was', 'we', 'what', 'when', 'which', 'who', 'why', 'will', 'with',
+    'you', 'your'
+]);
+
+const FIELDS = ['title', 'headings', 'body'];
+
+/**
+ * Split text into normalized search terms
+ */
+export function tokenize(text) {
+    return (text || '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+/**
+ * Persistent inverted index over page passages with BM25F ranking
+ *
+ * Each passage has three fields (page title, section heading and body text),
+ * scored separately and combined with per-field boosts.
+ */
+export class ContentIndex {
+    constructor(indexPath, options = {}) {
+        this.indexPath = indexPath;
+        this.k1 = options.k1 || 1.2;
+        this.b = options.b ?? 0.75;
+        this.boosts = { title: 3, headings: 2, body: 1, ...options.boosts };
+        this.passageWords = options.passageWords || 150;
+        this.reset();
+    }
+
+    reset() {
+        this.pages = {};
+        this.passages = {};
+        this.postings = {};
+        this.fieldLengthTotals = { title: 0, headings: 0, body: 0 };
+        this.nextId = 1;
+    }
+
+    /**
+     * Load the index from disk, if it has been built
+     */
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.indexPath, 'utf-8'));
+            this.pages = data.pages;
+            this.passages = data.passages;
+            this.postings = data.postings;
+            this.fieldLengthTotals = data.fieldLengthTotals;
+            this.nextId = data.nextId;
+            logger.info(`Loaded content index with ${this.pageCount()} pages and ${this.passageCount()} passages`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error loading content index ${this.indexPath}:`, { error });
+            }
+            this.reset();
+        }
+        return this;
+    }
+
+    /**
+     * Write the index to disk atomically
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.indexPath), { recursive: true });
+
+        const tempPath = `${this.indexPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: 1,
+            pages: this.pages,
+            passages: this.passages,
+            postings: this.postings,
+            fieldLengthTotals: this.fieldLengthTotals,
+            nextId: this.nextId
+        }));
+        fs.renameSync(tempPath, this.indexPath);
+    }
+
+    pageCount() {
+        return Object.keys(this.pages).length;
+    }
+
+    passageCount() {
+        return Object.keys(this.passages).length;
+    }
+
+    isEmpty() {
+        return this.passageCount() === 0;
+    }
+
+    /**
+     * Check whether a page needs (re)indexing based on its sitemap lastmod
+     */
+    needsUpdate(url, lastmod) {
+        const page = this.pages[url];
+        return !page || !lastmod || page.lastmod !== lastmod;
+    }
+
+    /**
+     * Split page sections into passages of at most `passageWords` words
+     *
+     * Passages are plain text: the Markdown of the sections is stripped so
+     * link targets and table markup aren't indexed.
+     */
+    splitPassages(sections) {
+        const passages = [];
+
+        for (const section of sections) {
+            const words = markdownToText(section.text).split(' ');
+            for (let i = 0; i < words.length; i += this.passageWords) {
+                passages.push({
+                    heading: section.heading,
+                    text: words.slice(i, i + this.passageWords).join(' ')
+                });
+            }
+        }
+
+        return passages;
+    }
+
+    /**
+     * Add or replace a page in the index
+     */
+    addPage(urlData, document) {
+        this.removePage(urlData.url);
+
+        const title = document.title || urlData.title;
+        const passageIds = [];
+
+        for (const passage of this.splitPassages(document.sections)) {
+            const id = String(this.nextId++);
+            const fieldTerms = {
+                title: tokenize(title),
+                headings: tokenize(passage.heading),
+                body: tokenize(passage.text)
+            };
+
+            this.passages[id] = {
+                url: urlData.url,
+                heading: passage.heading,
+                text: passage.text,
+                lengths: FIELDS.map(field => fieldTerms[field].length)
+            };
+
+            FIELDS.forEach((field, fieldIndex) => {
+                this.fieldLengthTotals[field] += fieldTerms[field].length;
+
+                for (const term of fieldTerms[field]) {
+                    const postings = this.postings[term] || (this.postings[term] = {});
+                    const counts = postings[id] || (postings[id] = [0, 0, 0]);
+                    counts[fieldIndex]++;
+                }
+            });
+
+            passageIds.push(id);
+        }
+
+        this.pages[urlData.url] = {
+            url: urlData.url,
+            title,
+            description: document.description || '',
+            category: urlData.category,
+            lastmod: urlData.lastmod || null,
+            indexedAt: new Date().toISOString(),
+            passageIds
+        };
+    }
+
+    /**
+     * Remove a page and its passages from the index
+     */
+    removePage(url) {
+        const page = this.pages[url];
+        if (!page) return;
+
+        for (const id of page.passageIds) {
+            const passage = this.passages[id];
+            if (!passage) continue;
+
+            FIELDS.forEach((field, fieldIndex) => {
+                this.fieldLengthTotals[field] -= passage.lengths[fieldIndex];
+            });
+
+            const terms = new Set(tokenize(`${page.title} ${passage.heading} ${passage.text}`));
+            for (const term of terms) {
+                const postings = this.postings[term];
+                if (!postings) continue;
+                delete postings[id];
+                if (Object.keys(postings).length === 0) {
+                    delete this.postings[term];
+                }
+            }
+
+            delete this.passages[id];
+        }
+
+        delete this.pages[url];
+    }
+
+    /**
+     * Search passages and return the best-scoring pages with snippets
+     */
+    search(query, limit = 5) {
+        const terms = [...new Set(tokenize(query))];
+        const passageCount = this.passageCount();
+        if (terms.length === 0 || passageCount === 0) return [];
+
+        const averageLengths = FIELDS.map(field => this.fieldLengthTotals[field] / passageCount || 1);
+        const scores = new Map();
+
+        for (const term of terms) {
+            const postings = this.postings[term];
+            if (!postings) continue;
+
+            const documentFrequency = Object.keys(postings).length;
+            const idf = Math.log(1 + (passageCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+
+            for (const [id, counts] of Object.entries(postings)) {
+                const lengths = this.passages[id].lengths;
+
+                // BM25F: length-normalize each field's term frequency, then combine with boosts
+                let weightedTf = 0;
+                FIELDS.forEach((field, i) => {
+                    if (!counts[i]) return;
+                    const norm = 1 - this.b + this.b * (lengths[i] / averageLengths[i]);
+                    weightedTf += this.boosts[field] * counts[i] / norm;
+                });
+
+                const score = idf * weightedTf / (this.k1 + weightedTf);
+                scores.set(id, (scores.get(id) || 0) + score);
+            }
+        }
+
+        // Keep the best passage per page
+        const bestByUrl = new Map();
+        for (const [id, score] of scores) {
+            const { url } = this.passages[id];
+            const best = bestByUrl.get(url);
+            if (!best || score > best.score) {
+                bestByUrl.set(url, { id, score });
+            }
+        }
+
+        return [...bestByUrl.values()]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ id, score }) => {
+                const passage = this.passages[id];
+                const page = this.pages[passage.url];
+                return {
+                    url: page.url,
+                    title: page.title,
+                    category: page.category,
+                    heading: passage.heading,
+                    snippet: this.makeSnippet(passage.text, terms),
+                    score: Math.round(score * 1000) / 1000
+                };
+            });
+    }
+
+    /**
+     * Cut a window of text around the first matching term
+     */
+    makeSnippet(text, terms, length = 240) {
+        const lower = text.toLowerCase();
+        const positions = terms
+            .map(term => lower.indexOf(term))
+            .filter(position => position >= 0);
+        const firstMatch = positions.length > 0 ? Math.min(...positions) : 0;
+
+        const start = Math.max(0, firstMatch - Math.floor(length / 3));
+        const snippet = text.slice(start, start + length).trim();
+
+        return `${start > 0 ? '…' : ''}${snippet}${start + length < text.length ? '…' : ''}`;
+    }
+}
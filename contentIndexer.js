@@ -0,0 +1,63 @@
+import { logger } from './logger.js';
+
+/**
+ * Crawl sitemap URLs and keep the content index in sync with the site
+ */
+export class ContentIndexer {
+    constructor(sitemapParser, webScraper, contentIndex) {
+        this.sitemapParser = sitemapParser;
+        this.webScraper = webScraper;
+        this.contentIndex = contentIndex;
+    }
+
+    /**
+     * Index every sitemap URL, skipping pages whose lastmod hasn't changed
+     *
+     * Pages that disappeared from the sitemap are removed. The index is saved
+     * after every batch so an interrupted crawl keeps its progress.
+     */
+    async build({ full = false, concurrency = 3 } = {}) {
+        const urls = this.sitemapParser.getAllUrls();
+        const stats = { total: urls.length, indexed: 0, skipped: 0, failed: 0, removed: 0 };
+
+        if (full) {
+            this.contentIndex.reset();
+        }
+
+        // Drop pages that are no longer in the sitemap
+        const sitemapUrls = new Set(urls.map(urlData => urlData.url));
+        for (const url of Object.keys(this.contentIndex.pages)) {
+            if (!sitemapUrls.has(url)) {
+                this.contentIndex.removePage(url);
+                stats.removed++;
+            }
+        }
+
+        const pending = urls.filter(urlData => this.contentIndex.needsUpdate(urlData.url, urlData.lastmod));
+        stats.skipped = urls.length - pending.length;
+        logger.info(`📇 Indexing ${pending.length} of ${urls.length} URLs (${stats.skipped} unchanged)`);
+
+        for (let i = 0; i < pending.length; i += concurrency) {
+            const batch = pending.slice(i, i + concurrency);
+            const documents = await Promise.all(batch.map(urlData =>
+                this.webScraper.fetchPageSections(urlData.url).catch(error => ({ error: error.message }))
+            ));
+
+            batch.forEach((urlData, j) => {
+                if (documents[j].error) {
+                    stats.failed++;
+                    return;
+                }
+                this.contentIndex.addPage(urlData, documents[j]);
+                stats.indexed++;
+            });
+
+            this.contentIndex.save();
+            logger.info(`📇 Progress: ${Math.min(i + concurrency, pending.length)}/${pending.length}`);
+        }
+
+        this.contentIndex.save();
+        logger.info(`✅ Content index: ${stats.indexed} indexed, ${stats.skipped} unchanged, ${stats.removed} removed, ${stats.failed} failed`);
+        return stats;
+    }
+}
@@ -0,0 +1,120 @@
+import { selectChunks, estimateTokens } from './chunkSelector.js';
+import { logger as defaultLogger } from './logger.js';
+
+/**
+ * What a session remembers between turns, beyond its recent messages
+ *
+ * - A running summary: once the history grows past `historyTokenBudget`,
+ *   everything but the last `recentMessages` messages is folded into
+ *   `session.summary` (by the `summarize` function the chatbot passes in), so
+ *   long conversations keep their context without resending every message.
+ * - A working set: the last `maxPages` pages fetched in the conversation,
+ *   with their sections. Each turn, the sections most relevant to the new
+ *   message are offered to the model up front, and fetches of those URLs are
+ *   answered from the working set, so follow-ups about the same pages don't
+ *   fetch them again. Pages are dropped `maxPageAgeMs` after the conversation
+ *   retrieved them (which may be long after the page cache downloaded them).
+ *
+ * Both live on the session object, so they are saved by whichever session store is used.
+ */
+export class ConversationMemory {
+    constructor({
+        historyTokenBudget = 2000,
+        recentMessages = 4,
+        maxHistoryMessages = 40,
+        maxPages = 6,
+        pageTokenBudget = 1500,
+        maxPageAgeMs = 60 * 60 * 1000,
+        logger = defaultLogger
+    } = {}) {
+        this.historyTokenBudget = historyTokenBudget;
+        this.recentMessages = recentMessages;
+        this.maxHistoryMessages = maxHistoryMessages;
+        this.maxPages = maxPages;
+        this.pageTokenBudget = pageTokenBudget;
+        this.maxPageAgeMs = maxPageAgeMs;
+        this.logger = logger;
+    }
+
+    historyTokens(session) {
+        return session.history.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+    }
+
+    /**
+     * Fold older messages into the running summary when the history is over budget
+     *
+     * `summarize({ summary, messages })` returns the new summary. If it fails,
+     * the history is kept (and summarized on a later turn), only trimmed to
+     * `maxHistoryMessages`. Returns whether the summary was updated.
+     */
+    async compact(session, summarize) {
+        if (session.history.length <= this.recentMessages || this.historyTokens(session) <= this.historyTokenBudget) {
+            return false;
+        }
+
+        const older = session.history.slice(0, -this.recentMessages);
+        const recent = session.history.slice(-this.recentMessages);
+
+        try {
+            session.summary = await summarize({ summary: session.summary || '', messages: older });
+            session.history = recent;
+            this.logger.info(`🧠 Summarized ${older.length} older messages`, { sessionId: session.id, messages: older.length });
+            return true;
+        } catch (error) {
+            this.logger.error('❌ Error summarizing conversation:', { sessionId: session.id, error });
+            if (session.history.length > this.maxHistoryMessages) {
+                session.history = session.history.slice(-this.maxHistoryMessages);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Pages in the working set that are still fresh, most recently used first
+     */
+    pages(session) {
+        const now = Date.now();
+        // Sessions saved before `rememberedAt` existed only have `fetchedAt`
+        return (session.workingSet || []).filter(page => now - Date.parse(page.rememberedAt || page.fetchedAt) <= this.maxPageAgeMs);
+    }
+
+    getPage(session, url) {
+        const page = this.pages(session).find(candidate => candidate.url === url);
+        if (!page) return null;
+        const { rememberedAt, ...rest } = page;
+        return rest;
+    }
+
+    /**
+     * Add fetched pages to the working set, keeping the `maxPages` most recent
+     */
+    rememberPages(session, pages) {
+        const now = new Date().toISOString();
+        const fetched = pages
+            .filter(page => !page.error && page.sections)
+            .map(({ url, title, description, sections, fetchedAt }) => ({
+                url,
+                title,
+                description,
+                sections,
+                fetchedAt: fetchedAt || now,
+                rememberedAt: now
+            }));
+        if (fetched.length === 0) return;
+
+        const urls = new Set(fetched.map(page => page.url));
+        session.workingSet = [...fetched, ...this.pages(session).filter(page => !urls.has(page.url))].slice(0, this.maxPages);
+    }
+
+    /**
+     * The working-set sections most relevant to a message, within `pageTokenBudget`
+     */
+    relevantPages(session, query) {
+        const pages = this.pages(session);
+        if (pages.length === 0) return [];
+
+        return selectChunks(pages, query, { tokenBudget: this.pageTokenBudget })
+            .filter(page => page.content)
+            .map(({ fetchedAt, rememberedAt, ...page }) => page);
+    }
+}
@@ -0,0 +1,122 @@
+import axios from 'axios';
+import { tokenize } from './contentIndex.js';
+
+/**
+ * Scale a vector to unit length so dot product equals cosine similarity
+ */
+export function normalizeVector(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+}
+
+/**
+ * Embedding provider for any OpenAI-compatible `/embeddings` endpoint
+ *
+ * Works with OpenAI, OpenRouter-style gateways, vLLM, Ollama and LM Studio.
+ */
+export class OpenAIEmbeddingProvider {
+    constructor({ apiUrl = 'https://api.openai.com/v1', apiKey, model = 'text-embedding-3-small', batchSize = 64 } = {}) {
+        this.apiUrl = apiUrl.replace(/\/$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.batchSize = batchSize;
+        this.id = `openai:${model}`;
+    }
+
+    async embed(texts) {
+        const vectors = [];
+
+        for (let i = 0; i < texts.length; i += this.batchSize) {
+            const batch = texts.slice(i, i + this.batchSize);
+            const response = await axios.post(
+                `${this.apiUrl}/embeddings`,
+                { model: this.model, input: batch },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${this.apiKey}`,
+                        'Content-Type': 'application/json'
+                    },
+                    timeout: 60000
+                }
+            );
+
+            if (!response.data || !Array.isArray(response.data.data)) {
+                throw new Error('Invalid response format from embeddings API');
+            }
+
+            // Results may come back out of order; `index` ties them to the input
+            const sorted = [...response.data.data].sort((a, b) => a.index - b.index);
+            vectors.push(...sorted.map(item => normalizeVector(item.embedding)));
+        }
+
+        return vectors;
+    }
+}
+
+/**
+ * Offline, deterministic embeddings using feature hashing
+ *
+ * Hashes word unigrams, bigrams and character trigrams into a fixed number of
+ * dimensions. It only captures lexical overlap, not meaning, but needs no
+ * network and always gives the same vector for the same text, which makes it
+ * suitable for tests and offline development.
+ */
+export class LocalEmbeddingProvider {
+    constructor({ dimensions = 256 } = {}) {
+        this.dimensions = dimensions;
+        this.id = `local:hash-${dimensions}`;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedText(text));
+    }
+
+    embedText(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const words = tokenize(text);
+
+        const addFeature = (feature, weight) => {
+            const hash = this.hash(feature);
+            const sign = hash & 1 ? 1 : -1;
+            vector[(hash >>> 1) % this.dimensions] += sign * weight;
+        };
+
+        words.forEach((word, i) => {
+            addFeature(`w:${word}`, 1);
+            if (i > 0) addFeature(`b:${words[i - 1]} ${word}`, 0.5);
+
+            const padded = `#${word}#`;
+            for (let j = 0; j + 3 <= padded.length; j++) {
+                addFeature(`c:${padded.slice(j, j + 3)}`, 0.25);
+            }
+        });
+
+        return normalizeVector(vector);
+    }
+
+    /**
+     * 32-bit FNV-1a hash
+     */
+    hash(feature) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < feature.length; i++) {
+            hash ^= feature.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+}
+
+/**
+ * Create an embedding provider from configuration
+ */
+export function createEmbeddingProvider({ type = 'local', ...options } = {}) {
+    switch (type) {
+        case 'local':
+            return new LocalEmbeddingProvider(options);
+        case 'openai':
+            return new OpenAIEmbeddingProvider(options);
+        default:
+            throw new Error(`Unknown embedding provider: ${type}`);
+    }
+}
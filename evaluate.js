@@ -0,0 +1,430 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLLMProvider, createLLMProvidersFromEnv } from './llmProviders.js';
+import { Cassette, RecordingLLMProvider } from './cassette.js';
+import { createEmbeddingProvider } from './embeddings.js';
+import { loadSiteConfigs, normalizeSiteConfig } from './siteConfig.js';
+import { createSite } from './site.js';
+import { SitemapParser } from './sitemapParser.js';
+import { WebScraper } from './webScraper.js';
+import { ContentIndex } from './contentIndex.js';
+import { ContentIndexer } from './contentIndexer.js';
+import { FetchPolicy } from './fetchPolicy.js';
+import { logger } from './logger.js';
+
+// Load environment variables
+dotenv.config();
+
+// Indexing and chat logs would bury the report, so only warnings by default
+logger.configure({
+    level: process.env.LOG_LEVEL || 'warn',
+    format: process.env.LOG_FORMAT || 'pretty',
+    redact: process.env.REDACT_PII !== 'false'
+});
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Usage: node evaluate.js [--dataset <file>] [--k <n>] [--out <dir>] [--baseline <file>] [--update-baseline]
+//                         [--tolerance <n>] [--llm mock|replay|record|live] [--cassette-dir <dir>] [--no-answers]
+const option = (name, fallback) => (process.argv.includes(name) ? process.argv[process.argv.indexOf(name) + 1] : fallback);
+
+const datasetPath = path.resolve(option('--dataset', path.join(__dirname, 'fixtures/eval/golden.json')));
+const k = parseInt(option('--k', '5'), 10);
+const outDir = path.resolve(option('--out', path.join(__dirname, 'eval-results')));
+const baselinePath = path.resolve(option('--baseline', path.join(path.dirname(datasetPath), 'baseline.json')));
+const updateBaseline = process.argv.includes('--update-baseline');
+const tolerance = parseFloat(option('--tolerance', '0.02'));
+const llmMode = option('--llm', 'mock');
+const answers = !process.argv.includes('--no-answers');
+
+if (!['mock', 'replay', 'record', 'live'].includes(llmMode)) {
+    console.error(`Unknown --llm mode: ${llmMode} (use mock, replay, record or live)`);
+    process.exit(1);
+}
+
+const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf-8'));
+const datasetDir = path.dirname(datasetPath);
+const cassetteDir = path.resolve(option('--cassette-dir', path.join(datasetDir, 'cassettes', dataset.name)));
+
+// Metrics where a lower value is better; the rest are better higher
+const LOWER_IS_BETTER = new Set(['answers.errorRate']);
+// Reported, but too noisy to fail a run on
+const REPORT_ONLY = new Set(['answers.latencyMeanMs', 'answers.latencyP50Ms', 'answers.latencyP95Ms']);
+
+/**
+ * Serves a fixture site's pages from disk in place of the network
+ *
+ * Stands in for the web cassette: `/` is `index.html` and `/a/b/` is
+ * `a/b.html` under the pages directory.
+ */
+class FixturePages {
+    constructor(pagesDir) {
+        this.pagesDir = pagesDir;
+    }
+
+    async wrap(kind, { url }) {
+        const pagePath = new URL(url).pathname.replace(/^\/+|\/+$/g, '') || 'index';
+        const filePath = path.resolve(this.pagesDir, `${decodeURIComponent(pagePath)}.html`);
+
+        if (!filePath.startsWith(this.pagesDir + path.sep) || !fs.existsSync(filePath)) {
+            throw new Error(`No fixture page for ${url}`);
+        }
+
+        return { status: 200, html: fs.readFileSync(filePath, 'utf-8'), etag: null, lastModified: null };
+    }
+}
+
+/**
+ * Compare URLs the way a visitor would: without fragment, query order or trailing slash
+ */
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url);
+        parsed.hash = '';
+        parsed.hostname = parsed.hostname.replace(/^www\./, '');
+        parsed.searchParams.sort();
+        return parsed.href.replace(/\/$/, '');
+    } catch (error) {
+        return String(url);
+    }
+}
+
+function mean(values) {
+    return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function percentile(values, p) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+/**
+ * The LLM providers for the run: the dataset's scripted fixture, the
+ * configured model, or the configured model recorded to or replayed from a cassette
+ */
+function createProviders() {
+    if (llmMode === 'mock') {
+        return [createLLMProvider({ type: 'mock', fixturePath: path.resolve(datasetDir, dataset.mockFixture) })];
+    }
+
+    const providers = createLLMProvidersFromEnv();
+    if (llmMode === 'live') {
+        return providers;
+    }
+
+    const cassette = new Cassette(path.join(cassetteDir, 'llm.json'), llmMode);
+    return providers.map(provider => new RecordingLLMProvider(provider, cassette));
+}
+
+/**
+ * Set up the dataset's site with an in-memory cache, sessions and transcripts
+ *
+ * A dataset's own `site` is indexed from scratch into a temporary directory,
+ * with pages served from its `pagesDir` (or the web cassette). A configured
+ * site (`siteId`) uses its built indexes, with pages from the web cassette.
+ */
+async function loadSite(dataDir) {
+    let config;
+    let webCassette;
+
+    if (dataset.site) {
+        config = normalizeSiteConfig({
+            ...dataset.site,
+            dataDir,
+            pageCacheDir: 'memory',
+            transcriptPath: 'memory',
+            supportRequestsPath: 'memory'
+        }, { rootDir: datasetDir });
+        webCassette = dataset.site.pagesDir
+            ? new FixturePages(path.resolve(datasetDir, dataset.site.pagesDir))
+            : new Cassette(path.join(cassetteDir, 'web.json'), llmMode === 'record' ? 'record' : 'replay');
+        await buildContentIndex(config, webCassette);
+    } else {
+        const { sites } = loadSiteConfigs(process.env.SITES_CONFIG || path.join(__dirname, 'sites.json'), {
+            rootDir: __dirname
+        });
+        const site = sites.find(candidate => candidate.id === dataset.siteId);
+        if (!site) {
+            throw new Error(`Unknown site: ${dataset.siteId}`);
+        }
+        config = { ...site, pageCacheDir: 'memory', transcriptPath: 'memory', supportRequestsPath: 'memory' };
+        webCassette = new Cassette(path.join(cassetteDir, 'web.json'), llmMode === 'record' ? 'record' : 'replay');
+    }
+
+    return createSite(config, {
+        llmProviders: createProviders(),
+        embeddingProvider: createEmbeddingProvider({ type: 'local' }),
+        webCassette,
+        settings: { sitemapWatch: false, sitemapPollMs: 0, sessionStore: 'memory' }
+    });
+}
+
+/**
+ * Index a fixture site's pages, as `npm run index` would
+ */
+async function buildContentIndex(config, webCassette) {
+    const fetchPolicy = new FetchPolicy({ allowedDomains: config.allowedDomains });
+    const sitemapParser = new SitemapParser(config.sitemapDir, { baseUrl: config.baseUrl, fetchPolicy });
+    await sitemapParser.loadSitemaps();
+
+    const webScraper = new WebScraper({
+        cassette: webCassette,
+        fetchPolicy,
+        selectors: { content: config.contentSelectors, noise: config.noiseSelectors }
+    });
+
+    await new ContentIndexer(sitemapParser, webScraper, new ContentIndex(config.contentIndexPath)).build({ full: true });
+}
+
+/**
+ * Rank of the first expected URL in the results, and how many expected URLs are in the top k
+ */
+function scoreRetrieval(resultUrls, expectedUrls) {
+    const results = resultUrls.map(normalizeUrl);
+    const expected = new Set(expectedUrls.map(normalizeUrl));
+    const rank = results.findIndex(url => expected.has(url)) + 1;
+    const hits = new Set(results.slice(0, k).filter(url => expected.has(url)));
+
+    return {
+        urls: resultUrls,
+        rank: rank || null,
+        recall: expected.size > 0 ? hits.size / expected.size : 0,
+        reciprocalRank: rank ? 1 / rank : 0
+    };
+}
+
+/**
+ * Search the site for each question with the model's search tool, and with
+ * the plain sitemap search it falls back to
+ */
+async function evaluateRetrieval(site, question) {
+    const tool = await site.chatbot.tools.run('search_website_urls', { query: question.question, limit: k });
+
+    return {
+        search_website_urls: scoreRetrieval(tool.map(result => result.url), question.expectedUrls),
+        sitemap: scoreRetrieval(site.sitemapParser.searchUrls(question.question, k).map(result => result.url), question.expectedUrls)
+    };
+}
+
+/**
+ * Ask the chatbot a question and check its answer
+ *
+ * An expected fact is a phrase, or a list of alternative phrases, that must
+ * appear in the answer (case-insensitive). A citation is valid when its
+ * number belongs to a fetched source and the source is a page of the site.
+ */
+async function evaluateAnswer(site, question, siteUrls) {
+    const startedAt = Date.now();
+    const answer = await site.chatbot.chat(question.question, { sessionId: `eval-${question.id}` });
+    const latencyMs = Date.now() - startedAt;
+
+    const response = answer.response || '';
+    const text = response.toLowerCase();
+    const facts = (question.expectedFacts || []).map(fact => {
+        const alternatives = Array.isArray(fact) ? fact : [fact];
+        return { fact: alternatives[0], found: alternatives.some(alternative => text.includes(alternative.toLowerCase())) };
+    });
+
+    const sources = new Map(answer.sources.map(source => [source.id, source]));
+    const citedIds = [...new Set([...response.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1], 10)))];
+    const invalidCitations = citedIds.filter(id => !sources.has(id) || !siteUrls.has(normalizeUrl(sources.get(id).url)));
+    const expected = new Set(question.expectedUrls.map(normalizeUrl));
+    const turn = answer.turnId ? site.transcriptStore.get(answer.turnId) : null;
+
+    return {
+        response,
+        latencyMs,
+        error: (turn && turn.error) || null,
+        guardrails: answer.guardrails || [],
+        factRecall: facts.length > 0 ? facts.filter(fact => fact.found).length / facts.length : 1,
+        missingFacts: facts.filter(fact => !fact.found).map(fact => fact.fact),
+        citations: citedIds.length,
+        invalidCitations,
+        citedExpectedUrl: citedIds.some(id => sources.has(id) && expected.has(normalizeUrl(sources.get(id).url)))
+    };
+}
+
+/**
+ * Averages over all questions, keyed like `retrieval.sitemap.mrr`
+ */
+function summarize(results) {
+    const summary = {};
+
+    for (const tool of Object.keys(results[0].retrieval)) {
+        summary[`retrieval.${tool}.recall@${k}`] = mean(results.map(result => result.retrieval[tool].recall));
+        summary[`retrieval.${tool}.mrr`] = mean(results.map(result => result.retrieval[tool].reciprocalRank));
+    }
+
+    const answered = results.filter(result => result.answer).map(result => result.answer);
+    if (answered.length > 0) {
+        const citations = answered.reduce((sum, answer) => sum + answer.citations, 0);
+        const invalid = answered.reduce((sum, answer) => sum + answer.invalidCitations.length, 0);
+        const latencies = answered.map(answer => answer.latencyMs);
+
+        summary['answers.factRecall'] = mean(answered.map(answer => answer.factRecall));
+        summary['answers.allFactsRate'] = mean(answered.map(answer => (answer.missingFacts.length === 0 ? 1 : 0)));
+        summary['answers.citedRate'] = mean(answered.map(answer => (answer.citations > 0 ? 1 : 0)));
+        summary['answers.citationValidity'] = citations > 0 ? (citations - invalid) / citations : 0;
+        summary['answers.expectedUrlCitedRate'] = mean(answered.map(answer => (answer.citedExpectedUrl ? 1 : 0)));
+        summary['answers.errorRate'] = mean(answered.map(answer => (answer.error ? 1 : 0)));
+        summary['answers.latencyMeanMs'] = Math.round(mean(latencies));
+        summary['answers.latencyP50Ms'] = percentile(latencies, 50);
+        summary['answers.latencyP95Ms'] = percentile(latencies, 95);
+    }
+
+    return summary;
+}
+
+/**
+ * Metrics that moved the wrong way by more than the tolerance
+ */
+function findRegressions(summary, baseline) {
+    if (!baseline) return [];
+
+    return Object.entries(baseline.metrics)
+        .filter(([metric]) => metric in summary && !REPORT_ONLY.has(metric))
+        .filter(([metric, previous]) => (LOWER_IS_BETTER.has(metric)
+            ? summary[metric] > previous + tolerance
+            : summary[metric] < previous - tolerance))
+        .map(([metric, previous]) => ({ metric, baseline: previous, value: summary[metric] }));
+}
+
+function formatValue(metric, value) {
+    if (value === undefined || value === null) return '—';
+    return metric.endsWith('Ms') ? `${value} ms` : value.toFixed(3);
+}
+
+function formatChange(metric, value, previous) {
+    if (previous === undefined || REPORT_ONLY.has(metric)) return '';
+    const change = value - previous;
+    return Math.abs(change) < 0.0005 ? '=' : `${change > 0 ? '+' : ''}${change.toFixed(3)}`;
+}
+
+function renderMarkdown(report) {
+    const baselineMetrics = report.baseline ? report.baseline.metrics : {};
+    const escape = (text) => String(text).replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+    const lines = [
+        `# Evaluation: ${report.dataset}`,
+        '',
+        `${report.questions} questions, k = ${report.k}, LLM: ${report.llm}, run at ${report.createdAt}`,
+        '',
+        '## Summary',
+        '',
+        '| Metric | Value | Baseline | Change |',
+        '| --- | --- | --- | --- |'
+    ];
+
+    for (const [metric, value] of Object.entries(report.summary)) {
+        const previous = baselineMetrics[metric];
+        lines.push(`| ${metric} | ${formatValue(metric, value)} | ${formatValue(metric, previous)} | ${formatChange(metric, value, previous)} |`);
+    }
+
+    lines.push('');
+    if (!report.baseline) {
+        lines.push('No baseline to compare with (save one with `--update-baseline`).');
+    } else if (report.regressions.length === 0) {
+        lines.push(`✅ No regressions against the baseline (tolerance ${report.tolerance}).`);
+    } else {
+        lines.push(`❌ ${report.regressions.length} regression${report.regressions.length === 1 ? '' : 's'} against the baseline (tolerance ${report.tolerance}):`);
+        lines.push('');
+        report.regressions.forEach(({ metric, baseline, value }) => {
+            lines.push(`- ${metric}: ${formatValue(metric, baseline)} → ${formatValue(metric, value)}`);
+        });
+    }
+
+    lines.push('', '## Retrieval', '', '| Question | search_website_urls rank | sitemap rank |', '| --- | --- | --- |');
+    for (const result of report.results) {
+        const rank = (tool) => result.retrieval[tool].rank || 'miss';
+        lines.push(`| ${result.id} | ${rank('search_website_urls')} | ${rank('sitemap')} |`);
+    }
+
+    if (report.results.some(result => result.answer)) {
+        lines.push('', '## Answers', '', '| Question | Facts | Citations | Latency | Notes |', '| --- | --- | --- | --- | --- |');
+        for (const { id, answer } of report.results.filter(result => result.answer)) {
+            const notes = [
+                answer.missingFacts.length > 0 ? `missing: ${answer.missingFacts.join(', ')}` : null,
+                answer.invalidCitations.length > 0 ? `invalid citations: ${answer.invalidCitations.map(citation => `[${citation}]`).join(' ')}` : null,
+                answer.citations > 0 && !answer.citedExpectedUrl ? 'no expected page cited' : null,
+                answer.guardrails.length > 0 ? `guardrails: ${answer.guardrails.join(', ')}` : null,
+                answer.error ? `error: ${answer.error}` : null
+            ].filter(Boolean);
+            lines.push(`| ${id} | ${answer.factRecall.toFixed(2)} | ${answer.citations} | ${answer.latencyMs} ms | ${escape(notes.join('; '))} |`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-eval-'));
+let site;
+
+try {
+    console.log(`\n🧪 Evaluating ${dataset.name} (${dataset.questions.length} questions, k = ${k}, LLM: ${llmMode})`);
+    site = await loadSite(dataDir);
+
+    const siteUrls = new Set(site.sitemapParser.getAllUrls().map(urlData => normalizeUrl(urlData.url)));
+    const results = [];
+
+    for (const question of dataset.questions) {
+        const result = { id: question.id, question: question.question, retrieval: await evaluateRetrieval(site, question) };
+        if (answers) {
+            result.answer = await evaluateAnswer(site, question, siteUrls);
+        }
+        results.push(result);
+        const passed = result.retrieval.search_website_urls.rank
+            && (!result.answer || (result.answer.missingFacts.length === 0 && result.answer.invalidCitations.length === 0 && !result.answer.error));
+        console.log(`   ${passed ? '✅' : '⚠️ '} ${question.id}`);
+    }
+
+    const baseline = fs.existsSync(baselinePath) ? JSON.parse(fs.readFileSync(baselinePath, 'utf-8')) : null;
+    if (baseline && (baseline.k !== k || baseline.llm !== llmMode)) {
+        console.warn(`⚠️  Baseline was saved with k = ${baseline.k}, LLM: ${baseline.llm}; the comparison may not be meaningful`);
+    }
+
+    const summary = summarize(results);
+    const regressions = updateBaseline ? [] : findRegressions(summary, baseline);
+    const report = {
+        dataset: dataset.name,
+        questions: results.length,
+        k,
+        llm: llmMode,
+        tolerance,
+        createdAt: new Date().toISOString(),
+        summary,
+        baseline: updateBaseline ? null : baseline,
+        regressions,
+        results
+    };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(path.join(outDir, 'report.json'), JSON.stringify(report, null, 2));
+    fs.writeFileSync(path.join(outDir, 'report.md'), renderMarkdown(report));
+    console.log(`\n📊 Reports written to ${path.relative(process.cwd(), outDir) || '.'}/report.{json,md}`);
+
+    for (const [metric, value] of Object.entries(summary)) {
+        console.log(`   ${metric}: ${formatValue(metric, value)}`);
+    }
+
+    if (updateBaseline) {
+        // Latency depends on the machine, so it isn't saved
+        const metrics = Object.fromEntries(Object.entries(summary).filter(([metric]) => !REPORT_ONLY.has(metric)));
+        fs.writeFileSync(baselinePath, `${JSON.stringify({ dataset: dataset.name, k, llm: llmMode, metrics }, null, 4)}\n`);
+        console.log(`\n💾 Baseline saved to ${path.relative(process.cwd(), baselinePath)}`);
+    } else if (regressions.length > 0) {
+        console.error(`\n❌ ${regressions.length} metric${regressions.length === 1 ? '' : 's'} regressed against the baseline:`);
+        regressions.forEach(({ metric, baseline: previous, value }) => {
+            console.error(`   ${metric}: ${formatValue(metric, previous)} → ${formatValue(metric, value)}`);
+        });
+        process.exitCode = 1;
+    } else if (baseline) {
+        console.log('\n✅ No regressions against the baseline');
+    }
+} finally {
+    if (site) site.sitemapReloader.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+}
@@ -0,0 +1,419 @@
+import dns from 'dns';
+import net from 'net';
+import axios from 'axios';
+import { logger } from './logger.js';
+
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+const HTML_CONTENT_TYPES = ['text/html', 'application/xhtml+xml'];
+
+/**
+ * A fetch refused by the fetch policy
+ *
+ * `code` says which rule was hit (`PROTOCOL`, `DOMAIN`, `PRIVATE_ADDRESS`,
+ * `ROBOTS`, `RATE_LIMIT`, `TOO_LARGE`, `CONTENT_TYPE`, `REDIRECTS`). The
+ * message is written to be shown to the model as a tool error.
+ */
+export class FetchPolicyError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'FetchPolicyError';
+        this.code = code;
+        this.retryable = false;
+    }
+}
+
+function ipv4ToNumber(ip) {
+    return ip.split('.').reduce((value, part) => (value << 8) + parseInt(part, 10), 0) >>> 0;
+}
+
+const PRIVATE_IPV4_RANGES = [
+    ['0.0.0.0', 8],
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10],
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16],
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15],
+    ['224.0.0.0', 4],
+    ['240.0.0.0', 4]
+].map(([base, bits]) => [ipv4ToNumber(base), bits]);
+
+/**
+ * The eight 16-bit groups of an IPv6 address, with `::` and a trailing dotted IPv4 part expanded
+ */
+function ipv6Groups(address) {
+    let text = address.replace(/%.*$/, '');
+
+    const dotted = text.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (dotted) {
+        const value = ipv4ToNumber(dotted[1]);
+        text = `${text.slice(0, -dotted[1].length)}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+    }
+
+    const [head, tail] = text.split('::');
+    const parse = part => (part ? part.split(':').map(group => parseInt(group, 16)) : []);
+    const groups = parse(head);
+    const rest = parse(tail);
+
+    return tail === undefined ? groups : [...groups, ...new Array(8 - groups.length - rest.length).fill(0), ...rest];
+}
+
+/**
+ * The IPv4 address inside an IPv4-mapped (::ffff:0:0/96), IPv4-translated
+ * (::ffff:0:0:0/96), IPv4-compatible (::/96) or NAT64 (64:ff9b::/96) IPv6
+ * address, in any notation, or null
+ *
+ * URL parsing turns `[::ffff:127.0.0.1]` into `[::ffff:7f00:1]`, so the
+ * dotted form alone can't be relied on.
+ */
+function embeddedIPv4(address) {
+    const groups = ipv6Groups(address);
+    const prefix = groups.slice(0, 6).map(group => group.toString(16)).join(':');
+    const carriesIPv4 = prefix === '0:0:0:0:0:ffff' ||
+        prefix === '0:0:0:0:ffff:0' ||
+        prefix === '64:ff9b:0:0:0:0' ||
+        // ::/96, except :: and ::1 themselves
+        (prefix === '0:0:0:0:0:0' && (groups[6] !== 0 || groups[7] > 1));
+
+    if (!carriesIPv4) return null;
+    return [groups[6] >>> 8, groups[6] & 0xff, groups[7] >>> 8, groups[7] & 0xff].join('.');
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not
+ * on the public internet
+ */
+export function isPrivateAddress(address) {
+    if (net.isIPv4(address)) {
+        const value = ipv4ToNumber(address);
+        return PRIVATE_IPV4_RANGES.some(([base, bits]) => (value >>> (32 - bits)) === (base >>> (32 - bits)));
+    }
+
+    if (net.isIPv6(address)) {
+        const normalized = address.toLowerCase();
+
+        // Addresses that carry an IPv4 address are checked as IPv4
+        const embedded = embeddedIPv4(normalized);
+        if (embedded) return isPrivateAddress(embedded);
+
+        return normalized === '::' ||
+            normalized === '::1' ||
+            /^f[cd]/.test(normalized) ||      // unique local fc00::/7
+            /^fe[89ab]/.test(normalized) ||   // link-local fe80::/10
+            /^ff/.test(normalized);           // multicast
+    }
+
+    return false;
+}
+
+/**
+ * Parse robots.txt into the Allow/Disallow rules that apply to `agent`
+ *
+ * Uses the most specific user-agent group naming the agent, or `*`.
+ */
+export function parseRobotsTxt(text, agent) {
+    const groups = [];
+    let current = null;
+
+    for (const rawLine of (text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim();
+        const separator = line.indexOf(':');
+        if (separator === -1) continue;
+
+        const field = line.slice(0, separator).trim().toLowerCase();
+        const value = line.slice(separator + 1).trim();
+
+        if (field === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || current.rules.length > 0) {
+                current = { agents: [], rules: [] };
+                groups.push(current);
+            }
+            current.agents.push(value.toLowerCase());
+        } else if ((field === 'allow' || field === 'disallow') && current) {
+            // An empty Disallow allows everything, so it adds no rule
+            if (value) current.rules.push({ allow: field === 'allow', pattern: value });
+        }
+    }
+
+    const agentLower = agent.toLowerCase();
+    let best = null;
+    let bestLength = -1;
+
+    for (const group of groups) {
+        for (const name of group.agents) {
+            const matches = name === '*' ? 0 : (agentLower.includes(name) ? name.length : -1);
+            if (matches > bestLength) {
+                best = [group];
+                bestLength = matches;
+            } else if (matches === bestLength && matches >= 0 && !best.includes(group)) {
+                best.push(group);
+            }
+        }
+    }
+
+    return best ? best.flatMap(group => group.rules) : [];
+}
+
+/**
+ * Apply robots.txt rules to a path: the longest matching rule wins, Allow on ties
+ */
+export function isAllowedByRobots(rules, urlPath) {
+    let verdict = { allow: true, length: -1 };
+
+    for (const rule of rules) {
+        const regex = new RegExp(`^${rule.pattern
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*')
+            .replace(/\\\$$/, '$')}`);
+
+        if (regex.test(urlPath)) {
+            const length = rule.pattern.length;
+            if (length > verdict.length || (length === verdict.length && rule.allow)) {
+                verdict = { allow: rule.allow, length };
+            }
+        }
+    }
+
+    return verdict.allow;
+}
+
+/**
+ * Rules every page fetch has to pass
+ *
+ * - Only http(s) URLs on the allowed domains (and their subdomains)
+ * - Hosts must resolve to public addresses; the check runs inside the socket's
+ *   DNS lookup, so it also covers redirects and DNS rebinding
+ * - Redirects are followed by hand so each hop is checked again
+ * - Responses must be HTML and at most `maxBodyBytes`
+ * - robots.txt is honoured and requests to one host are spaced out
+ */
+export class FetchPolicy {
+    constructor({
+        allowedDomains = null,
+        allowPrivateNetworks = false,
+        maxBodyBytes = 2 * 1024 * 1024,
+        maxRedirects = 5,
+        timeout = 10000,
+        respectRobotsTxt = true,
+        robotsUserAgent = 'SiteChatbot',
+        robotsTtlMs = 60 * 60 * 1000,
+        minIntervalMs = 500,
+        maxQueueMs = 10000,
+        userAgent = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+        lookup = dns.lookup
+    } = {}) {
+        this.allowedDomains = allowedDomains ? allowedDomains.map(domain => domain.toLowerCase()) : null;
+        this.allowPrivateNetworks = allowPrivateNetworks;
+        this.maxBodyBytes = maxBodyBytes;
+        this.maxRedirects = maxRedirects;
+        this.timeout = timeout;
+        this.respectRobotsTxt = respectRobotsTxt;
+        this.robotsUserAgent = robotsUserAgent;
+        this.robotsTtlMs = robotsTtlMs;
+        this.minIntervalMs = minIntervalMs;
+        this.maxQueueMs = maxQueueMs;
+        this.userAgent = userAgent;
+        this.dnsLookup = lookup;
+        this.robotsCache = new Map();
+        this.nextSlot = new Map();
+        this.safeLookup = this.safeLookup.bind(this);
+    }
+
+    /**
+     * Check a URL's protocol, domain and (for IP literals) address, without any network access
+     */
+    checkUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch (error) {
+            throw new FetchPolicyError('PROTOCOL', `Blocked: "${url}" is not a valid URL`);
+        }
+
+        if (!['http:', 'https:'].includes(parsed.protocol)) {
+            throw new FetchPolicyError('PROTOCOL', `Blocked: only http and https URLs can be fetched, not ${parsed.protocol}`);
+        }
+
+        const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+        if (this.allowedDomains && !this.allowedDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) {
+            throw new FetchPolicyError('DOMAIN', `Blocked: ${hostname} is not one of this site's domains (${this.allowedDomains.join(', ')})`);
+        }
+
+        if (!this.allowPrivateNetworks && net.isIP(hostname) && isPrivateAddress(hostname)) {
+            throw new FetchPolicyError('PRIVATE_ADDRESS', `Blocked: ${hostname} is a private or loopback address`);
+        }
+
+        return parsed;
+    }
+
+    /**
+     * DNS lookup for outgoing sockets that refuses private and loopback addresses
+     */
+    safeLookup(hostname, options, callback) {
+        this.dnsLookup(hostname, { all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+            if (blocked && !this.allowPrivateNetworks) {
+                return callback(new FetchPolicyError('PRIVATE_ADDRESS', `Blocked: ${hostname} resolves to private address ${blocked.address}`));
+            }
+
+            callback(null, addresses);
+        });
+    }
+
+    /**
+     * Wait for this host's next request slot (one request per `minIntervalMs`)
+     */
+    async throttle(host) {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot.get(host) || 0);
+
+        if (slot - now > this.maxQueueMs) {
+            throw new FetchPolicyError('RATE_LIMIT', `Blocked: too many requests to ${host}, try again in a few seconds`);
+        }
+
+        this.nextSlot.set(host, slot + this.minIntervalMs);
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+
+    /**
+     * Whether robots.txt lets us fetch a URL (cached per origin)
+     */
+    async robotsAllows(parsed) {
+        if (!this.respectRobotsTxt) return true;
+
+        let entry = this.robotsCache.get(parsed.origin);
+        if (!entry || Date.now() > entry.expiresAt) {
+            let rules = [];
+            try {
+                const response = await this.request(`${parsed.origin}/robots.txt`, { contentTypes: null, maxBodyBytes: 512 * 1024 });
+                rules = response.status === 200 ? parseRobotsTxt(response.body, this.robotsUserAgent) : [];
+            } catch (error) {
+                // An unreachable robots.txt doesn't block the site
+                logger.warn(`⚠️  Could not read robots.txt for ${parsed.origin}: ${error.message}`);
+            }
+
+            entry = { rules, expiresAt: Date.now() + this.robotsTtlMs };
+            this.robotsCache.set(parsed.origin, entry);
+        }
+
+        return isAllowedByRobots(entry.rules, `${parsed.pathname}${parsed.search}`);
+    }
+
+    /**
+     * Fetch a page under the policy
+     *
+     * Returns `{ status, url, body, headers }`; `url` is the final URL after
+     * redirects and `status` may be 304 for conditional requests.
+     */
+    async fetch(url, { headers = {} } = {}) {
+        const parsed = this.checkUrl(url);
+
+        if (!(await this.robotsAllows(parsed))) {
+            throw new FetchPolicyError('ROBOTS', `Blocked: robots.txt on ${parsed.host} disallows ${parsed.pathname}`);
+        }
+
+        return this.request(url, { headers, contentTypes: HTML_CONTENT_TYPES, maxBodyBytes: this.maxBodyBytes });
+    }
+
+    /**
+     * Follow redirects by hand, checking every hop, and read the body up to a size limit
+     *
+     * The body is decoded as `encoding`; pass `encoding: null` for a Buffer.
+     */
+    async request(url, { headers = {}, contentTypes = HTML_CONTENT_TYPES, maxBodyBytes = this.maxBodyBytes, encoding = 'utf-8' } = {}) {
+        let currentUrl = url;
+
+        for (let hop = 0; hop <= this.maxRedirects; hop++) {
+            const parsed = this.checkUrl(currentUrl);
+            await this.throttle(parsed.host);
+
+            const response = await axios.get(currentUrl, {
+                timeout: this.timeout,
+                responseType: 'stream',
+                maxRedirects: 0,
+                lookup: this.safeLookup,
+                headers: { 'User-Agent': this.userAgent, ...headers },
+                validateStatus: () => true
+            });
+
+            if (REDIRECT_STATUSES.has(response.status) && response.headers.location) {
+                response.data.destroy();
+                currentUrl = new URL(response.headers.location, currentUrl).href;
+                continue;
+            }
+
+            if (response.status === 304) {
+                response.data.destroy();
+                return { status: 304, url: currentUrl, body: null, headers: response.headers };
+            }
+
+            if (response.status < 200 || response.status >= 300) {
+                response.data.destroy();
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            const contentType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+            if (contentTypes && contentType && !contentTypes.includes(contentType)) {
+                response.data.destroy();
+                throw new FetchPolicyError('CONTENT_TYPE', `Blocked: ${currentUrl} is ${contentType}, not an HTML page`);
+            }
+
+            const body = await this.readBody(response, currentUrl, maxBodyBytes, encoding);
+            return { status: response.status, url: currentUrl, body, headers: response.headers };
+        }
+
+        throw new FetchPolicyError('REDIRECTS', `Blocked: ${url} redirected more than ${this.maxRedirects} times`);
+    }
+
+    /**
+     * Read a response stream, giving up as soon as it exceeds `maxBodyBytes`
+     */
+    async readBody(response, url, maxBodyBytes, encoding = 'utf-8') {
+        const tooLarge = () => new FetchPolicyError('TOO_LARGE', `Blocked: ${url} is larger than ${Math.round(maxBodyBytes / 1024)} KB`);
+
+        if (parseInt(response.headers['content-length'], 10) > maxBodyBytes) {
+            response.data.destroy();
+            throw tooLarge();
+        }
+
+        const chunks = [];
+        let size = 0;
+
+        for await (const chunk of response.data) {
+            size += chunk.length;
+            if (size > maxBodyBytes) {
+                response.data.destroy();
+                throw tooLarge();
+            }
+            chunks.push(chunk);
+        }
+
+        const body = Buffer.concat(chunks);
+        return encoding ? body.toString(encoding) : body;
+    }
+}
+
+/**
+ * Instance-wide fetch policy settings from environment variables
+ *
+ * Allowed domains are per site and come from the site config instead.
+ */
+export function fetchPolicyOptionsFromEnv(env = process.env) {
+    return {
+        allowPrivateNetworks: env.FETCH_ALLOW_PRIVATE_NETWORKS === 'true',
+        maxBodyBytes: (parseInt(env.FETCH_MAX_KB, 10) || 2048) * 1024,
+        respectRobotsTxt: env.RESPECT_ROBOTS_TXT !== 'false',
+        robotsUserAgent: env.ROBOTS_USER_AGENT || 'SiteChatbot',
+        minIntervalMs: parseInt(env.FETCH_MIN_INTERVAL_MS, 10) || 500
+    };
+}
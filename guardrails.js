@@ -0,0 +1,255 @@
+import { logger as defaultLogger } from './logger.js';
+import { guardrailEvents } from './metrics.js';
+
+// Phrasing that tries to give the model instructions, found in page content
+const INJECTION_PATTERNS = [
+    /\b(ignore|disregard|forget|override)\s+(all\s+|any\s+)?(of\s+)?(the\s+|your\s+)?(previous|prior|above|earlier|preceding|original|system)\s+(instructions?|prompts?|rules|messages|directions)/i,
+    /\b(new|updated|additional|real)\s+(system\s+)?instructions?\s*:/i,
+    /\byou\s+are\s+now\s+(a|an|the|in)\b/i,
+    /\b(reveal|print|show|repeat|output|leak|disclose)\s+(me\s+)?(your|the)\s+(system\s+|hidden\s+|initial\s+)?(prompt|instructions|developer\s+message)\b/i,
+    /\b(do\s+not|don't|never)\s+(tell|inform|mention\s+(this\s+)?to)\s+the\s+user\b/i,
+    // Tool names are snake_case, unlike the tools a page tells its readers about
+    /\b(call|use|invoke|run)\s+the\s+[a-z]+(_[a-z]+)+\s+(tool|function)\b/i,
+    /^\s*(system|assistant|developer)\s*:/im
+];
+
+// Chat-template tokens and role tags have no business in page text
+const CONTROL_PATTERN = /<\|[^|>\s]{1,30}\|>|\[\/?INST\]|<<\/?SYS>>|<\/?(system|assistant|user|untrusted_data)\b[^>]*>/gi;
+// Zero-width and bidirectional control characters can hide text from a reviewer
+const INVISIBLE_PATTERN = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/g;
+
+const ABUSE_PATTERNS = [
+    /\b(fuck|fucking|motherfucker|cunt|asshole|bitch|bastard|dickhead|wanker)\b/i,
+    /\byou('re|\s+are)\s+(a\s+|an\s+|so\s+)?(stupid|idiot|useless|dumb|moron|pathetic|worthless)\b/i,
+    /\b(i('ll|\s+will)|gonna|going\s+to)\s+(kill|hurt|find)\s+you\b/i
+];
+
+// Requests a website assistant has no business answering. They must be asked
+// of the assistant ("write a poem", "can you do my homework"), so visitors
+// describing what they'll do with their site ("I want to write a story on my
+// blog", "a cricket score website") get through.
+const ASKED = String.raw`(?:^\s*|\b(?:can|could|would|will)\s+you\s+(?:please\s+)?|\bplease\s+)`;
+const OFF_TOPIC_PATTERNS = [
+    new RegExp(`${ASKED}(write|compose|make\\s+up)\\s+(me\\s+|us\\s+)?(a|an|some)\\s+(\\w+\\s+){0,2}?(poem|song|lyrics|story|essay|haiku|limerick)\\b`, 'i'),
+    /\b(do|solve|answer|help\s+(me\s+)?with)\s+(my|this|our)\s+(homework|school\s+assignment|college\s+assignment)\b/i,
+    /\bsolve\s+(this|these|the|my|for\s+x\s+in)\s+(\w+\s+)?(equations?|integrals?|derivatives?|math\s+problems?)\b/i,
+    new RegExp(`${ASKED}(write|generate)\\s+(me\\s+)?((a|an|some|the)\\s+)?(\\w+\\s+)?(python|javascript|java|c\\+\\+|rust|golang)\\s+(code|script|program|function)\\b`, 'i'),
+    /\bwho\s+won\s+(the\s+|last\s+night's\s+)?(\w+\s+)?(election|match|game|world\s+cup|oscars?|final)\b/i,
+    /\b(who\s+(will\s+win|is\s+winning)|what\s+(are|were)\s+the|latest)\s+(\w+\s+)?(election|exit\s+poll)(\s+results?)?\b/i,
+    /\b(what('s|\s+is)\s+(my|the|today's)\s+horoscope|give\s+me\s+a\s+recipe|(what's|what\s+is|how's|how\s+is)\s+the\s+weather|(what's|what\s+is)\s+the\s+(\w+\s+)?(cricket|football)\s+score)\b/i
+];
+
+// A sentence promotes a competitor when it steers the visitor to them ("we
+// recommend X", "switch to X") or rates them above the site ("X is cheaper");
+// merely naming one ("unlike X, we include SSL") is fine
+const PROMOTION_VERBS = String.raw`recommend|suggest|try|switch(?:ing)?\s+to|move\s+to|go\s+(?:with|for)|consider|prefer|choose|sign\s+up\s+(?:with|for|at)`;
+const PROMOTION_RATINGS = String.raw`better(?!\s+known)|cheaper|the\s+best|faster|a\s+(?:good|great)\s+(?:choice|option|fit)`;
+
+const CURRENCY = '(?:₹|\\$|€|£|rs\\.?|inr|usd|eur|gbp)';
+const AMOUNT = '(\\d[\\d,]*(?:\\.\\d+)?)';
+const PRICE_PATTERN = new RegExp(`${CURRENCY}\\s?${AMOUNT}|${AMOUNT}\\s?(?:${CURRENCY}|rupees|dollars|euros)(?![a-z])`, 'gi');
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function phrasePattern(phrases) {
+    const terms = phrases.map(phrase => phrase.trim()).filter(Boolean).map(escapeRegExp);
+    return terms.length > 0 ? new RegExp(`\\b(${terms.join('|')})\\b`, 'i') : null;
+}
+
+function promotionPattern(competitors) {
+    const terms = competitors.map(phrase => phrase.trim()).filter(Boolean).map(escapeRegExp);
+    if (terms.length === 0) return null;
+
+    const name = `(${terms.join('|')})`;
+    // Up to two words between verb and name, but not "us", "our", "from", ... that turn it around
+    const between = String.raw`(?:(?!(?:us|our|we|from|over|than)\b)[\w'-]+\s+){0,2}?`;
+    return new RegExp(
+        `\\b(?:(?:${PROMOTION_VERBS})\\s+(?:using\\s+)?${between}${name}|${name}\\s+(?:is|are|has|have|offers?|would\\s+be|might\\s+be)\\s+(?:\\w+\\s+)?(?:${PROMOTION_RATINGS}))\\b`,
+        'i'
+    );
+}
+
+function parseAmount(text) {
+    return Math.round(parseFloat(text.replace(/,/g, '')) * 100);
+}
+
+/**
+ * Replace each sentence (or line) of a text, keeping the text around it
+ *
+ * `replace` returns the new sentence, or null to remove it along with the
+ * narrower of the separators around it, so lists and paragraphs stay intact.
+ */
+function replaceSentences(text, replace) {
+    const parts = text.split(/((?<=[.!?])[ \t]+|\n+)/);
+    const lineBreaks = separator => (separator.match(/\n/g) || []).length;
+    let result = '';
+    let separator = '';
+
+    for (let i = 0; i < parts.length; i += 2) {
+        const sentence = replace(parts[i]);
+        const next = parts[i + 1] || '';
+
+        if (sentence === null) {
+            if (lineBreaks(next) > lineBreaks(separator)) separator = next;
+            continue;
+        }
+        result += (result ? separator : '') + sentence;
+        separator = next;
+    }
+
+    return result;
+}
+
+/**
+ * Checks on what goes into and comes out of the model
+ *
+ * - `screenInput` classifies a visitor's message as abusive or off-topic,
+ *   so it can be answered with the configured message without calling the model
+ * - `wrapUntrusted` sanitizes tool results and retrieved pages, removes
+ *   sentences that read like instructions to the model, and marks the result
+ *   as untrusted data
+ * - `checkAnswer` removes sentences that promote a competitor, or quote a
+ *   price that appears in none of the content the model was given
+ */
+export class Guardrails {
+    constructor({
+        offTopicMessage = 'I can only help with questions about this website. What would you like to know about our products or services?',
+        abuseMessage = 'I\'m here to help, but let\'s keep the conversation respectful. What can I help you with?',
+        blockedAnswerMessage = 'I\'m sorry, I couldn\'t find reliable information to answer that. Could you rephrase your question, or would you like me to pass it to our team?',
+        blockedTopics = [],
+        competitors = [],
+        checkPrices = true,
+        logger = defaultLogger
+    } = {}) {
+        this.offTopicMessage = offTopicMessage;
+        this.abuseMessage = abuseMessage;
+        this.blockedAnswerMessage = blockedAnswerMessage;
+        this.blockedTopicPattern = phrasePattern(blockedTopics);
+        this.promotionPattern = promotionPattern(competitors);
+        this.checkPrices = checkPrices;
+        this.logger = logger;
+    }
+
+    /**
+     * Classify a visitor's message before it reaches the model
+     *
+     * Returns `{ check, response }` with the reply to send instead, or null
+     * when the message can go through.
+     */
+    screenInput(message) {
+        const text = String(message || '');
+
+        if (ABUSE_PATTERNS.some(pattern => pattern.test(text))) {
+            return this.flag({ check: 'abusive', response: this.abuseMessage });
+        }
+
+        const topic = this.blockedTopicPattern && text.match(this.blockedTopicPattern);
+        if (topic || OFF_TOPIC_PATTERNS.some(pattern => pattern.test(text))) {
+            return this.flag({ check: 'off_topic', response: this.offTopicMessage, detail: topic ? topic[1] : null });
+        }
+
+        return null;
+    }
+
+    /**
+     * Sanitize a tool result or retrieved content and mark it as untrusted
+     *
+     * Returns `{ content, removed }`: the value as JSON inside
+     * `<untrusted_data source="...">` tags, and how many sentences were
+     * removed for reading like instructions.
+     */
+    wrapUntrusted(source, value) {
+        let removed = 0;
+
+        const sanitize = (item) => {
+            if (typeof item === 'string') {
+                const text = item.replace(INVISIBLE_PATTERN, '').replace(CONTROL_PATTERN, ' ');
+                return replaceSentences(text, sentence => {
+                    if (!INJECTION_PATTERNS.some(pattern => pattern.test(sentence))) return sentence;
+                    removed++;
+                    return '[removed: instructions found in the content]';
+                });
+            }
+            if (Array.isArray(item)) return item.map(sanitize);
+            if (item && typeof item === 'object') {
+                return Object.fromEntries(Object.entries(item).map(([key, child]) => [key, sanitize(child)]));
+            }
+            return item;
+        };
+
+        const content = JSON.stringify(sanitize(value));
+        if (removed > 0) {
+            this.flag({ check: 'injection', source, removed });
+        }
+
+        return { content: `<untrusted_data source="${source}">\n${content}\n</untrusted_data>`, removed };
+    }
+
+    /**
+     * Whether `checkAnswer` can change an answer, so it mustn't be streamed before the check
+     */
+    get checksAnswers() {
+        return Boolean(this.promotionPattern) || this.checkPrices;
+    }
+
+    /**
+     * Check a final answer against what the model was given
+     *
+     * `evidence` is the text of the content and earlier answers the model
+     * had. Offending sentences are removed; when nothing is left, the answer
+     * becomes `blockedAnswerMessage`. Returns `{ response, violations }`.
+     */
+    checkAnswer(response, { evidence = '' } = {}) {
+        if (!response) return { response, violations: [] };
+
+        const violations = [];
+        const known = this.checkPrices ? this.amountsIn(evidence) : null;
+
+        const checked = replaceSentences(response, sentence => {
+            const promotion = this.promotionPattern && sentence.match(this.promotionPattern);
+            if (promotion) {
+                violations.push({ check: 'competitor', detail: promotion[1] || promotion[2] });
+                return null;
+            }
+
+            if (known) {
+                const unsupported = [...sentence.matchAll(PRICE_PATTERN)]
+                    .filter(match => !known.has(parseAmount(match[1] || match[2])))
+                    .map(match => match[0].trim());
+                if (unsupported.length > 0) {
+                    violations.push({ check: 'price', detail: unsupported.join(', ') });
+                    return null;
+                }
+            }
+
+            return sentence;
+        });
+
+        if (violations.length === 0) {
+            return { response, violations };
+        }
+
+        violations.forEach(violation => this.flag(violation));
+
+        return {
+            response: /[A-Za-z0-9]/.test(checked) ? checked.trim() : this.blockedAnswerMessage,
+            violations
+        };
+    }
+
+    /**
+     * Every amount in the text, in hundredths, so "1,299" matches "1299.00"
+     */
+    amountsIn(text) {
+        return new Set([...String(text).matchAll(/\d[\d,]*(?:\.\d+)?/g)].map(match => parseAmount(match[0])));
+    }
+
+    flag(event) {
+        guardrailEvents.inc({ check: event.check });
+        const { response, ...fields } = event;
+        this.logger.warn(`🛡️  Guardrail triggered: ${event.check}${event.detail ? ` (${event.detail})` : ''}`, { guardrail: event.check, ...fields });
+        return event;
+    }
+}
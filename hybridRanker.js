@@ -0,0 +1,78 @@
+import { logger } from './logger.js';
+
+/**
+ * Merge several ranked result lists with reciprocal rank fusion
+ *
+ * Each item scores `1 / (k + rank)` in every list it appears in, so results
+ * that rank well in both keyword and vector search rise to the top without
+ * having to calibrate their raw scores against each other.
+ */
+export function reciprocalRankFusion(rankedLists, k = 60) {
+    const fused = new Map();
+
+    rankedLists.forEach(({ name, results }) => {
+        results.forEach((result, index) => {
+            const entry = fused.get(result.url) || { ...result, score: 0, ranks: {} };
+            entry.score += 1 / (k + index + 1);
+            entry.ranks[name] = index + 1;
+
+            // Keep the richest fields seen (e.g. the keyword snippet)
+            for (const [key, value] of Object.entries(result)) {
+                if (entry[key] === undefined || entry[key] === null || entry[key] === '') {
+                    entry[key] = value;
+                }
+            }
+
+            fused.set(result.url, entry);
+        });
+    });
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Hybrid retrieval combining keyword search with embedding similarity
+ */
+export class HybridRetriever {
+    constructor({ vectorStore, embeddingProvider, keywordSearch, k = 60 }) {
+        this.vectorStore = vectorStore;
+        this.embeddingProvider = embeddingProvider;
+        this.keywordSearch = keywordSearch;
+        this.k = k;
+    }
+
+    isAvailable() {
+        return Boolean(this.vectorStore && !this.vectorStore.isEmpty() &&
+            this.vectorStore.providerId === this.embeddingProvider.id);
+    }
+
+    async search(query, limit = 5) {
+        const candidates = limit * 3;
+        const keywordResults = this.keywordSearch(query, candidates);
+        let vectorResults = [];
+
+        try {
+            const [queryVector] = await this.embeddingProvider.embed([query]);
+            vectorResults = this.vectorStore.search(queryVector, candidates);
+        } catch (error) {
+            // Keyword results are still useful if the embedding backend is down
+            logger.error('❌ Embedding query failed, using keyword results only:', { error });
+        }
+
+        return reciprocalRankFusion([
+            { name: 'keyword', results: keywordResults },
+            { name: 'vector', results: vectorResults }
+        ], this.k)
+            .slice(0, limit)
+            .map(result => ({
+                url: result.url,
+                title: result.title,
+                category: result.category,
+                heading: result.heading || null,
+                snippet: result.snippet || null,
+                ranks: result.ranks,
+                score: Math.round(result.score * 10000) / 10000,
+                similarity: result.similarity !== undefined ? Math.round(result.similarity * 1000) / 1000 : null
+            }));
+    }
+}
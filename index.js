@@ -1,113 +1,671 @@
 import dotenv from 'dotenv';
 import express from 'express';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
-import { SitemapParser } from './sitemapParser.js';
-import { WebScraper } from './webScraper.js';
-import { RAGChatbot } from './chatbot.js';
+import { createLLMProvidersFromEnv } from './llmProviders.js';
+import { Cassette, RecordingLLMProvider } from './cassette.js';
+import { createEmbeddingProvider } from './embeddings.js';
+import { isValidSessionId } from './sessionStore.js';
+import { loadSiteConfigs } from './siteConfig.js';
+import { createSite, describeSite } from './site.js';
+import { fetchPolicyOptionsFromEnv } from './fetchPolicy.js';
+import { loadApiKeys } from './apiKeys.js';
+import { RateLimiter, TokenQuota } from './rateLimiter.js';
+import { logger, runWithTrace, bindTrace } from './logger.js';
+import { metrics, httpRequestDuration } from './metrics.js';
+import { FEEDBACK_RATINGS, transcriptsToCsv } from './transcriptStore.js';
+import { startRepl, runBatch } from './cli.js';
 
 // Load environment variables
 dotenv.config();
 
+// Usage: node index.js [--cli | --batch <file|->] [--output <file>] [--site <id>] [--no-server]
+const argument = (name) => (process.argv.includes(name) ? process.argv[process.argv.indexOf(name) + 1] : null);
+const cliMode = process.argv.includes('--cli');
+const batchInput = argument('--batch');
+// A batch run exits when it's done, so it never starts the server
+const startServer = !process.argv.includes('--no-server') && !batchInput;
+
+logger.configure({
+    // Keep the terminal for the conversation in CLI and batch mode
+    level: process.env.LOG_LEVEL || (cliMode || batchInput ? 'warn' : 'info'),
+    format: process.env.LOG_FORMAT || 'pretty',
+    redact: process.env.REDACT_PII !== 'false'
+});
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Initialize components
-const sitemapDir = path.join(__dirname, 'www.vsf.technology');
-const sitemapParser = new SitemapParser(sitemapDir);
-const webScraper = new WebScraper();
+// Record or replay LLM and web traffic (CASSETTE_MODE=record|replay)
+const cassetteMode = process.env.CASSETTE_MODE;
+const cassetteDir = process.env.CASSETTE_DIR || path.join(__dirname, 'cassettes');
+const webCassette = cassetteMode ? new Cassette(path.join(cassetteDir, 'web.json'), cassetteMode) : null;
+const llmCassette = cassetteMode ? new Cassette(path.join(cassetteDir, 'llm.json'), cassetteMode) : null;
+
+if (cassetteMode) {
+    logger.info(`📼 Cassette mode: ${cassetteMode} (${cassetteDir})`);
+}
+
+// Embedding provider for semantic search, shared by all sites
+const embeddingProvider = createEmbeddingProvider({
+    type: process.env.EMBEDDING_PROVIDER || 'local',
+    apiUrl: process.env.EMBEDDING_API_URL,
+    apiKey: process.env.EMBEDDING_API_KEY,
+    model: process.env.EMBEDDING_MODEL
+});
+
+// Initialize LLM providers (primary model plus optional fallback)
+// The scripted mock provider is already deterministic, so it is never recorded
+const llmProviders = createLLMProvidersFromEnv()
+    .map(provider => (llmCassette && provider.name !== 'mock' ? new RecordingLLMProvider(provider, llmCassette) : provider));
+logger.info(`🧠 LLM: ${llmProviders.map(provider => provider.id).join(' → ')}`);
+
+// Load every configured site; each gets its own sitemaps, indexes, cache and sessions
+const siteConfigs = loadSiteConfigs(process.env.SITES_CONFIG || path.join(__dirname, 'sites.json'), {
+    rootDir: __dirname
+});
+
+const settings = {
+    pageCacheTtlMs: (parseInt(process.env.PAGE_CACHE_TTL_MINUTES, 10) || 360) * 60 * 1000,
+    pageCacheMaxEntries: parseInt(process.env.PAGE_CACHE_MAX_ENTRIES, 10) || 1000,
+    sessionStore: process.env.SESSION_STORE || 'memory',
+    sessionTtlMs: (parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30) * 60 * 1000,
+    maxSessions: parseInt(process.env.MAX_SESSIONS, 10) || 1000,
+    maxFetchUrls: parseInt(process.env.MAX_FETCH_URLS, 10) || 5,
+    fetchTokenBudget: parseInt(process.env.FETCH_TOKEN_BUDGET, 10) || 3000,
+    toolTimeoutMs: parseInt(process.env.TOOL_TIMEOUT_MS, 10) || 20000,
+    sitemapWatch: process.env.SITEMAP_WATCH !== 'false',
+    // 0 turns polling off
+    sitemapPollMs: (process.env.SITEMAP_POLL_MINUTES === undefined ? 60 : parseInt(process.env.SITEMAP_POLL_MINUTES, 10) || 0) * 60 * 1000,
+    historyTokenBudget: parseInt(process.env.HISTORY_TOKEN_BUDGET, 10) || 2000,
+    workingSetPages: parseInt(process.env.WORKING_SET_PAGES, 10) || 6,
+    workingSetTokenBudget: parseInt(process.env.WORKING_SET_TOKEN_BUDGET, 10) || 1500,
+    fetchPolicy: fetchPolicyOptionsFromEnv(),
+    redactPii: process.env.REDACT_PII !== 'false',
+    supportWebhookUrl: process.env.SUPPORT_WEBHOOK_URL,
+    supportWebhookSecret: process.env.SUPPORT_WEBHOOK_SECRET
+};
 
-// Load sitemaps
-console.log('📚 Loading sitemaps...');
-await sitemapParser.loadSitemaps();
+const sites = new Map();
+for (const config of siteConfigs.sites) {
+    sites.set(config.id, await createSite(config, { llmProviders, embeddingProvider, webCassette, settings }));
+}
+const defaultSite = sites.get(siteConfigs.defaultSite);
 
-// Initialize chatbot
-const chatbot = new RAGChatbot(
-    process.env.OPENROUTER_API_KEY,
-    process.env.MODEL,
-    sitemapParser,
-    webScraper
-);
+logger.info(`\n✅ Chatbot initialized for ${sites.size} site${sites.size === 1 ? '' : 's'}: ${[...sites.keys()].join(', ')} (default: ${defaultSite.id})\n`);
 
-console.log('✅ Chatbot initialized!\n');
+// API keys, request rate limits and daily token quotas
+const apiKeys = loadApiKeys({ filePath: process.env.API_KEYS_FILE || path.join(__dirname, 'api-keys.json') });
+const requireApiKey = process.env.REQUIRE_API_KEY === 'true';
+const rateLimiter = new RateLimiter({ windowMs: 60 * 1000 });
+const tokenQuota = new TokenQuota({ filePath: process.env.TOKEN_USAGE_FILE || null });
+
+// A limit of 0 means unlimited
+const parseLimit = (value, fallback) => {
+    const limit = value === undefined || value === '' ? fallback : parseInt(value, 10);
+    return limit > 0 ? limit : null;
+};
+const accessLimits = {
+    anonymousRequestsPerMinute: parseLimit(process.env.RATE_LIMIT_PER_MINUTE, 30),
+    anonymousDailyTokens: parseLimit(process.env.ANON_DAILY_TOKEN_QUOTA, 100000),
+    keyRequestsPerMinute: parseLimit(process.env.API_KEY_RATE_LIMIT_PER_MINUTE, 120),
+    keyDailyTokens: parseLimit(process.env.API_KEY_DAILY_TOKEN_QUOTA, 1000000)
+};
+
+logger.info(`🔑 ${apiKeys.size()} API key${apiKeys.size() === 1 ? '' : 's'} loaded${requireApiKey ? ', API key required' : ''}`);
 
 // Create Express app
 const app = express();
 
-// Add request logging middleware
+// Honour X-Forwarded-For from a reverse proxy so per-IP limits see real client addresses
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
+app.use(express.json());
+
+/**
+ * Route pattern of a request for metric labels, e.g. `/api/sites/:siteId/chat`
+ */
+function routeLabel(req) {
+    if (!req.route) return 'unmatched';
+    return `${req.baseUrl.replace(/^\/api\/sites\/[^/]+/, '/api/sites/:siteId')}${req.route.path}`;
+}
+
+// Run each request under a trace ID (a proxy's X-Request-Id, or a new one) that
+// every log line it causes carries, and record its latency. Registered after the
+// body parser so the trace isn't lost in its stream callbacks.
 app.use((req, res, next) => {
-    console.log(`\n📥 ${req.method} ${req.path}`);
-    next();
+    const requestId = req.get('X-Request-Id');
+    const traceId = requestId && /^[\w.-]{1,128}$/.test(requestId) ? requestId : crypto.randomUUID();
+    res.set('X-Trace-Id', traceId);
+
+    runWithTrace({ traceId }, () => {
+        // Routers rewrite req.path, so keep the original for the finish line
+        const { method, path: requestPath } = req;
+        const endTimer = httpRequestDuration.startTimer({ method });
+        logger.info(`\n📥 ${method} ${requestPath}`, { method, path: requestPath });
+
+        res.on('finish', bindTrace(() => {
+            const durationMs = Math.round(endTimer({ route: routeLabel(req), status: res.statusCode }) * 1000);
+            logger.info(`📤 ${res.statusCode} ${method} ${requestPath} (${durationMs}ms)`, {
+                method,
+                path: requestPath,
+                status: res.statusCode,
+                durationMs,
+                client: req.client ? req.client.id : null
+            });
+        }));
+
+        next();
+    });
 });
 
-app.use(express.json());
 app.use(express.static('public'));
 
+// Resolve the caller's session from the X-Session-Id header or session cookie
+const SESSION_COOKIE = 'sessionId';
+
+app.use('/api', (req, res, next) => {
+    const cookies = Object.fromEntries(
+        (req.headers.cookie || '')
+            .split(';')
+            .map(cookie => cookie.trim().split('='))
+            .filter(([name, value]) => name && value)
+            .map(([name, value]) => [name, decodeURIComponent(value)])
+    );
+
+    let sessionId = req.get('X-Session-Id') || cookies[SESSION_COOKIE];
+
+    if (!isValidSessionId(sessionId)) {
+        sessionId = crypto.randomUUID();
+        res.cookie(SESSION_COOKIE, sessionId, { httpOnly: true, sameSite: 'lax' });
+    }
+
+    req.sessionId = sessionId;
+    res.set('X-Session-Id', sessionId);
+    next();
+});
+
+// Admin API: requires `Authorization: Bearer <ADMIN_TOKEN>`, disabled when ADMIN_TOKEN is unset
+function requireAdmin(req, res, next) {
+    if (!process.env.ADMIN_TOKEN) {
+        return res.status(503).json({ error: 'Admin API is disabled (set ADMIN_TOKEN)' });
+    }
+
+    if (!hasBearerToken(req, process.env.ADMIN_TOKEN)) {
+        return res.status(401).json({ error: 'Invalid admin token' });
+    }
+
+    next();
+}
+
+function hasBearerToken(req, token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const actual = Buffer.from(req.get('Authorization') || '');
+
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// Page cache counters are read from each site's cache when metrics are scraped
+const pageCacheSamples = (read) => () => [...sites.values()].map(site => ({ labels: { site: site.id }, value: read(site.pageCache) }));
+
+metrics.counter({
+    name: 'chatbot_page_cache_hits_total',
+    help: 'Pages served from the page cache, including revalidated ones',
+    labelNames: ['site'],
+    collect: pageCacheSamples(pageCache => pageCache.stats.hits)
+});
+metrics.counter({
+    name: 'chatbot_page_cache_misses_total',
+    help: 'Pages downloaded because they were not cached',
+    labelNames: ['site'],
+    collect: pageCacheSamples(pageCache => pageCache.stats.misses)
+});
+metrics.gauge({
+    name: 'chatbot_page_cache_hit_ratio',
+    help: 'Share of page lookups served from the cache since startup',
+    labelNames: ['site'],
+    collect: pageCacheSamples(({ stats }) => (stats.hits + stats.misses > 0 ? stats.hits / (stats.hits + stats.misses) : 0))
+});
+metrics.gauge({
+    name: 'chatbot_page_cache_entries',
+    help: 'Pages currently in the page cache',
+    labelNames: ['site'],
+    collect: pageCacheSamples(pageCache => pageCache.entries.size)
+});
+
+// Prometheus metrics; with METRICS_TOKEN set, scrapers must send it as a bearer token
+app.get('/metrics', (req, res) => {
+    if (process.env.METRICS_TOKEN && !hasBearerToken(req, process.env.METRICS_TOKEN)) {
+        return res.status(401).json({ error: 'Invalid metrics token' });
+    }
+
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Origins allowed to call every site's API from a browser, on top of each site's `allowedOrigins`
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+
+/**
+ * CORS for websites embedding the chat widget
+ *
+ * Cross-origin calls are only answered for origins the site allows; others
+ * are refused so other websites can't spend the site's quota. Same-origin
+ * requests (the bundled web interface) always pass.
+ */
+function siteCors(req, res, next) {
+    const origin = req.get('Origin');
+    if (!origin || req.path.startsWith('/admin/')) return next();
+
+    let originHost;
+    try {
+        originHost = new URL(origin).host;
+    } catch (error) {
+        return res.status(403).json({ error: 'Invalid Origin header' });
+    }
+    if (originHost === req.get('host')) return next();
+
+    const allowed = corsOrigins.includes('*') || corsOrigins.includes(origin) || req.site.config.allowedOrigins.includes(origin);
+    if (!allowed) {
+        return res.status(403).json({ error: `Origin ${origin} is not allowed for site ${req.site.id}` });
+    }
+
+    res.vary('Origin');
+    res.set({
+        'Access-Control-Allow-Origin': origin,
+        'Access-Control-Expose-Headers': 'X-Session-Id, X-Trace-Id, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+    });
+
+    if (req.method === 'OPTIONS') {
+        res.set({
+            'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+            'Access-Control-Allow-Headers': 'Content-Type, X-Session-Id, X-API-Key',
+            'Access-Control-Max-Age': '600'
+        });
+        return res.sendStatus(204);
+    }
+
+    next();
+}
+
+// Identify the client by API key (X-API-Key header) or IP address and apply its request rate limits
+function authenticateClient(req, res, next) {
+    // The admin API has its own token
+    if (req.path.startsWith('/admin/')) return next();
+
+    const presentedKey = req.get('X-API-Key');
+    let client;
+
+    if (presentedKey) {
+        const entry = apiKeys.authenticate(presentedKey);
+        if (!entry) {
+            return res.status(401).json({ error: 'Invalid API key' });
+        }
+        if (!apiKeys.allowsSite(entry, req.site.id)) {
+            return res.status(403).json({ error: `API key is not valid for site ${req.site.id}` });
+        }
+
+        client = {
+            id: `key:${entry.name}`,
+            requestsPerMinute: entry.requestsPerMinute === undefined ? accessLimits.keyRequestsPerMinute : parseLimit(entry.requestsPerMinute, 0),
+            dailyTokens: entry.dailyTokenQuota === undefined ? accessLimits.keyDailyTokens : parseLimit(entry.dailyTokenQuota, 0)
+        };
+    } else {
+        if (requireApiKey) {
+            return res.status(401).json({ error: 'API key required (send it in the X-API-Key header)' });
+        }
+
+        client = {
+            id: `ip:${req.ip}`,
+            requestsPerMinute: accessLimits.anonymousRequestsPerMinute,
+            dailyTokens: accessLimits.anonymousDailyTokens
+        };
+    }
+
+    req.client = client;
+
+    // Keys published in a page (the widget's data-api-key) can be copied, so
+    // keyed requests are also held to the per-IP limit
+    const limits = [[client.id, client.requestsPerMinute]];
+    if (presentedKey) {
+        limits.push([`ip:${req.ip}`, accessLimits.anonymousRequestsPerMinute]);
+    }
+
+    // Report the limit that is exceeded, or else the one closest to it
+    const rate = limits
+        .filter(([, limit]) => limit)
+        .map(([id, limit]) => rateLimiter.consume(id, limit))
+        .reduce((tightest, current) => {
+            if (!tightest) return current;
+            if (tightest.allowed !== current.allowed) return tightest.allowed ? current : tightest;
+            return current.remaining < tightest.remaining ? current : tightest;
+        }, null);
+
+    if (rate) {
+        res.set({
+            'X-RateLimit-Limit': String(rate.limit),
+            'X-RateLimit-Remaining': String(rate.remaining),
+            'X-RateLimit-Reset': String(Math.ceil(rate.resetAt / 1000))
+        });
+
+        if (!rate.allowed) {
+            const retryAfter = Math.ceil(rate.retryAfterMs / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Rate limit exceeded', retryAfter });
+        }
+    }
+
+    next();
+}
+
+// Refuse chat turns once the client's daily token quota is used up
+function requireTokenQuota(req, res, next) {
+    const quota = tokenQuota.check(req.client.id, req.client.dailyTokens);
+
+    if (quota.limit !== null) {
+        res.set('X-TokenQuota-Remaining', String(quota.remaining));
+    }
+
+    if (!quota.allowed) {
+        const retryAfter = Math.ceil(quota.retryAfterMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Daily token quota exceeded', used: quota.used, limit: quota.limit, retryAfter });
+    }
+
+    next();
+}
+
+// Charge each completion's tokens to the client as the turn runs
+const chargeUsage = (req) => usage => tokenQuota.charge(req.client.id, usage.total_tokens);
+
+// Per-site API, mounted at /api/sites/:siteId and (for the default site) at /api
+const siteApi = express.Router();
+
+siteApi.use(siteCors);
+siteApi.use(authenticateClient);
+
+// Public site details and branding for the chat UI
+siteApi.get('/', (req, res) => {
+    res.json(describeSite(req.site));
+});
+
 // API endpoint for chat
-app.post('/api/chat', async (req, res) => {
+siteApi.post('/chat', requireTokenQuota, async (req, res) => {
     try {
-        console.log('💬 Received request body:', JSON.stringify(req.body));
-        console.log('💬 Content-Type:', req.headers['content-type']);
+        logger.debug(`💬 Received request body: ${JSON.stringify(req.body)}`, { contentType: req.headers['content-type'] });
 
         const { message } = req.body;
 
         if (!message) {
-            console.log('❌ No message found in request body');
+            logger.warn('❌ No message found in request body');
             return res.status(400).json({ error: 'Message is required' });
         }
 
-        console.log('✅ Message received:', message);
-        const response = await chatbot.chat(message);
-        res.json({ response });
+        logger.info(`✅ Message received: ${message}`, { site: req.site.id });
+        const answer = await req.site.chatbot.chat(message, { sessionId: req.sessionId, onUsage: chargeUsage(req) });
+        res.json({ ...answer, sessionId: req.sessionId });
     } catch (error) {
-        console.error('❌ Error:', error);
+        logger.error('❌ Error:', { error });
         res.status(500).json({ error: 'Failed to process message' });
     }
 });
 
-// API endpoint to reset conversation
-app.post('/api/reset', (req, res) => {
-    chatbot.resetConversation();
-    res.json({ message: 'Conversation reset successfully' });
+// Streaming API endpoint for chat (Server-Sent Events)
+siteApi.post('/chat/stream', requireTokenQuota, async (req, res) => {
+    const { message } = req.body || {};
+
+    if (!message) {
+        return res.status(400).json({ error: 'Message is required' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const sendEvent = (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Stop calling the model if the client goes away mid-turn
+    const abortController = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) abortController.abort();
+    });
+
+    try {
+        logger.info(`✅ Streaming message received: ${message}`, { site: req.site.id });
+        const answer = await req.site.chatbot.chat(message, {
+            sessionId: req.sessionId,
+            onUsage: chargeUsage(req),
+            signal: abortController.signal,
+            onEvent: ({ type, ...data }) => sendEvent(type, data)
+        });
+        sendEvent('done', { ...answer, sessionId: req.sessionId });
+    } catch (error) {
+        logger.error('❌ Error:', { error });
+        sendEvent('error', { error: 'Failed to process message' });
+    } finally {
+        res.end();
+    }
 });
 
-// API endpoint to get all URLs
-app.get('/api/urls', (req, res) => {
-    const urls = sitemapParser.getAllUrls();
-    res.json({ count: urls.length, urls });
+// API endpoint to reset the caller's conversation
+siteApi.post('/reset', async (req, res) => {
+    try {
+        await req.site.chatbot.resetConversation(req.sessionId);
+        res.json({ message: 'Conversation reset successfully' });
+    } catch (error) {
+        logger.error('❌ Error:', { error });
+        res.status(500).json({ error: 'Failed to reset conversation' });
+    }
 });
 
-// Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`\n🚀 Server running on http://localhost:${PORT}`);
-    console.log(`\n💡 Test the chatbot by sending POST requests to http://localhost:${PORT}/api/chat`);
-    console.log(`   Example: { "message": "Tell me about WordPress hosting" }\n`);
+// Rate an answer; only the session that received it can rate it
+siteApi.post('/feedback', (req, res) => {
+    const { turnId, rating, comment } = req.body || {};
+    const turn = typeof turnId === 'string' ? req.site.transcriptStore.get(turnId) : null;
+
+    if (!turn || turn.sessionId !== req.sessionId) {
+        return res.status(404).json({ error: 'Unknown turn' });
+    }
+    if (!FEEDBACK_RATINGS.includes(rating)) {
+        return res.status(400).json({ error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}` });
+    }
+    if (comment !== undefined && typeof comment !== 'string') {
+        return res.status(400).json({ error: 'comment must be a string' });
+    }
+
+    const feedback = req.site.transcriptStore.addFeedback(turnId, { rating, comment });
+    logger.info(`📝 Feedback: ${rating} for turn ${turnId}`, { turnId, rating, site: req.site.id });
+    res.json({ turnId, feedback });
 });
 
-// CLI Mode (for testing)
-if (process.argv.includes('--cli')) {
-    console.log('\n🎮 CLI Mode - Enter your questions:\n');
+/**
+ * Transcript filter from admin query parameters (`rating`, `q`, `since`, `until`, `sessionId`)
+ */
+function transcriptFilter(query) {
+    const text = value => (typeof value === 'string' && value ? value : null);
+    return {
+        rating: text(query.rating),
+        q: text(query.q),
+        since: text(query.since),
+        until: text(query.until),
+        sessionId: text(query.sessionId)
+    };
+}
 
-    process.stdin.on('data', async (data) => {
-        const message = data.toString().trim();
+// List conversations, newest first; `?rating=down` finds the ones with negative feedback
+siteApi.get('/admin/conversations', requireAdmin, (req, res) => {
+    const conversations = req.site.transcriptStore.listConversations(transcriptFilter(req.query));
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    const offset = parseInt(req.query.offset, 10) || 0;
 
-        if (message.toLowerCase() === 'exit' || message.toLowerCase() === 'quit') {
-            process.exit(0);
-        }
+    res.json({
+        total: conversations.length,
+        conversations: conversations.slice(offset, offset + limit).map(({ turns, ...summary }) => ({
+            ...summary,
+            firstMessage: turns[0].message
+        }))
+    });
+});
 
-        if (message.toLowerCase() === 'reset') {
-            chatbot.resetConversation();
-            return;
-        }
+// Download matching conversations as JSONL (one conversation per line) or CSV (one turn per row)
+siteApi.get('/admin/conversations/export', requireAdmin, (req, res) => {
+    const conversations = req.site.transcriptStore.listConversations(transcriptFilter(req.query));
+    const format = req.query.format === 'csv' ? 'csv' : 'jsonl';
 
-        if (message) {
-            try {
-                await chatbot.chat(message);
-            } catch (error) {
-                console.error('Error:', error.message);
-            }
-        }
+    res.attachment(`${req.site.id}-conversations.${format}`);
+    if (format === 'csv') {
+        return res.type('text/csv').send(transcriptsToCsv(conversations));
+    }
+    res.type('application/x-ndjson').send(conversations.map(conversation => JSON.stringify(conversation)).join('\n') + '\n');
+});
+
+// One conversation with every turn's tool calls, sources and feedback
+siteApi.get('/admin/conversations/:sessionId', requireAdmin, (req, res) => {
+    const [conversation] = req.site.transcriptStore.listConversations({ sessionId: req.params.sessionId });
+
+    if (!conversation) {
+        return res.status(404).json({ error: 'Unknown conversation' });
+    }
+    res.json(conversation);
+});
+
+// Support requests raised in chat, newest first, with their transcripts and webhook delivery status
+siteApi.get('/admin/support-requests', requireAdmin, (req, res) => {
+    const requests = req.site.supportDesk.list();
+    res.json({ count: requests.length, requests });
+});
+
+// Inspect the page cache
+siteApi.get('/admin/cache', requireAdmin, (req, res) => {
+    res.json({ ...req.site.pageCache.describe(), warm: req.site.cacheWarmStatus });
+});
+
+// Purge one URL (?url=...) or the whole page cache
+siteApi.delete('/admin/cache', requireAdmin, (req, res) => {
+    const { pageCache } = req.site;
+
+    if (req.query.url) {
+        const purged = pageCache.delete(req.query.url);
+        return res.json({ purged: purged ? 1 : 0 });
+    }
+
+    const purged = pageCache.entries.size;
+    pageCache.clear();
+    res.json({ purged });
+});
+
+// Reload the sitemaps now and return the report (added, removed and changed URLs)
+siteApi.post('/admin/reindex', requireAdmin, async (req, res) => {
+    const report = await req.site.sitemapReloader.reload({ trigger: 'admin' });
+    res.status(report.status === 'failed' ? 500 : 200).json(report);
+});
+
+// Warm the cache for all sitemap URLs (or `urls` in the body) in the background
+siteApi.post('/admin/cache/warm', requireAdmin, (req, res) => {
+    const { site } = req;
+
+    if (site.cacheWarmStatus.running) {
+        return res.status(409).json({ error: 'Cache warm already running', warm: site.cacheWarmStatus });
+    }
+
+    const urls = Array.isArray(req.body && req.body.urls)
+        ? req.body.urls
+        : site.sitemapParser.getAllUrls().map(urlData => urlData.url);
+    const force = Boolean(req.body && req.body.force);
+
+    const status = { running: true, total: urls.length, done: 0, failed: 0, startedAt: new Date().toISOString() };
+    site.cacheWarmStatus = status;
+
+    site.webScraper.warmCache(urls, {
+        force,
+        onProgress: progress => Object.assign(status, progress)
+    })
+        .catch(error => {
+            logger.error('❌ Cache warm failed:', { site: site.id, error });
+            status.error = error.message;
+        })
+        .finally(() => {
+            status.running = false;
+            status.finishedAt = new Date().toISOString();
+        });
+
+    res.status(202).json({ message: 'Cache warm started', warm: status });
+});
+
+// API endpoint to get all URLs, with how and when the sitemaps were last reloaded
+siteApi.get('/urls', (req, res) => {
+    const urls = req.site.sitemapParser.getAllUrls();
+    res.json({ count: urls.length, urls, reload: req.site.sitemapReloader.describe() });
+});
+
+// Structured product data; `?q=` looks products up (extracting them if needed)
+siteApi.get('/products', async (req, res) => {
+    try {
+        const products = req.query.q
+            ? await req.site.chatbot.findProducts(String(req.query.q), parseInt(req.query.limit, 10) || 5)
+            : req.site.productCatalog.list();
+        res.json({ count: products.length, products });
+    } catch (error) {
+        logger.error('Error in /api/products endpoint:', { error });
+        res.status(500).json({ error: 'Internal server error', message: error.message });
+    }
+});
+
+// List the sites this instance serves
+app.get('/api/sites', (req, res) => {
+    res.json({
+        defaultSite: defaultSite.id,
+        sites: [...sites.values()].map(describeSite)
+    });
+});
+
+app.use('/api/sites/:siteId', (req, res, next) => {
+    req.site = sites.get(req.params.siteId);
+    if (!req.site) {
+        return res.status(404).json({ error: `Unknown site: ${req.params.siteId}` });
+    }
+    next();
+}, siteApi);
+
+app.use('/api', (req, res, next) => {
+    req.site = defaultSite;
+    next();
+}, siteApi);
+
+// Start server
+const PORT = process.env.PORT || 3000;
+if (startServer) {
+    app.listen(PORT, () => {
+        logger.info(`\n🚀 Server running on http://localhost:${PORT}`, { port: Number(PORT) });
+        logger.info(`\n💡 Test the chatbot by sending POST requests to http://localhost:${PORT}/api/chat`);
+        logger.info(`   (or http://localhost:${PORT}/api/sites/<siteId>/chat for a specific site,`);
+        logger.info(`    and .../chat/stream for Server-Sent Events)`);
+        logger.info(`   Example: { "message": "Tell me about WordPress hosting" }\n`);
     });
 }
 
+// CLI and batch modes; `--site <id>` picks a site other than the default
+if (cliMode || batchInput) {
+    const cliSite = argument('--site') ? sites.get(argument('--site')) : defaultSite;
+
+    if (!cliSite) {
+        console.error(`Unknown site: ${argument('--site')}`);
+        process.exit(1);
+    }
+
+    if (batchInput) {
+        const { failed } = await runBatch(cliSite, { inputPath: batchInput, outputPath: argument('--output') });
+        process.exit(failed > 0 ? 1 : 0);
+    }
+
+    await startRepl(sites, cliSite, { historyFile: process.env.CLI_HISTORY_FILE || undefined });
+    process.exit(0);
+}
@@ -0,0 +1,515 @@
+import axios from 'axios';
+import { MockLLMProvider } from './mockLLMProvider.js';
+
+/**
+ * LLM provider adapters
+ *
+ * The chatbot speaks the OpenAI chat-completions format internally: messages
+ * with `tool_calls` / `role: 'tool'` results and function-style tool
+ * definitions. Every provider takes that format in and returns an
+ * OpenAI-shaped completion (`{ choices: [{ message, finish_reason }], usage }`),
+ * translating to and from its own wire format where needed.
+ */
+
+/**
+ * Error from an LLM provider, carrying the HTTP status when there is one
+ */
+export class LLMProviderError extends Error {
+    constructor(message, { status = null, provider = null, retryAfter = null } = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.status = status;
+        this.provider = provider;
+        this.retryAfter = retryAfter;
+    }
+
+    get isRateLimit() {
+        return this.status === 429;
+    }
+}
+
+/**
+ * Yield the JSON payload of each `data:` line in a Server-Sent Events stream
+ */
+async function* readSSE(stream) {
+    let buffer = '';
+
+    const parseLine = (line) => {
+        // Skip blank lines, `event:` lines and comments such as ": OPENROUTER PROCESSING"
+        if (!line.startsWith('data:')) return null;
+
+        const payload = line.slice('data:'.length).trim();
+        if (!payload || payload === '[DONE]') return null;
+
+        return JSON.parse(payload);
+    };
+
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf-8');
+
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const data = parseLine(buffer.slice(0, newlineIndex).trim());
+            buffer = buffer.slice(newlineIndex + 1);
+            if (data) yield data;
+        }
+    }
+
+    const data = parseLine(buffer.trim());
+    if (data) yield data;
+}
+
+/**
+ * Read a whole response stream into a string (used for error bodies)
+ */
+async function readStreamBody(stream) {
+    let body = '';
+    for await (const chunk of stream) {
+        body += chunk.toString('utf-8');
+    }
+    return body;
+}
+
+/**
+ * Provider for any OpenAI-compatible chat completions endpoint
+ * (OpenAI, vLLM, Ollama, LM Studio, ...)
+ */
+export class OpenAICompatibleProvider {
+    constructor({
+        name = 'openai',
+        baseUrl = 'https://api.openai.com/v1',
+        apiKey = null,
+        model,
+        temperature = 0.7,
+        maxTokens = 4000,
+        timeout = 60000,
+        headers = {}
+    } = {}) {
+        this.name = name;
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+        this.timeout = timeout;
+        this.headers = headers;
+    }
+
+    get id() {
+        return `${this.name}:${this.model}`;
+    }
+
+    getHeaders() {
+        return {
+            ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {}),
+            'Content-Type': 'application/json',
+            ...this.headers
+        };
+    }
+
+    /**
+     * Request a completion; with `onToken`, stream it and report content deltas
+     */
+    async complete({ messages, tools, onToken = null, signal }) {
+        const stream = typeof onToken === 'function';
+
+        const response = await axios.post(
+            `${this.baseUrl}/chat/completions`,
+            {
+                model: this.model,
+                messages,
+                ...(tools && tools.length > 0 ? { tools, tool_choice: 'auto' } : {}),
+                temperature: this.temperature,
+                max_tokens: this.maxTokens,
+                stream,
+                // Streams only report token usage when asked to
+                ...(stream ? { stream_options: { include_usage: true } } : {})
+            },
+            {
+                headers: this.getHeaders(),
+                timeout: this.timeout,
+                responseType: stream ? 'stream' : 'json',
+                signal,
+                validateStatus: () => true // Errors are reported with the response body below
+            }
+        );
+
+        if (response.status !== 200) {
+            const body = stream ? await readStreamBody(response.data) : JSON.stringify(response.data);
+            throw new LLMProviderError(`${this.name} returned status ${response.status}: ${body}`, {
+                status: response.status,
+                provider: this.id,
+                retryAfter: response.headers['retry-after'] || null
+            });
+        }
+
+        const data = stream ? await this.readStream(response.data, onToken) : response.data;
+
+        if (!data || !data.choices || !data.choices[0] || !data.choices[0].message) {
+            throw new LLMProviderError('Invalid response format from API', { provider: this.id });
+        }
+
+        return data;
+    }
+
+    /**
+     * Assemble a streamed completion from its deltas
+     */
+    async readStream(stream, onToken) {
+        const message = { role: 'assistant', content: '' };
+        const toolCalls = [];
+        let finishReason = null;
+        let usage = null;
+
+        for await (const chunk of readSSE(stream)) {
+            if (chunk.error) {
+                throw new LLMProviderError(`Stream error: ${JSON.stringify(chunk.error)}`, { provider: this.id });
+            }
+            if (chunk.usage) usage = chunk.usage;
+
+            const choice = chunk.choices && chunk.choices[0];
+            if (!choice) continue;
+            if (choice.finish_reason) finishReason = choice.finish_reason;
+
+            const delta = choice.delta || {};
+            if (delta.content) {
+                message.content += delta.content;
+                onToken(delta.content);
+            }
+
+            // Tool calls arrive in fragments keyed by index; arguments are concatenated
+            for (const fragment of delta.tool_calls || []) {
+                const index = fragment.index ?? toolCalls.length;
+                const toolCall = toolCalls[index] || (toolCalls[index] = {
+                    id: '',
+                    type: 'function',
+                    function: { name: '', arguments: '' }
+                });
+
+                if (fragment.id) toolCall.id = fragment.id;
+                if (fragment.function && fragment.function.name) toolCall.function.name += fragment.function.name;
+                if (fragment.function && fragment.function.arguments) toolCall.function.arguments += fragment.function.arguments;
+            }
+        }
+
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls.filter(Boolean);
+        }
+        if (!message.content && message.tool_calls) {
+            message.content = null;
+        }
+
+        return {
+            choices: [{ message, finish_reason: finishReason }],
+            usage
+        };
+    }
+}
+
+/**
+ * OpenRouter, with its attribution headers taken from config
+ */
+export class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor({ referer = 'http://localhost:3000', appName = 'VSF Technology Chatbot', ...options } = {}) {
+        super({
+            name: 'openrouter',
+            baseUrl: 'https://openrouter.ai/api/v1',
+            ...options,
+            headers: {
+                'HTTP-Referer': referer,
+                'X-Title': appName,
+                ...options.headers
+            }
+        });
+    }
+}
+
+const ANTHROPIC_STOP_REASONS = {
+    end_turn: 'stop',
+    stop_sequence: 'stop',
+    max_tokens: 'length',
+    tool_use: 'tool_calls'
+};
+
+/**
+ * Provider for Anthropic's Messages API
+ */
+export class AnthropicProvider {
+    constructor({
+        baseUrl = 'https://api.anthropic.com',
+        apiKey,
+        model,
+        temperature = 0.7,
+        maxTokens = 4000,
+        timeout = 60000,
+        version = '2023-06-01'
+    } = {}) {
+        this.name = 'anthropic';
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.temperature = temperature;
+        this.maxTokens = maxTokens;
+        this.timeout = timeout;
+        this.version = version;
+    }
+
+    get id() {
+        return `${this.name}:${this.model}`;
+    }
+
+    /**
+     * Translate OpenAI-format messages into Anthropic's system + messages
+     *
+     * Tool calls become `tool_use` blocks on the assistant turn, and tool
+     * results become `tool_result` blocks on a user turn. Consecutive turns
+     * from the same role are merged, since Anthropic requires alternation.
+     */
+    toAnthropicMessages(messages) {
+        const system = [];
+        const converted = [];
+
+        for (const message of messages) {
+            if (message.role === 'system') {
+                system.push(message.content);
+                continue;
+            }
+
+            let role = message.role;
+            const blocks = [];
+
+            if (message.role === 'tool') {
+                role = 'user';
+                blocks.push({
+                    type: 'tool_result',
+                    tool_use_id: message.tool_call_id,
+                    content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+                });
+            } else {
+                if (message.content) {
+                    blocks.push({ type: 'text', text: message.content });
+                }
+
+                for (const toolCall of message.tool_calls || []) {
+                    let input = {};
+                    try {
+                        input = JSON.parse(toolCall.function.arguments || '{}');
+                    } catch (error) {
+                        // Anthropic requires an object; keep malformed arguments visible to the model
+                        input = { _raw: toolCall.function.arguments };
+                    }
+                    blocks.push({ type: 'tool_use', id: toolCall.id, name: toolCall.function.name, input });
+                }
+            }
+
+            // Anthropic rejects empty turns
+            if (blocks.length === 0) continue;
+
+            const previous = converted[converted.length - 1];
+            if (previous && previous.role === role) {
+                previous.content.push(...blocks);
+            } else {
+                converted.push({ role, content: blocks });
+            }
+        }
+
+        return { system: system.join('\n\n'), messages: converted };
+    }
+
+    toAnthropicTools(tools) {
+        return (tools || []).map(tool => ({
+            name: tool.function.name,
+            description: tool.function.description,
+            input_schema: tool.function.parameters
+        }));
+    }
+
+    /**
+     * Translate an Anthropic response into an OpenAI-shaped completion
+     */
+    toCompletion(content, stopReason, usage) {
+        const text = content.filter(block => block.type === 'text').map(block => block.text).join('');
+        const toolCalls = content
+            .filter(block => block.type === 'tool_use')
+            .map(block => ({
+                id: block.id,
+                type: 'function',
+                function: {
+                    name: block.name,
+                    arguments: typeof block.input === 'string' ? block.input : JSON.stringify(block.input || {})
+                }
+            }));
+
+        const message = { role: 'assistant', content: text || (toolCalls.length > 0 ? null : '') };
+        if (toolCalls.length > 0) {
+            message.tool_calls = toolCalls;
+        }
+
+        const promptTokens = (usage && usage.input_tokens) || 0;
+        const completionTokens = (usage && usage.output_tokens) || 0;
+
+        return {
+            choices: [{ message, finish_reason: ANTHROPIC_STOP_REASONS[stopReason] || stopReason || null }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+
+    async complete({ messages, tools, onToken = null, signal }) {
+        const stream = typeof onToken === 'function';
+        const { system, messages: anthropicMessages } = this.toAnthropicMessages(messages);
+        const anthropicTools = this.toAnthropicTools(tools);
+
+        const response = await axios.post(
+            `${this.baseUrl}/v1/messages`,
+            {
+                model: this.model,
+                ...(system ? { system } : {}),
+                messages: anthropicMessages,
+                ...(anthropicTools.length > 0 ? { tools: anthropicTools, tool_choice: { type: 'auto' } } : {}),
+                temperature: this.temperature,
+                max_tokens: this.maxTokens,
+                stream
+            },
+            {
+                headers: {
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': this.version,
+                    'Content-Type': 'application/json'
+                },
+                timeout: this.timeout,
+                responseType: stream ? 'stream' : 'json',
+                signal,
+                validateStatus: () => true
+            }
+        );
+
+        if (response.status !== 200) {
+            const body = stream ? await readStreamBody(response.data) : JSON.stringify(response.data);
+            throw new LLMProviderError(`anthropic returned status ${response.status}: ${body}`, {
+                status: response.status,
+                provider: this.id,
+                retryAfter: response.headers['retry-after'] || null
+            });
+        }
+
+        if (stream) {
+            return this.readStream(response.data, onToken);
+        }
+
+        if (!response.data || !Array.isArray(response.data.content)) {
+            throw new LLMProviderError('Invalid response format from API', { provider: this.id });
+        }
+
+        return this.toCompletion(response.data.content, response.data.stop_reason, response.data.usage);
+    }
+
+    /**
+     * Assemble a streamed Messages API response from its events
+     */
+    async readStream(stream, onToken) {
+        const blocks = [];
+        const usage = { input_tokens: 0, output_tokens: 0 };
+        let stopReason = null;
+
+        for await (const event of readSSE(stream)) {
+            switch (event.type) {
+                case 'message_start':
+                    Object.assign(usage, event.message && event.message.usage);
+                    break;
+                case 'content_block_start':
+                    blocks[event.index] = { ...event.content_block, partialJson: '' };
+                    break;
+                case 'content_block_delta': {
+                    const block = blocks[event.index];
+                    if (event.delta.type === 'text_delta') {
+                        block.text = (block.text || '') + event.delta.text;
+                        onToken(event.delta.text);
+                    } else if (event.delta.type === 'input_json_delta') {
+                        block.partialJson += event.delta.partial_json;
+                    }
+                    break;
+                }
+                case 'message_delta':
+                    if (event.delta && event.delta.stop_reason) stopReason = event.delta.stop_reason;
+                    if (event.usage) Object.assign(usage, event.usage);
+                    break;
+                case 'error':
+                    throw new LLMProviderError(`Stream error: ${JSON.stringify(event.error)}`, { provider: this.id });
+            }
+        }
+
+        const content = blocks.filter(Boolean).map(({ partialJson, ...block }) =>
+            block.type === 'tool_use' ? { ...block, input: partialJson || '{}' } : block
+        );
+
+        return this.toCompletion(content, stopReason, usage);
+    }
+}
+
+/**
+ * Create a provider from configuration
+ */
+export function createLLMProvider({ type = 'openrouter', ...options } = {}) {
+    switch (type) {
+        case 'openrouter':
+            return new OpenRouterProvider(options);
+        case 'openai':
+            return new OpenAICompatibleProvider(options);
+        case 'anthropic':
+            return new AnthropicProvider(options);
+        case 'mock':
+            return new MockLLMProvider(options);
+        default:
+            throw new Error(`Unknown LLM provider: ${type}`);
+    }
+}
+
+/**
+ * Build the primary provider and optional fallback from environment variables
+ */
+export function createLLMProvidersFromEnv(env = process.env) {
+    const number = (value) => (value !== undefined && value !== '' ? Number(value) : undefined);
+
+    const shared = {
+        temperature: number(env.LLM_TEMPERATURE),
+        maxTokens: number(env.LLM_MAX_TOKENS),
+        timeout: number(env.LLM_TIMEOUT_MS),
+        referer: env.LLM_REFERER,
+        appName: env.LLM_APP_NAME
+    };
+
+    // Drop unset values so provider defaults apply
+    const clean = (options) => Object.fromEntries(
+        Object.entries(options).filter(([, value]) => value !== undefined && value !== '')
+    );
+
+    const providers = [
+        createLLMProvider(clean({
+            ...shared,
+            type: env.LLM_PROVIDER || 'openrouter',
+            baseUrl: env.LLM_API_URL,
+            apiKey: env.LLM_API_KEY || env.OPENROUTER_API_KEY,
+            model: env.MODEL,
+            fixturePath: env.MOCK_LLM_FIXTURE
+        }))
+    ];
+
+    if (env.FALLBACK_MODEL) {
+        const fallbackType = env.FALLBACK_PROVIDER || env.LLM_PROVIDER || 'openrouter';
+        const sameProvider = fallbackType === (env.LLM_PROVIDER || 'openrouter');
+
+        providers.push(createLLMProvider(clean({
+            ...shared,
+            type: fallbackType,
+            baseUrl: env.FALLBACK_API_URL || (sameProvider ? env.LLM_API_URL : undefined),
+            apiKey: env.FALLBACK_API_KEY || (sameProvider ? env.LLM_API_KEY || env.OPENROUTER_API_KEY : undefined),
+            model: env.FALLBACK_MODEL
+        })));
+    }
+
+    return providers;
+}
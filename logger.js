@@ -0,0 +1,146 @@
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { redactPii, redactValue } from './pii.js';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Trace context of the request or chat turn being handled, e.g. `{ traceId }`
+const traceStorage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a trace context that every log line inside it (including
+ * awaited calls) is tagged with
+ */
+export function runWithTrace(context, fn) {
+    return traceStorage.run({ traceId: crypto.randomUUID(), ...context }, fn);
+}
+
+/**
+ * Wrap a callback (e.g. an event listener) so it runs in the current trace
+ */
+export function bindTrace(fn) {
+    return AsyncLocalStorage.bind(fn);
+}
+
+export function currentTrace() {
+    return traceStorage.getStore() || null;
+}
+
+/**
+ * Plain fields for an error, so it survives JSON.stringify
+ */
+function serializeError(error) {
+    if (!(error instanceof Error)) return error;
+
+    return {
+        message: error.message,
+        name: error.name,
+        ...(error.code ? { code: error.code } : {}),
+        ...(error.status ? { status: error.status } : {})
+    };
+}
+
+/**
+ * Leveled logger with human-readable or JSON output
+ *
+ * `pretty` prints the message as before (errors get their message appended);
+ * `json` prints one object per line with the level, time, trace ID and all
+ * fields, for log collectors. Log lines written inside `runWithTrace` carry its
+ * trace ID either way. With `redact` (the default), emails, phone and card
+ * numbers in messages and fields are masked before they are written.
+ */
+export class Logger {
+    constructor({ level = 'info', format = 'pretty', redact = true, fields = {}, root = null } = {}) {
+        this.root = root;
+        this.fields = fields;
+
+        if (!root) {
+            this.configure({ level, format, redact });
+        }
+    }
+
+    /**
+     * Change the level, format and redaction of this logger and all its children
+     */
+    configure({ level = this.level, format = this.format, redact = this.redact } = {}) {
+        if (this.root) {
+            this.root.configure({ level, format, redact });
+            return;
+        }
+        if (!(level in LEVELS)) {
+            throw new Error(`Unknown log level: ${level}`);
+        }
+        if (format !== 'pretty' && format !== 'json') {
+            throw new Error(`Unknown log format: ${format}`);
+        }
+
+        this.level = level;
+        this.format = format;
+        this.redact = redact;
+    }
+
+    /**
+     * Logger that adds `fields` to every line
+     */
+    child(fields) {
+        return new Logger({ fields: { ...this.fields, ...fields }, root: this.root || this });
+    }
+
+    isEnabled(level) {
+        return LEVELS[level] >= LEVELS[(this.root || this).level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return;
+
+        const trace = currentTrace();
+        let entry = { ...this.fields, ...fields };
+        if (entry.error) {
+            entry.error = serializeError(entry.error);
+        }
+        if ((this.root || this).redact) {
+            message = redactPii(message);
+            entry = redactValue(entry);
+        }
+
+        if ((this.root || this).format === 'json') {
+            process.stdout.write(`${JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                msg: message.replace(/^\s+|\s+$/g, ''),
+                ...(trace || {}),
+                ...entry
+            })}\n`);
+            return;
+        }
+
+        const prefix = trace ? `[${trace.traceId.slice(0, 8)}] ` : '';
+        const line = message.replace(/^(\n*)/, `$1${prefix}`);
+        const detail = entry.error && entry.error.message ? ` ${entry.error.message}` : '';
+        const write = LEVELS[level] >= LEVELS.warn ? console.error : console.log;
+        write(`${line}${detail}`);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+/**
+ * Shared logger. Entry points call `logger.configure()` with `LOG_LEVEL`
+ * (debug, info, warn, error, silent), `LOG_FORMAT` (pretty or json) and
+ * `REDACT_PII` once `.env` is loaded.
+ */
+export const logger = new Logger();
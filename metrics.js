@@ -0,0 +1,231 @@
+/**
+ * Minimal Prometheus metrics: counters, gauges and histograms rendered in
+ * the text exposition format for `GET /metrics`
+ */
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Shared label handling: samples are kept per combination of label values
+ *
+ * Pass `collect` to read values from elsewhere (e.g. cache stats) at scrape
+ * time instead; it returns `[{ labels, value }]`.
+ */
+class Metric {
+    constructor({ name, help, labelNames = [], collect = null }) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.collectFn = collect;
+        this.values = new Map();
+    }
+
+    key(labels) {
+        return JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+    }
+
+    labelsFor(labels) {
+        return Object.fromEntries(this.labelNames.map(name => [name, labels[name] ?? '']));
+    }
+
+    samples() {
+        if (this.collectFn) {
+            return this.collectFn().map(({ labels = {}, value }) => ({ labels: this.labelsFor(labels), value }));
+        }
+        return [...this.values.values()];
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const { labels, value } of this.samples()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export class Counter extends Metric {
+    get type() {
+        return 'counter';
+    }
+
+    inc(labels = {}, value = 1) {
+        const key = this.key(labels);
+        const sample = this.values.get(key) || { labels: this.labelsFor(labels), value: 0 };
+        sample.value += value;
+        this.values.set(key, sample);
+    }
+}
+
+export class Gauge extends Metric {
+    get type() {
+        return 'gauge';
+    }
+
+    set(labels, value) {
+        this.values.set(this.key(labels), { labels: this.labelsFor(labels), value });
+    }
+}
+
+export class Histogram extends Metric {
+    constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+        super(options);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    get type() {
+        return 'histogram';
+    }
+
+    observe(labels, value) {
+        const key = this.key(labels);
+        let sample = this.values.get(key);
+        if (!sample) {
+            sample = { labels: this.labelsFor(labels), counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, sample);
+        }
+
+        this.buckets.forEach((bound, index) => {
+            if (value <= bound) sample.counts[index]++;
+        });
+        sample.sum += value;
+        sample.count++;
+    }
+
+    /**
+     * Start timing; call the returned function (with any labels only known at
+     * the end, such as an outcome) to record the duration in seconds
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (endLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...endLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, index) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+            });
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+        }
+        return lines.join('\n');
+    }
+}
+
+export class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+    }
+
+    register(metric) {
+        if (this.metrics.has(metric.name)) {
+            throw new Error(`Metric ${metric.name} is already registered`);
+        }
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+
+    counter(options) {
+        return this.register(new Counter(options));
+    }
+
+    gauge(options) {
+        return this.register(new Gauge(options));
+    }
+
+    histogram(options) {
+        return this.register(new Histogram(options));
+    }
+
+    /**
+     * Every metric in the Prometheus text format
+     */
+    render() {
+        return `${[...this.metrics.values()].map(metric => metric.render()).join('\n\n')}\n`;
+    }
+}
+
+// Shared registry and the metrics recorded across modules
+export const metrics = new MetricsRegistry();
+
+export const httpRequestDuration = metrics.histogram({
+    name: 'chatbot_http_request_duration_seconds',
+    help: 'HTTP request latency',
+    labelNames: ['method', 'route', 'status']
+});
+
+export const llmRequestDuration = metrics.histogram({
+    name: 'chatbot_llm_request_duration_seconds',
+    help: 'Latency of each LLM request attempt',
+    labelNames: ['provider', 'outcome']
+});
+
+export const llmRetries = metrics.counter({
+    name: 'chatbot_llm_retries_total',
+    help: 'LLM requests retried after a failed attempt',
+    labelNames: ['provider']
+});
+
+export const llmFallbacks = metrics.counter({
+    name: 'chatbot_llm_fallbacks_total',
+    help: 'Turns that fell back to a secondary LLM provider',
+    labelNames: ['provider']
+});
+
+export const llmTokens = metrics.counter({
+    name: 'chatbot_llm_tokens_total',
+    help: 'LLM tokens used, by provider and type (prompt or completion)',
+    labelNames: ['provider', 'type']
+});
+
+export const toolCalls = metrics.counter({
+    name: 'chatbot_tool_calls_total',
+    help: 'Tool calls executed, by tool (unknown for names the model made up) and outcome',
+    labelNames: ['tool', 'outcome']
+});
+
+export const toolCallDuration = metrics.histogram({
+    name: 'chatbot_tool_call_duration_seconds',
+    help: 'Tool call latency',
+    labelNames: ['tool']
+});
+
+export const scrapeFailures = metrics.counter({
+    name: 'chatbot_scrape_failures_total',
+    help: 'Page fetches that failed, by reason (a fetch policy code or "error")',
+    labelNames: ['reason']
+});
+
+export const sitemapReloads = metrics.counter({
+    name: 'chatbot_sitemap_reloads_total',
+    help: 'Sitemap reloads, by site, trigger and status',
+    labelNames: ['site', 'trigger', 'status']
+});
+
+export const guardrailEvents = metrics.counter({
+    name: 'chatbot_guardrail_events_total',
+    help: 'Guardrail checks triggered, by check (abusive, off_topic, injection, competitor or price)',
+    labelNames: ['check']
+});
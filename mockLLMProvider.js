@@ -0,0 +1,98 @@
+import fs from 'fs';
+
+/**
+ * Scripted LLM provider for offline runs and tests
+ *
+ * Replies come from a fixture file instead of a model:
+ *
+ *     {
+ *       "scripts": [
+ *         {
+ *           "match": "wordpress",
+ *           "steps": [
+ *             { "tool_calls": [{ "name": "search_website_urls", "arguments": { "query": "wordpress hosting" } }] },
+ *             { "content": "WordPress hosting includes daily backups [1]." }
+ *           ]
+ *         }
+ *       ],
+ *       "default": { "content": "Sorry, I only know the scripted questions." }
+ *     }
+ *
+ * The first script whose `match` regex matches the latest user message is
+ * used. Each model call within a turn plays the next step, so a script walks
+ * through its tool calls and ends with its answer.
+ */
+export class MockLLMProvider {
+    constructor({ fixturePath = null, fixture = null, model = 'scripted' } = {}) {
+        this.name = 'mock';
+        this.model = model;
+        this.fixture = fixture || JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+        this.callCount = 0;
+    }
+
+    get id() {
+        return `${this.name}:${this.model}`;
+    }
+
+    /**
+     * Pick the step for this call from the matching script
+     */
+    selectStep(messages) {
+        let lastUserIndex = -1;
+        messages.forEach((message, index) => {
+            if (message.role === 'user') lastUserIndex = index;
+        });
+
+        const userMessage = lastUserIndex >= 0 ? messages[lastUserIndex].content : '';
+        const stepIndex = messages.slice(lastUserIndex + 1).filter(message => message.role === 'assistant').length;
+
+        const script = (this.fixture.scripts || []).find(candidate =>
+            new RegExp(candidate.match, 'i').test(userMessage)
+        );
+
+        if (!script) {
+            return this.fixture.default || { content: 'I don\'t have a scripted answer for that.' };
+        }
+
+        return script.steps[Math.min(stepIndex, script.steps.length - 1)];
+    }
+
+    async complete({ messages, onToken = null }) {
+        this.callCount++;
+        const step = this.selectStep(messages);
+        const message = { role: 'assistant', content: step.content || null };
+
+        if (step.tool_calls && step.tool_calls.length > 0) {
+            message.tool_calls = step.tool_calls.map((toolCall, index) => ({
+                id: `call_mock_${this.callCount}_${index}`,
+                type: 'function',
+                function: {
+                    name: toolCall.name,
+                    arguments: typeof toolCall.arguments === 'string'
+                        ? toolCall.arguments
+                        : JSON.stringify(toolCall.arguments || {})
+                }
+            }));
+        }
+
+        if (onToken && message.content) {
+            // Stream word by word so the UI path is exercised like a real model
+            for (const token of message.content.match(/\S+\s*/g) || []) {
+                onToken(token);
+            }
+        }
+
+        // Rough token counts (~4 characters per token) so usage accounting can be exercised
+        const promptTokens = Math.ceil(JSON.stringify(messages).length / 4);
+        const completionTokens = Math.ceil(JSON.stringify(message).length / 4);
+
+        return {
+            choices: [{ message, finish_reason: message.tool_calls ? 'tool_calls' : 'stop' }],
+            usage: {
+                prompt_tokens: promptTokens,
+                completion_tokens: completionTokens,
+                total_tokens: promptTokens + completionTokens
+            }
+        };
+    }
+}
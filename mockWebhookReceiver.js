@@ -0,0 +1,64 @@
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+// Load environment variables
+dotenv.config();
+
+/**
+ * Local stand-in for a helpdesk webhook, for trying support requests offline
+ *
+ * Usage: node mockWebhookReceiver.js
+ * then run the server with SUPPORT_WEBHOOK_URL=http://localhost:4000/webhook
+ *
+ * Prints every request it receives, checks the `X-Signature` header when
+ * SUPPORT_WEBHOOK_SECRET is set, and appends payloads to MOCK_WEBHOOK_LOG
+ * when given. Set MOCK_WEBHOOK_STATUS (e.g. 500) to simulate a failing helpdesk.
+ */
+const PORT = parseInt(process.env.MOCK_WEBHOOK_PORT, 10) || 4000;
+const secret = process.env.SUPPORT_WEBHOOK_SECRET;
+const logFile = process.env.MOCK_WEBHOOK_LOG;
+const status = parseInt(process.env.MOCK_WEBHOOK_STATUS, 10) || 200;
+
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+        body += chunk;
+    });
+    req.on('end', () => {
+        if (secret) {
+            const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+            if (req.headers['x-signature'] !== expected) {
+                console.log(`❌ ${req.method} ${req.url}: bad signature`);
+                res.writeHead(401, { 'Content-Type': 'application/json' });
+                return res.end(JSON.stringify({ error: 'Bad signature' }));
+            }
+        }
+
+        let payload;
+        try {
+            payload = JSON.parse(body);
+        } catch (error) {
+            res.writeHead(400, { 'Content-Type': 'application/json' });
+            return res.end(JSON.stringify({ error: 'Body must be JSON' }));
+        }
+
+        const request = payload.request || {};
+        console.log(`\n📨 ${payload.event} ${request.id}`);
+        console.log(`   ${request.name} <${request.email}> (${request.requestType})`);
+        console.log(`   ${request.need}`);
+        console.log(`   Transcript: ${(request.transcript || []).length} messages`);
+
+        if (logFile) {
+            fs.appendFileSync(logFile, `${JSON.stringify(payload)}\n`);
+        }
+
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ received: status < 400 }));
+    });
+});
+
+server.listen(PORT, () => {
+    console.log(`🪝 Mock webhook receiver on http://localhost:${PORT}/webhook${secret ? ' (checking signatures)' : ''}`);
+});
@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Page cache with per-entry TTL, an LRU size limit and optional disk persistence
+ *
+ * Entries keep the HTTP validators (`etag`, `lastModified`) they were fetched
+ * with, so expired entries can be revalidated with a conditional request
+ * instead of being downloaded again.
+ */
+export class PageCache {
+    constructor({ dir = null, ttlMs = 6 * 60 * 60 * 1000, maxEntries = 1000 } = {}) {
+        this.dir = dir;
+        this.ttlMs = ttlMs;
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+        this.stats = { hits: 0, misses: 0, revalidated: 0, invalidated: 0, evicted: 0 };
+
+        if (this.dir) {
+            this.loadFromDisk();
+        }
+    }
+
+    /**
+     * Load persisted entries, least recently used first
+     */
+    loadFromDisk() {
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        const loaded = [];
+        for (const file of fs.readdirSync(this.dir).filter(f => f.endsWith('.json'))) {
+            try {
+                loaded.push(JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8')));
+            } catch (error) {
+                logger.error(`Error reading cache entry ${file}:`, { error });
+            }
+        }
+
+        loaded
+            .sort((a, b) => a.lastAccessedAt - b.lastAccessedAt)
+            .forEach(entry => this.entries.set(entry.url, entry));
+
+        this.evictOverflow();
+        logger.info(`Loaded ${this.entries.size} cached pages from ${this.dir}`);
+    }
+
+    filePath(url) {
+        const hash = crypto.createHash('sha1').update(url).digest('hex');
+        return path.join(this.dir, `${hash}.json`);
+    }
+
+    persist(entry) {
+        if (!this.dir) return;
+
+        try {
+            const file = this.filePath(entry.url);
+            fs.writeFileSync(`${file}.tmp`, JSON.stringify(entry));
+            fs.renameSync(`${file}.tmp`, file);
+        } catch (error) {
+            logger.error(`Error writing cache entry for ${entry.url}:`, { error });
+        }
+    }
+
+    unpersist(url) {
+        if (!this.dir) return;
+        fs.rmSync(this.filePath(url), { force: true });
+    }
+
+    /**
+     * Get an entry (fresh or expired) and mark it as recently used
+     */
+    get(url) {
+        const entry = this.entries.get(url);
+        if (!entry) return null;
+
+        entry.lastAccessedAt = Date.now();
+        this.entries.delete(url);
+        this.entries.set(url, entry);
+        return entry;
+    }
+
+    /**
+     * Look at an entry without touching its LRU position
+     */
+    peek(url) {
+        return this.entries.get(url) || null;
+    }
+
+    has(url) {
+        return this.entries.has(url);
+    }
+
+    isFresh(entry) {
+        return Date.now() < entry.expiresAt;
+    }
+
+    set(url, value, { etag = null, lastModified = null, ttlMs = this.ttlMs } = {}) {
+        const now = Date.now();
+        const entry = {
+            url,
+            value,
+            etag,
+            lastModified,
+            storedAt: now,
+            expiresAt: now + ttlMs,
+            lastAccessedAt: now
+        };
+
+        this.entries.delete(url);
+        this.entries.set(url, entry);
+        this.persist(entry);
+        this.evictOverflow();
+        return entry;
+    }
+
+    /**
+     * Extend an entry's lifetime after a 304 Not Modified
+     */
+    refresh(url, ttlMs = this.ttlMs) {
+        const entry = this.entries.get(url);
+        if (!entry) return null;
+
+        entry.expiresAt = Date.now() + ttlMs;
+        entry.lastAccessedAt = Date.now();
+        this.persist(entry);
+        this.stats.revalidated++;
+        return entry;
+    }
+
+    delete(url) {
+        const existed = this.entries.delete(url);
+        this.unpersist(url);
+        return existed;
+    }
+
+    clear() {
+        for (const url of this.entries.keys()) {
+            this.unpersist(url);
+        }
+        this.entries.clear();
+    }
+
+    evictOverflow() {
+        for (const url of this.entries.keys()) {
+            if (this.entries.size <= this.maxEntries) break;
+            this.delete(url);
+            this.stats.evicted++;
+        }
+    }
+
+    /**
+     * Summarize the cache for the admin API
+     */
+    describe() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            size: this.entries.size,
+            maxEntries: this.maxEntries,
+            ttlMs: this.ttlMs,
+            persistent: Boolean(this.dir),
+            ...this.stats,
+            hitRatio: lookups > 0 ? Math.round((this.stats.hits / lookups) * 1000) / 1000 : null,
+            entries: [...this.entries.values()].map(entry => ({
+                url: entry.url,
+                fresh: this.isFresh(entry),
+                fetchedAt: entry.value && entry.value.fetchedAt,
+                expiresAt: new Date(entry.expiresAt).toISOString(),
+                etag: entry.etag,
+                lastModified: entry.lastModified
+            }))
+        };
+    }
+}
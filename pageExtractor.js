@@ -0,0 +1,332 @@
+/**
+ * Turn a page's HTML into Markdown sections, structured data and links
+ *
+ * Headings, lists, tables and links survive as Markdown, so the model can
+ * still tell which price belongs to which plan. Structured data (JSON-LD
+ * FAQs, products and breadcrumbs, and OpenGraph tags) and the page's links to
+ * other pages of the site are returned separately.
+ */
+
+// Tried in order; the first that matches non-empty content is the page's main content
+export const DEFAULT_CONTENT_SELECTORS = [
+    'main',
+    'article',
+    '.entry-content',
+    '.post-content',
+    '.content',
+    '#content',
+    '.main-content'
+];
+
+// Removed before extraction; a site's `noiseSelectors` are added to these
+export const DEFAULT_NOISE_SELECTORS = [
+    'script',
+    'style',
+    'noscript',
+    'template',
+    'svg',
+    'iframe',
+    'nav',
+    'footer',
+    'header',
+    'aside',
+    '.cookie-notice',
+    '.advertisement'
+];
+
+const INLINE_TAGS = new Set([
+    'a', 'abbr', 'b', 'bdi', 'button', 'cite', 'code', 'del', 'em', 'font', 'i', 'img', 'ins', 'kbd',
+    'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var'
+]);
+
+const MAX_LINKS = 50;
+
+function collapse(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function absoluteUrl(href, baseUrl) {
+    try {
+        const url = new URL(href, baseUrl);
+        return /^https?:$/.test(url.protocol) ? url.href : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Convert a node's inline content to Markdown on one line
+ */
+function inlineMarkdown(node, baseUrl) {
+    if (node.type === 'text') return node.data;
+    if (node.type !== 'tag' && node.type !== 'root') return '';
+
+    const inner = () => (node.children || []).map(child => inlineMarkdown(child, baseUrl)).join('');
+
+    switch (node.name) {
+        case 'br':
+            return ' ';
+        case 'img':
+            return '';
+        case 'a': {
+            const text = collapse(inner());
+            const href = node.attribs && node.attribs.href;
+            const url = href && !href.startsWith('#') ? absoluteUrl(href, baseUrl) : null;
+            return text && url ? `[${text}](${url})` : text;
+        }
+        case 'strong':
+        case 'b': {
+            const text = collapse(inner());
+            return text ? ` **${text}** ` : '';
+        }
+        case 'em': {
+            const text = collapse(inner());
+            return text ? ` *${text}* ` : '';
+        }
+        case 'code': {
+            const text = collapse(inner());
+            return text ? `\`${text}\`` : '';
+        }
+        default:
+            return ` ${inner()} `;
+    }
+}
+
+function inlineText(node, baseUrl) {
+    return collapse(inlineMarkdown(node, baseUrl)).replace(/\*\* ([.,;:!?])/g, '**$1');
+}
+
+function isList(node) {
+    return node.type === 'tag' && (node.name === 'ul' || node.name === 'ol');
+}
+
+/**
+ * Markdown lines for a list, with nested lists indented under their item
+ */
+function listLines(list, baseUrl, depth = 0) {
+    const lines = [];
+    let number = parseInt(list.attribs && list.attribs.start, 10) || 1;
+
+    for (const item of (list.children || []).filter(child => child.type === 'tag' && child.name === 'li')) {
+        const nested = (item.children || []).filter(isList);
+        const text = collapse((item.children || []).filter(child => !isList(child)).map(child => inlineMarkdown(child, baseUrl)).join(' '));
+        const marker = list.name === 'ol' ? `${number++}.` : '-';
+
+        if (text) lines.push(`${'  '.repeat(depth)}${marker} ${text}`);
+        nested.forEach(child => lines.push(...listLines(child, baseUrl, text ? depth + 1 : depth)));
+    }
+
+    return lines;
+}
+
+/**
+ * A GitHub-style Markdown table; the first row is the header
+ */
+function tableMarkdown($, table, baseUrl) {
+    const rows = $(table).find('tr').toArray()
+        .filter(row => $(row).closest('table')[0] === table)
+        .map(row => $(row).children('th, td').toArray()
+            .map(cell => inlineText(cell, baseUrl).replace(/\|/g, '\\|')))
+        .filter(cells => cells.some(Boolean));
+    if (rows.length === 0) return '';
+
+    const width = Math.max(...rows.map(cells => cells.length));
+    const line = cells => `| ${[...cells, ...Array(width - cells.length).fill('')].join(' | ')} |`;
+
+    return [line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n');
+}
+
+/**
+ * Walk an element and collect its content as headings and Markdown blocks
+ *
+ * Returns `[{ heading, level }]` and `[{ markdown }]` entries in page order.
+ */
+function collectBlocks($, root, baseUrl) {
+    const blocks = [];
+    let inline = [];
+
+    const flush = () => {
+        const text = collapse(inline.map(node => inlineMarkdown(node, baseUrl)).join('')).replace(/\*\* ([.,;:!?])/g, '**$1');
+        if (text) blocks.push({ markdown: text });
+        inline = [];
+    };
+
+    const walk = (node) => {
+        for (const child of node.children || []) {
+            if (child.type === 'text' || (child.type === 'tag' && INLINE_TAGS.has(child.name))) {
+                inline.push(child);
+                continue;
+            }
+            if (child.type !== 'tag') continue;
+
+            flush();
+            const heading = /^h([1-6])$/.exec(child.name);
+
+            if (heading) {
+                const text = collapse($(child).text());
+                if (text) blocks.push({ heading: text, level: parseInt(heading[1], 10) });
+            } else if (isList(child)) {
+                const lines = listLines(child, baseUrl);
+                if (lines.length > 0) blocks.push({ markdown: lines.join('\n') });
+            } else if (child.name === 'table') {
+                const table = tableMarkdown($, child, baseUrl);
+                if (table) blocks.push({ markdown: table });
+            } else if (child.name === 'pre') {
+                const code = $(child).text().replace(/\s+$/, '');
+                if (code.trim()) blocks.push({ markdown: `\`\`\`\n${code}\n\`\`\`` });
+            } else if (child.name === 'blockquote') {
+                const quoted = collectBlocks($, child, baseUrl).map(block => block.markdown || block.heading);
+                if (quoted.length > 0) blocks.push({ markdown: quoted.join('\n\n').replace(/^/gm, '> ') });
+            } else if (child.name === 'dt') {
+                const text = inlineText(child, baseUrl);
+                if (text) blocks.push({ markdown: `**${text}**` });
+            } else if (child.name !== 'hr') {
+                walk(child);
+                flush();
+            }
+        }
+    };
+
+    walk(root);
+    flush();
+    return blocks;
+}
+
+/**
+ * Split an element's content into `{ heading, level, text }` sections at each
+ * heading, with each section's text in Markdown
+ */
+export function extractMarkdownSections($, main, { baseUrl = null } = {}) {
+    const sections = [];
+    let current = { heading: '', level: 0, blocks: [] };
+
+    for (const element of main.toArray()) {
+        for (const block of collectBlocks($, element, baseUrl)) {
+            if (block.heading) {
+                if (current.blocks.length > 0) sections.push(current);
+                current = { heading: block.heading, level: block.level, blocks: [] };
+            } else {
+                current.blocks.push(block.markdown);
+            }
+        }
+    }
+    if (current.blocks.length > 0) sections.push(current);
+
+    return sections.map(({ blocks, ...section }) => ({ ...section, text: blocks.join('\n\n') }));
+}
+
+/**
+ * Plain text of Markdown, for search indexing: link targets and markup removed
+ */
+export function markdownToText(markdown) {
+    return collapse((markdown || '')
+        .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^\s*\|?\s*-{3,}.*$/gm, ' ')
+        .replace(/[|*`>#]/g, ' '));
+}
+
+function types(item) {
+    return [].concat(item['@type'] || []);
+}
+
+function stripHtml(text) {
+    return collapse(String(text || '').replace(/<[^>]*>/g, ' '));
+}
+
+/**
+ * FAQs, products and breadcrumbs from JSON-LD, and the OpenGraph tags
+ *
+ * Only the kinds the page has are included.
+ */
+export function extractStructuredData($, jsonLd = []) {
+    const data = {};
+
+    const faq = jsonLd
+        .filter(item => types(item).includes('FAQPage'))
+        .flatMap(item => [].concat(item.mainEntity || []))
+        .map(question => ({
+            question: collapse(question.name),
+            answer: stripHtml(question.acceptedAnswer && [].concat(question.acceptedAnswer)[0].text)
+        }))
+        .filter(entry => entry.question && entry.answer);
+    if (faq.length > 0) data.faq = faq;
+
+    const products = jsonLd
+        .filter(item => types(item).includes('Product'))
+        .map(item => {
+            const offers = [].concat(item.offers || [])
+                .flatMap(offer => (offer.offers ? [].concat(offer.offers) : [offer]))
+                .map(offer => ({
+                    name: offer.name || null,
+                    price: offer.price ?? offer.lowPrice ?? null,
+                    currency: offer.priceCurrency || null,
+                    availability: offer.availability ? String(offer.availability).replace(/^https?:\/\/schema\.org\//, '') : null,
+                    url: offer.url || null
+                }));
+            return {
+                name: collapse(item.name),
+                description: stripHtml(item.description).slice(0, 300),
+                sku: item.sku || null,
+                brand: item.brand ? (item.brand.name || item.brand) : null,
+                offers
+            };
+        })
+        .filter(product => product.name);
+    if (products.length > 0) data.products = products;
+
+    const breadcrumbs = jsonLd
+        .filter(item => types(item).includes('BreadcrumbList'))
+        .flatMap(item => [].concat(item.itemListElement || []))
+        .sort((a, b) => (a.position || 0) - (b.position || 0))
+        .map(element => {
+            const target = element.item;
+            return {
+                name: collapse(element.name || (target && target.name)),
+                url: typeof target === 'string' ? target : (target && (target['@id'] || target.url)) || null
+            };
+        })
+        .filter(crumb => crumb.name);
+    if (breadcrumbs.length > 0) data.breadcrumbs = breadcrumbs;
+
+    const openGraph = {};
+    $('meta[property^="og:"]').each((i, el) => {
+        const key = $(el).attr('property').slice(3).replace(/_(\w)/g, (match, letter) => letter.toUpperCase());
+        const value = collapse($(el).attr('content'));
+        if (value && !openGraph[key]) openGraph[key] = value;
+    });
+    if (Object.keys(openGraph).length > 0) data.openGraph = openGraph;
+
+    return data;
+}
+
+/**
+ * Links from the main content to other pages on the same site
+ *
+ * Returns up to 50 unique `{ url, text }` entries, without fragments and
+ * without the page itself. `www.` and the bare domain count as the same site.
+ */
+export function extractInternalLinks($, main, pageUrl) {
+    const host = hostname => hostname.replace(/^www\./, '');
+    const page = new URL(pageUrl);
+    const links = new Map();
+
+    main.find('a[href]').each((i, el) => {
+        if (links.size >= MAX_LINKS) return false;
+
+        const href = absoluteUrl($(el).attr('href'), pageUrl);
+        if (!href) return;
+
+        const url = new URL(href);
+        url.hash = '';
+        if (host(url.hostname) !== host(page.hostname) || url.href === page.href.replace(/#.*$/, '')) return;
+
+        const text = collapse($(el).text()) || collapse($(el).attr('title') || $(el).attr('aria-label'));
+        if (!links.has(url.href)) {
+            links.set(url.href, { url: url.href, text });
+        } else if (!links.get(url.href).text && text) {
+            links.get(url.href).text = text;
+        }
+    });
+
+    return [...links.values()];
+}
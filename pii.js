@@ -0,0 +1,60 @@
+/**
+ * Redact personal data (emails, card numbers, phone numbers) from text
+ *
+ * Used for log lines and stored transcripts. Support requests keep the
+ * visitor's contact details on purpose, since the team needs them.
+ */
+
+const EMAIL_PATTERN = /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g;
+
+// Digit runs with spaces, dots, dashes or brackets; told apart by their digit count below.
+// A run may end before punctuation, but never part-way, so a card is never half redacted.
+const NUMBER_PATTERN = /(?<![\w.,/:])\+?\(?\d[\d\s().-]{7,}\d(?![\s().-]*\d|[\w/]|[.,:]\d)/g;
+
+// Dates such as 2024-10-19 or 19.10.2024 that a timestamp can run into
+const DATE_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[.-]\d{1,2}[.-]\d{4})(?!\d)/;
+
+/**
+ * Luhn checksum, so order numbers and other long IDs aren't taken for cards
+ */
+function isCardNumber(digits) {
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+export function redactPii(text) {
+    if (typeof text !== 'string' || !text) return text;
+
+    return text
+        .replace(EMAIL_PATTERN, '[email]')
+        .replace(NUMBER_PATTERN, match => {
+            if (DATE_PATTERN.test(match)) return match;
+
+            const digits = match.replace(/\D/g, '');
+            if (isCardNumber(digits)) return '[card]';
+            if (digits.length >= 10 && digits.length <= 15) return '[phone]';
+            return match;
+        });
+}
+
+/**
+ * Redact every string in a value, keeping its shape
+ */
+export function redactValue(value) {
+    if (typeof value === 'string') return redactPii(value);
+    if (Array.isArray(value)) return value.map(redactValue);
+    if (value && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, redactValue(item)]));
+    }
+    return value;
+}
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { tokenize } from './contentIndex.js';
+import { logger } from './logger.js';
+
+/**
+ * Persistent catalog of structured product records (plans, prices, features)
+ *
+ * Records are extracted from product pages and kept until the page's sitemap
+ * `lastmod` changes, so pricing questions don't refetch pages every time.
+ */
+export class ProductCatalog {
+    constructor(catalogPath) {
+        this.catalogPath = catalogPath;
+        this.products = {};
+    }
+
+    /**
+     * Load the catalog from disk, if it has been built
+     */
+    load() {
+        try {
+            this.products = JSON.parse(fs.readFileSync(this.catalogPath, 'utf-8')).products;
+            logger.info(`Loaded product catalog with ${this.size()} products`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error loading product catalog ${this.catalogPath}:`, { error });
+            }
+            this.products = {};
+        }
+        return this;
+    }
+
+    /**
+     * Write the catalog to disk atomically
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.catalogPath), { recursive: true });
+
+        const tempPath = `${this.catalogPath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ version: 1, products: this.products }, null, 2));
+        fs.renameSync(tempPath, this.catalogPath);
+    }
+
+    size() {
+        return Object.keys(this.products).length;
+    }
+
+    list() {
+        return Object.values(this.products);
+    }
+
+    get(url) {
+        return this.products[url] || null;
+    }
+
+    /**
+     * A product needs (re)extraction if it's missing or its page changed since
+     */
+    needsUpdate(url, lastmod) {
+        const record = this.products[url];
+        if (!record) return true;
+        if (!lastmod) return false;
+        return !record.lastmod || new Date(lastmod) > new Date(record.lastmod);
+    }
+
+    remove(url) {
+        delete this.products[url];
+    }
+
+    /**
+     * Extract any of the given sitemap URLs that are missing or stale
+     *
+     * `fetchProduct(url)` returns a record from `extractProduct`. Failures are
+     * counted and skipped so one broken page doesn't block the rest.
+     */
+    async update(urlDataList, fetchProduct, { concurrency = 3 } = {}) {
+        const pending = urlDataList.filter(urlData => this.needsUpdate(urlData.url, urlData.lastmod));
+        const stats = { total: urlDataList.length, extracted: 0, skipped: urlDataList.length - pending.length, failed: 0 };
+
+        for (let i = 0; i < pending.length; i += concurrency) {
+            const batch = pending.slice(i, i + concurrency);
+            const records = await Promise.all(batch.map(urlData =>
+                fetchProduct(urlData.url).catch(error => ({ error: error.message }))
+            ));
+
+            batch.forEach((urlData, j) => {
+                if (records[j].error) {
+                    stats.failed++;
+                    return;
+                }
+                this.products[urlData.url] = { ...records[j], lastmod: urlData.lastmod || null };
+                stats.extracted++;
+            });
+        }
+
+        if (stats.extracted > 0) {
+            this.save();
+        }
+        return stats;
+    }
+
+    /**
+     * Rank products by how many query terms appear in their name, plans and URL
+     */
+    search(query, limit = 5) {
+        const terms = [...new Set(tokenize(query))];
+
+        return this.list()
+            .map(product => {
+                const nameTerms = tokenize(`${product.name} ${product.plans.map(plan => plan.name).join(' ')}`);
+                const urlTerms = tokenize(product.url);
+                const score = terms.reduce((sum, term) =>
+                    sum + (nameTerms.includes(term) ? 2 : 0) + (urlTerms.includes(term) ? 1 : 0), 0);
+                return { product, score };
+            })
+            .filter(({ score }) => score > 0 || terms.length === 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ product }) => product);
+    }
+}
+
+/**
+ * Build a side-by-side comparison of products' plans
+ *
+ * Returns each plan with its price, the cheapest plan per billing period, and
+ * a feature matrix showing which plans list each feature.
+ */
+export function comparePlans(products, { billingPeriod = null } = {}) {
+    const plans = products.flatMap(product =>
+        product.plans
+            .filter(plan => !billingPeriod || !plan.billingPeriod || plan.billingPeriod === billingPeriod)
+            .map(plan => ({
+                product: product.name,
+                url: product.url,
+                plan: plan.name,
+                price: plan.price,
+                currency: plan.currency,
+                billingPeriod: plan.billingPeriod,
+                features: plan.features
+            }))
+    );
+
+    const cheapest = {};
+    plans.forEach(plan => {
+        const period = plan.billingPeriod || 'unspecified';
+        if (!cheapest[period] || plan.price < cheapest[period].price) {
+            cheapest[period] = { product: plan.product, plan: plan.plan, price: plan.price, currency: plan.currency };
+        }
+    });
+
+    const features = [...new Set(plans.flatMap(plan => plan.features))].slice(0, 40);
+    const featureMatrix = features.map(feature => ({
+        feature,
+        plans: Object.fromEntries(plans.map(plan => [`${plan.product} — ${plan.plan}`, plan.features.includes(feature)]))
+    }));
+
+    return {
+        plans: plans.map(({ features: planFeatures, ...plan }) => plan),
+        cheapest,
+        featureMatrix
+    };
+}
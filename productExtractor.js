@@ -0,0 +1,264 @@
+const CURRENCY_SYMBOLS = {
+    '$': 'USD',
+    '€': 'EUR',
+    '£': 'GBP',
+    '₹': 'INR'
+};
+
+const PRICE_PATTERN = /(?:([$€£₹])|\b(USD|EUR|GBP|INR|CAD|AUD)\s?)\s?(\d[\d,]*(?:\.\d{1,2})?)(?:\s*(?:\/|per)\s*(mo|month|yr|year|annum|quarter)\b)?/i;
+
+const PRICE_UNITS = {
+    mo: 'monthly',
+    month: 'monthly',
+    quarter: 'quarterly',
+    yr: 'yearly',
+    year: 'yearly',
+    annum: 'yearly'
+};
+
+const PERIOD_PATTERNS = [
+    [/(\bmonthly|\bper month|\/\s?mo(nth)?|\ba month|\b1 month)\b/i, 'monthly'],
+    [/\b(quarterly|per quarter|3 months)\b/i, 'quarterly'],
+    [/\b(semi-?annual(ly)?|6 months)\b/i, 'semiannually'],
+    [/(\bannual(ly)?|\byearly|\bper year|\/\s?yr|\/\s?year|\ba year|\b1 year|\b12 months)\b/i, 'yearly'],
+    [/\b(biennial(ly)?|2 years|24 months)\b/i, 'biennially'],
+    [/\b(triennial(ly)?|3 years|36 months)\b/i, 'triennially'],
+    [/\b(one[- ]time|lifetime|once)\b/i, 'one-time']
+];
+
+const ISO_DURATIONS = {
+    P1M: 'monthly',
+    P3M: 'quarterly',
+    P6M: 'semiannually',
+    P1Y: 'yearly',
+    P12M: 'yearly',
+    P2Y: 'biennially',
+    P3Y: 'triennially'
+};
+
+function cleanText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find a billing period mentioned in free text
+ */
+export function parseBillingPeriod(text) {
+    for (const [pattern, period] of PERIOD_PATTERNS) {
+        if (pattern.test(text || '')) return period;
+    }
+    return null;
+}
+
+/**
+ * Find the first price in free text
+ *
+ * Returns `{ amount, currency, billingPeriod }` or null.
+ */
+export function parsePrice(text) {
+    const match = PRICE_PATTERN.exec(text || '');
+    if (!match) return null;
+
+    const amount = parseFloat(match[3].replace(/,/g, ''));
+    if (isNaN(amount)) return null;
+
+    return {
+        amount,
+        currency: match[1] ? CURRENCY_SYMBOLS[match[1]] : match[2].toUpperCase(),
+        billingPeriod: (match[4] && PRICE_UNITS[match[4].toLowerCase()]) || parseBillingPeriod(text)
+    };
+}
+
+/**
+ * Read structured Product data from JSON-LD blocks
+ */
+function extractFromJsonLd(jsonLd) {
+    const products = jsonLd.filter(item => {
+        const types = [].concat(item['@type'] || []);
+        return types.includes('Product');
+    });
+    if (products.length === 0) return null;
+
+    const product = products[0];
+    const offers = [].concat(product.offers || []).flatMap(offer =>
+        offer['@type'] === 'AggregateOffer' && offer.offers ? [].concat(offer.offers) : [offer]
+    );
+
+    const plans = offers
+        .map(offer => {
+            const spec = [].concat(offer.priceSpecification || [])[0] || {};
+            const amount = parseFloat(offer.price ?? offer.lowPrice ?? spec.price);
+            if (isNaN(amount)) return null;
+
+            const duration = spec.billingDuration || (spec.referenceQuantity && spec.referenceQuantity.value);
+            return {
+                name: cleanText(offer.name) || cleanText(product.name),
+                price: amount,
+                currency: offer.priceCurrency || spec.priceCurrency || null,
+                billingPeriod: ISO_DURATIONS[duration] || parseBillingPeriod(`${offer.name || ''} ${spec.unitText || ''}`),
+                features: []
+            };
+        })
+        .filter(Boolean);
+
+    return {
+        name: cleanText(product.name),
+        description: cleanText(product.description),
+        plans
+    };
+}
+
+/**
+ * Read WooCommerce-style variation data (one variation per billing option)
+ */
+function extractFromVariations($, productName, currency) {
+    const data = $('form.variations_form').attr('data-product_variations');
+    if (!data) return [];
+
+    try {
+        return JSON.parse(data).map(variation => {
+            const label = Object.values(variation.attributes || {}).join(' ');
+            return {
+                name: cleanText(label) || productName,
+                price: variation.display_price,
+                currency,
+                billingPeriod: parseBillingPeriod(label),
+                features: []
+            };
+        });
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Read pricing cards: the innermost plan/pricing blocks that show a price
+ */
+function extractFromPricingCards($, main) {
+    const candidates = main
+        .find('[class*="pricing"], [class*="price-table"], [class*="price-box"], [class*="plan"], [class*="package"], [class*="tier"]')
+        .filter((i, el) => parsePrice($(el).text()) !== null)
+        .toArray();
+
+    const innermost = candidates.filter(el => !candidates.some(other => other !== el && $(el).find(other).length > 0));
+
+    return innermost
+        .map(el => {
+            const card = $(el);
+            const price = parsePrice(card.find('[class*="price"], [class*="amount"]').first().text() || card.text());
+            const name = cleanText(card.find('h1, h2, h3, h4, h5, [class*="title"], [class*="name"]').first().text());
+            const features = card.find('li').toArray().map(li => cleanText($(li).text())).filter(Boolean);
+
+            return {
+                name,
+                price: price.amount,
+                currency: price.currency,
+                billingPeriod: price.billingPeriod || parseBillingPeriod(card.text()),
+                features
+            };
+        })
+        .filter(plan => plan.name);
+}
+
+/**
+ * Read comparison tables: plans as columns, one row of prices, other rows as features
+ */
+function extractFromTables($, main) {
+    const plans = [];
+
+    main.find('table').each((i, table) => {
+        const rows = $(table).find('tr').toArray().map(row =>
+            $(row).find('th, td').toArray().map(cell => cleanText($(cell).text()))
+        );
+        if (rows.length < 2 || rows[0].length < 2) return;
+
+        const priceRow = rows.find(cells => cells.slice(1).some(cell => parsePrice(cell)));
+        if (!priceRow) return;
+
+        const header = rows[0];
+        header.slice(1).forEach((planName, column) => {
+            const price = parsePrice(priceRow[column + 1]);
+            if (!planName || !price) return;
+
+            const features = rows
+                .filter(cells => cells !== priceRow && cells !== header)
+                .map(cells => ({ label: cells[0], value: cells[column + 1] }))
+                .filter(({ value }) => value && !/^(no|none|-|–|✗|✘|x)$/i.test(value))
+                .map(({ label, value }) => (/^(yes|✓|✔|included)$/i.test(value) ? label : `${label}: ${value}`));
+
+            plans.push({
+                name: planName,
+                price: price.amount,
+                currency: price.currency,
+                billingPeriod: price.billingPeriod || parseBillingPeriod(priceRow[0]),
+                features
+            });
+        });
+    });
+
+    return plans;
+}
+
+/**
+ * Extract a structured product record from a product page
+ *
+ * Tries, in order: JSON-LD `Product` offers, variation data, pricing cards,
+ * comparison tables, and finally the first price on the page. Feature lists
+ * found on the page are attached to plans that don't have their own.
+ */
+export function extractProduct($, { url, jsonLd = [], main = $('body'), title = '' } = {}) {
+    const structured = extractFromJsonLd(jsonLd);
+    const name = (structured && structured.name) || cleanText($('h1').first().text()) || cleanText(title);
+    const description = (structured && structured.description) ||
+        cleanText($('.woocommerce-product-details__short-description').text()) ||
+        cleanText($('meta[name="description"]').attr('content'));
+
+    let plans = structured ? structured.plans : [];
+    if (plans.length === 0) {
+        const pagePrice = parsePrice(main.find('.price').first().text());
+        plans = extractFromVariations($, name, pagePrice ? pagePrice.currency : null);
+    }
+    if (plans.length === 0) plans = extractFromPricingCards($, main);
+    if (plans.length === 0) plans = extractFromTables($, main);
+
+    if (plans.length === 0) {
+        const priceText = main.find('.price, [class*="price"]').first().text() || main.text();
+        const price = parsePrice(priceText);
+        if (price) {
+            plans = [{
+                name,
+                price: price.amount,
+                currency: price.currency,
+                billingPeriod: price.billingPeriod,
+                features: []
+            }];
+        }
+    }
+
+    // Page-level feature list, for single-plan products and plans without their own
+    const pageFeatures = main
+        .find('.woocommerce-product-details__short-description li, .entry-content li, .product li, [class*="feature"] li')
+        .toArray()
+        .map(li => cleanText($(li).text()))
+        .filter(Boolean)
+        .slice(0, 25);
+
+    // Drop duplicate plans found by more than one strategy
+    const seen = new Set();
+    plans = plans
+        .map(plan => ({ ...plan, features: plan.features.length > 0 ? plan.features : pageFeatures }))
+        .filter(plan => {
+            const key = `${plan.name}|${plan.price}|${plan.billingPeriod}`;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+
+    return {
+        url,
+        name,
+        description,
+        plans,
+        features: pageFeatures
+    };
+}
@@ -0,0 +1,321 @@
+/**
+ * Embeddable chat widget
+ *
+ * Add it to any page allowed in the site's `allowedOrigins`:
+ *
+ *     <script src="https://chat.example.com/widget.js" data-site="vsf" async></script>
+ *
+ * Options (all optional) are read from `data-` attributes on the script tag:
+ * - `data-site`: site id (default: the server's default site)
+ * - `data-api-url`: chatbot server (default: where this script was loaded from)
+ * - `data-api-key`: API key sent as `X-API-Key`
+ * - `data-title`, `data-greeting`, `data-primary-color`: override the site's branding
+ * - `data-suggestions`: suggested questions separated by `|`
+ * - `data-position`: `right` (default) or `left`
+ * - `data-open`: `true` to start with the panel open
+ *
+ * The launcher and panel live in a Shadow DOM, so the host page's styles
+ * don't leak in and ours don't leak out. `window.SiteChatbot.open()`,
+ * `.close()` and `.toggle()` control the panel from the page.
+ */
+(function () {
+    'use strict';
+
+    const script = document.currentScript;
+    if (!script || window.SiteChatbot) return;
+
+    const data = script.dataset;
+    const serverUrl = (data.apiUrl || new URL(script.src).origin).replace(/\/+$/, '');
+    const apiBase = data.site ? `${serverUrl}/api/sites/${encodeURIComponent(data.site)}` : `${serverUrl}/api`;
+    const position = data.position === 'left' ? 'left' : 'right';
+    const sessionKey = `site-chatbot:${data.site || 'default'}:session`;
+
+    const styles = `
+        :host { all: initial; }
+        * { box-sizing: border-box; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; }
+        .launcher {
+            position: fixed; bottom: 20px; ${position}: 20px; z-index: 2147483000;
+            width: 56px; height: 56px; border-radius: 50%; border: none; cursor: pointer;
+            background: var(--primary-color); color: white; font-size: 26px;
+            box-shadow: 0 4px 14px rgba(0, 0, 0, 0.25);
+        }
+        .panel {
+            position: fixed; bottom: 88px; ${position}: 20px; z-index: 2147483000;
+            width: 370px; max-width: calc(100vw - 40px); height: 540px; max-height: calc(100vh - 110px);
+            display: none; flex-direction: column; overflow: hidden;
+            background: white; border-radius: 16px; box-shadow: 0 10px 40px rgba(0, 0, 0, 0.25);
+        }
+        .panel.open { display: flex; }
+        .header {
+            display: flex; align-items: center; justify-content: space-between;
+            padding: 14px 16px; background: var(--primary-color); color: white; font-size: 16px; font-weight: 600;
+        }
+        .close { background: none; border: none; color: white; font-size: 20px; cursor: pointer; }
+        .messages { flex: 1; overflow-y: auto; padding: 14px; background: #f8f9fa; font-size: 14px; line-height: 1.45; color: #333; }
+        .message { margin-bottom: 10px; display: flex; }
+        .message.user { justify-content: flex-end; }
+        .bubble { max-width: 85%; padding: 9px 13px; border-radius: 14px; white-space: pre-wrap; word-wrap: break-word; }
+        .message.user .bubble { background: var(--primary-color); color: white; }
+        .message.assistant .bubble { background: white; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1); }
+        .message.system .bubble { background: #fff3cd; color: #856404; }
+        .bubble a { color: var(--primary-color); }
+        .citation { font-size: 0.75em; text-decoration: none; }
+        .sources { margin: 8px 0 0; padding: 6px 0 0 18px; border-top: 1px solid #eee; font-size: 12px; white-space: normal; }
+        .handoff { margin-top: 8px; padding: 6px 10px; border-radius: 10px; background: #e8f5e9; color: #1b5e20; font-size: 12px; white-space: normal; }
+        .feedback { margin-top: 6px; display: flex; gap: 4px; white-space: normal; }
+        .feedback button { background: none; border: 1px solid #ddd; border-radius: 10px; padding: 1px 7px; cursor: pointer; }
+        .feedback button.selected { border-color: var(--primary-color); }
+        .suggestions { display: flex; flex-wrap: wrap; gap: 6px; margin-bottom: 10px; }
+        .suggestions button {
+            border: 1px solid var(--primary-color); color: var(--primary-color); background: white;
+            border-radius: 14px; padding: 5px 10px; font-size: 12px; cursor: pointer;
+        }
+        .typing { color: #888; font-style: italic; }
+        form { display: flex; gap: 8px; padding: 12px; border-top: 1px solid #e0e0e0; background: white; }
+        input { flex: 1; padding: 9px 13px; border: 1px solid #ddd; border-radius: 18px; font-size: 14px; outline: none; }
+        input:focus { border-color: var(--primary-color); }
+        .send { background: var(--primary-color); color: white; border: none; border-radius: 18px; padding: 0 16px; cursor: pointer; }
+        .send:disabled { opacity: 0.6; cursor: default; }
+    `;
+
+    const host = document.createElement('div');
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = `
+        <style>${styles}</style>
+        <button class="launcher" type="button" aria-label="Open chat">💬</button>
+        <div class="panel" role="dialog" aria-label="Chat">
+            <div class="header"><span class="title"></span><button class="close" type="button" aria-label="Close chat">×</button></div>
+            <div class="messages"></div>
+            <form><input type="text" placeholder="Type your question..." aria-label="Message" maxlength="2000"><button class="send" type="submit">Send</button></form>
+        </div>
+    `;
+
+    const launcher = shadow.querySelector('.launcher');
+    const panel = shadow.querySelector('.panel');
+    const titleEl = shadow.querySelector('.title');
+    const messagesEl = shadow.querySelector('.messages');
+    const form = shadow.querySelector('form');
+    const input = shadow.querySelector('input');
+    const sendBtn = shadow.querySelector('.send');
+
+    function storedSessionId() {
+        try {
+            return localStorage.getItem(sessionKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    let sessionId = storedSessionId();
+
+    function request(pathname, options = {}) {
+        const headers = { ...(options.body ? { 'Content-Type': 'application/json' } : {}) };
+        if (sessionId) headers['X-Session-Id'] = sessionId;
+        if (data.apiKey) headers['X-API-Key'] = data.apiKey;
+
+        return fetch(`${apiBase}${pathname}`, {
+            method: options.body ? 'POST' : 'GET',
+            headers,
+            body: options.body ? JSON.stringify(options.body) : undefined
+        });
+    }
+
+    function rememberSession(id) {
+        if (!id || id === sessionId) return;
+        sessionId = id;
+        try {
+            localStorage.setItem(sessionKey, id);
+        } catch (error) {
+            // Storage can be blocked; the session then lasts until the page reloads
+        }
+    }
+
+    function scroll() {
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+    }
+
+    function addMessage(text, type) {
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${type}`;
+        const bubble = document.createElement('div');
+        bubble.className = 'bubble';
+        bubble.textContent = text;
+        messageDiv.appendChild(bubble);
+        messagesEl.appendChild(messageDiv);
+        scroll();
+        return bubble;
+    }
+
+    function link(href, text) {
+        const anchor = document.createElement('a');
+        anchor.href = href;
+        anchor.target = '_blank';
+        anchor.rel = 'noopener';
+        anchor.textContent = text;
+        return anchor;
+    }
+
+    // Answer text with [n] markers linked to the cited pages, built from DOM nodes so page text can't inject markup
+    function renderAnswer(bubble, { response, sources = [], supportRequest, turnId }) {
+        bubble.textContent = '';
+        const sourcesById = new Map(sources.map(source => [source.id, source]));
+
+        for (const part of (response || '').split(/(\[\d+\])/)) {
+            const match = part.match(/^\[(\d+)\]$/);
+            const source = match && sourcesById.get(parseInt(match[1], 10));
+            if (source) {
+                const citation = link(source.url, `[${source.id}]`);
+                citation.className = 'citation';
+                citation.title = source.title;
+                bubble.appendChild(citation);
+            } else {
+                bubble.appendChild(document.createTextNode(part));
+            }
+        }
+
+        const cited = sources.filter(source => source.cited);
+        if (cited.length > 0) {
+            const list = document.createElement('ol');
+            list.className = 'sources';
+            for (const source of cited) {
+                const item = document.createElement('li');
+                item.value = source.id;
+                item.appendChild(link(source.url, source.title));
+                list.appendChild(item);
+            }
+            bubble.appendChild(list);
+        }
+
+        if (supportRequest) {
+            const note = document.createElement('div');
+            note.className = 'handoff';
+            note.textContent = `✅ Request ${supportRequest.id} sent to our team. We'll reply to ${supportRequest.email}.`;
+            bubble.appendChild(note);
+        }
+
+        if (turnId) {
+            bubble.appendChild(createFeedback(turnId));
+        }
+    }
+
+    function createFeedback(turnId) {
+        const feedbackDiv = document.createElement('div');
+        feedbackDiv.className = 'feedback';
+
+        const buttons = [['up', '👍', 'Helpful'], ['down', '👎', 'Not helpful']].map(([rating, icon, title]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = icon;
+            button.title = title;
+            button.addEventListener('click', () => {
+                buttons.forEach(other => other.classList.toggle('selected', other === button));
+                request('/feedback', { body: { turnId, rating } }).catch(() => {});
+            });
+            feedbackDiv.appendChild(button);
+            return button;
+        });
+
+        return feedbackDiv;
+    }
+
+    function showSuggestions(suggestions) {
+        if (suggestions.length === 0) return;
+
+        const container = document.createElement('div');
+        container.className = 'suggestions';
+        for (const { label, message } of suggestions) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                container.remove();
+                send(message);
+            });
+            container.appendChild(button);
+        }
+        messagesEl.appendChild(container);
+    }
+
+    async function send(message) {
+        if (!message || sendBtn.disabled) return;
+
+        addMessage(message, 'user');
+        input.value = '';
+        input.disabled = true;
+        sendBtn.disabled = true;
+        const typing = addMessage('Typing…', 'assistant');
+        typing.classList.add('typing');
+
+        try {
+            const response = await request('/chat', { body: { message } });
+            const answer = await response.json().catch(() => ({}));
+
+            if (!response.ok) {
+                typing.closest('.message').remove();
+                addMessage(response.status === 429
+                    ? 'Too many messages right now. Please try again in a little while.'
+                    : 'Sorry, I encountered an error. Please try again.', 'system');
+                return;
+            }
+
+            rememberSession(answer.sessionId || response.headers.get('X-Session-Id'));
+            typing.classList.remove('typing');
+            renderAnswer(typing, answer);
+            scroll();
+        } catch (error) {
+            typing.closest('.message').remove();
+            addMessage('Sorry, I could not connect to the server.', 'system');
+        } finally {
+            input.disabled = false;
+            sendBtn.disabled = false;
+            input.focus();
+        }
+    }
+
+    function setOpen(open) {
+        panel.classList.toggle('open', open);
+        launcher.textContent = open ? '×' : '💬';
+        launcher.setAttribute('aria-label', open ? 'Close chat' : 'Open chat');
+        if (open) input.focus();
+    }
+
+    launcher.addEventListener('click', () => setOpen(!panel.classList.contains('open')));
+    shadow.querySelector('.close').addEventListener('click', () => setOpen(false));
+    form.addEventListener('submit', (event) => {
+        event.preventDefault();
+        send(input.value.trim());
+    });
+
+    // Attribute options win over the branding configured for the site on the server
+    async function init() {
+        let branding = {};
+        try {
+            const response = await request('');
+            if (response.ok) branding = (await response.json()).branding || {};
+        } catch (error) {
+            // Fall back to the attributes and defaults below
+        }
+
+        host.style.setProperty('--primary-color', data.primaryColor || branding.primaryColor || '#667eea');
+        titleEl.textContent = data.title || branding.title || 'Chat with us';
+        addMessage(data.greeting || branding.welcomeMessage || '👋 Hi! How can I help you today?', 'assistant');
+
+        const suggestions = data.suggestions
+            ? data.suggestions.split('|').map(text => text.trim()).filter(Boolean).map(text => ({ label: text, message: text }))
+            : (branding.suggestions || []);
+        showSuggestions(suggestions);
+    }
+
+    // Set the default color before the branding arrives, so the launcher is never unstyled
+    host.style.setProperty('--primary-color', data.primaryColor || '#667eea');
+    document.body.appendChild(host);
+    init();
+
+    if (data.open === 'true') setOpen(true);
+
+    window.SiteChatbot = {
+        open: () => setOpen(true),
+        close: () => setOpen(false),
+        toggle: () => setOpen(!panel.classList.contains('open'))
+    };
+})();
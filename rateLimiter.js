@@ -0,0 +1,150 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Fixed-window request counter per client
+ *
+ * `consume(clientId)` counts a request and says whether it is within the
+ * limit, how many are left and when the window resets.
+ */
+export class RateLimiter {
+    constructor({ limit = 30, windowMs = 60 * 1000, pruneIntervalMs = 60 * 1000 } = {}) {
+        this.limit = limit;
+        this.windowMs = windowMs;
+        this.windows = new Map();
+
+        // Drop finished windows so idle clients don't accumulate
+        this.pruneTimer = setInterval(() => this.prune(), pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    consume(clientId, limit = this.limit) {
+        const now = Date.now();
+        let window = this.windows.get(clientId);
+
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(clientId, window);
+        }
+
+        window.count++;
+
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetAt: window.resetAt,
+            retryAfterMs: window.count <= limit ? 0 : window.resetAt - now
+        };
+    }
+
+    prune() {
+        const now = Date.now();
+        for (const [clientId, window] of this.windows) {
+            if (now >= window.resetAt) this.windows.delete(clientId);
+        }
+    }
+
+    close() {
+        clearInterval(this.pruneTimer);
+    }
+}
+
+/**
+ * Start of the next UTC day, when daily quotas reset
+ */
+function nextUtcMidnight(now = new Date()) {
+    return Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+}
+
+/**
+ * Daily LLM token allowance per client, charged from completion `usage`
+ *
+ * Usage is kept per UTC day. With `filePath`, counters are saved so a restart
+ * doesn't hand out a fresh allowance.
+ */
+export class TokenQuota {
+    constructor({ filePath = null } = {}) {
+        this.filePath = filePath;
+        this.day = new Date().toISOString().slice(0, 10);
+        this.used = new Map();
+        this.saveTimer = null;
+
+        if (this.filePath) {
+            this.load();
+        }
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            if (data.day === this.day) {
+                this.used = new Map(Object.entries(data.used));
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error loading token usage ${this.filePath}:`, { error });
+            }
+        }
+    }
+
+    /**
+     * Write counters at most once a second, however often tokens are charged
+     */
+    scheduleSave() {
+        if (!this.filePath || this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            try {
+                fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+                fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify({ day: this.day, used: Object.fromEntries(this.used) }));
+                fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+            } catch (error) {
+                logger.error(`Error saving token usage ${this.filePath}:`, { error });
+            }
+        }, 1000);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Start a new day's counters once the UTC date changes
+     */
+    rollOver() {
+        const today = new Date().toISOString().slice(0, 10);
+        if (today !== this.day) {
+            this.day = today;
+            this.used.clear();
+        }
+    }
+
+    usage(clientId) {
+        this.rollOver();
+        return this.used.get(clientId) || 0;
+    }
+
+    /**
+     * Whether a client still has tokens left today (`limit` of null means unlimited)
+     */
+    check(clientId, limit) {
+        const used = this.usage(clientId);
+        const allowed = limit === null || limit === undefined || used < limit;
+
+        return {
+            allowed,
+            used,
+            limit: limit ?? null,
+            remaining: limit === null || limit === undefined ? null : Math.max(0, limit - used),
+            retryAfterMs: allowed ? 0 : nextUtcMidnight() - Date.now()
+        };
+    }
+
+    charge(clientId, tokens) {
+        if (!tokens) return;
+
+        this.rollOver();
+        this.used.set(clientId, (this.used.get(clientId) || 0) + tokens);
+        this.scheduleSave();
+    }
+}
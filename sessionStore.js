@@ -0,0 +1,231 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+/**
+ * Check that a client-supplied session ID is safe to use as a key or filename
+ */
+export function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+function createSession(sessionId) {
+    const now = Date.now();
+    return {
+        id: sessionId,
+        history: [],
+        summary: '',
+        workingSet: [],
+        createdAt: now,
+        updatedAt: now
+    };
+}
+
+/**
+ * In-memory session store with TTL eviction and a cap on concurrent sessions
+ *
+ * All stores share the same async interface: `get`, `save`, `delete`, `size`
+ * and `close`, so the file-backed store can be swapped in without changes.
+ */
+export class MemorySessionStore {
+    constructor({ ttlMs = 30 * 60 * 1000, maxSessions = 1000, pruneIntervalMs = 60 * 1000 } = {}) {
+        this.ttlMs = ttlMs;
+        this.maxSessions = maxSessions;
+        this.sessions = new Map();
+
+        this.pruneTimer = setInterval(() => this.pruneExpired(), pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    /**
+     * Get a session, creating an empty one if it doesn't exist or has expired
+     */
+    async get(sessionId) {
+        const session = this.sessions.get(sessionId);
+
+        if (session && !this.isExpired(session)) {
+            return session;
+        }
+
+        this.sessions.delete(sessionId);
+        return createSession(sessionId);
+    }
+
+    async save(session) {
+        session.updatedAt = Date.now();
+
+        // Re-insert so Map iteration order stays least-recently-used first
+        this.sessions.delete(session.id);
+        this.evictIfFull();
+        this.sessions.set(session.id, session);
+    }
+
+    async delete(sessionId) {
+        this.sessions.delete(sessionId);
+    }
+
+    async size() {
+        return this.sessions.size;
+    }
+
+    isExpired(session) {
+        return Date.now() - session.updatedAt > this.ttlMs;
+    }
+
+    pruneExpired() {
+        for (const [sessionId, session] of this.sessions) {
+            if (this.isExpired(session)) {
+                this.sessions.delete(sessionId);
+            }
+        }
+    }
+
+    /**
+     * Drop the least recently used sessions to make room for a new one
+     */
+    evictIfFull() {
+        if (this.sessions.size < this.maxSessions) return;
+
+        this.pruneExpired();
+        for (const sessionId of this.sessions.keys()) {
+            if (this.sessions.size < this.maxSessions) break;
+            logger.warn(`⚠️  Session limit reached, evicting ${sessionId}`);
+            this.sessions.delete(sessionId);
+        }
+    }
+
+    close() {
+        clearInterval(this.pruneTimer);
+    }
+}
+
+/**
+ * File-backed session store, one JSON file per session
+ *
+ * Sessions survive restarts. Expiry and the session cap work the same way as
+ * the in-memory store, using each session's `updatedAt`.
+ */
+export class FileSessionStore {
+    constructor({ dir, ttlMs = 30 * 60 * 1000, maxSessions = 1000, pruneIntervalMs = 5 * 60 * 1000 } = {}) {
+        this.dir = dir;
+        this.ttlMs = ttlMs;
+        this.maxSessions = maxSessions;
+
+        fs.mkdirSync(this.dir, { recursive: true });
+
+        this.pruneTimer = setInterval(() => {
+            this.pruneExpired().catch(error => {
+                logger.error('Error pruning sessions:', { error });
+            });
+        }, pruneIntervalMs);
+        this.pruneTimer.unref();
+    }
+
+    filePath(sessionId) {
+        if (!isValidSessionId(sessionId)) {
+            throw new Error(`Invalid session ID: ${sessionId}`);
+        }
+        return path.join(this.dir, `${sessionId}.json`);
+    }
+
+    async get(sessionId) {
+        try {
+            const content = await fs.promises.readFile(this.filePath(sessionId), 'utf-8');
+            const session = JSON.parse(content);
+
+            if (!this.isExpired(session)) {
+                return session;
+            }
+
+            await this.delete(sessionId);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error reading session ${sessionId}:`, { error });
+            }
+        }
+
+        return createSession(sessionId);
+    }
+
+    async save(session) {
+        session.updatedAt = Date.now();
+
+        const file = this.filePath(session.id);
+        if (!fs.existsSync(file)) {
+            await this.evictIfFull();
+        }
+
+        // Write to a temp file first so a crash never leaves a half-written session
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempFile, JSON.stringify(session));
+        await fs.promises.rename(tempFile, file);
+    }
+
+    async delete(sessionId) {
+        await fs.promises.rm(this.filePath(sessionId), { force: true });
+    }
+
+    async size() {
+        return (await this.listSessionFiles()).length;
+    }
+
+    isExpired(session) {
+        return Date.now() - session.updatedAt > this.ttlMs;
+    }
+
+    async listSessionFiles() {
+        const files = await fs.promises.readdir(this.dir);
+        const entries = [];
+
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            try {
+                const stat = await fs.promises.stat(path.join(this.dir, file));
+                entries.push({ sessionId: file.slice(0, -'.json'.length), mtimeMs: stat.mtimeMs });
+            } catch (error) {
+                // File was removed between readdir and stat
+            }
+        }
+
+        return entries.sort((a, b) => a.mtimeMs - b.mtimeMs);
+    }
+
+    async pruneExpired() {
+        for (const { sessionId, mtimeMs } of await this.listSessionFiles()) {
+            if (Date.now() - mtimeMs > this.ttlMs) {
+                await this.delete(sessionId);
+            }
+        }
+    }
+
+    async evictIfFull() {
+        await this.pruneExpired();
+
+        const entries = await this.listSessionFiles();
+        const excess = entries.length - this.maxSessions + 1;
+
+        for (const { sessionId } of entries.slice(0, Math.max(excess, 0))) {
+            logger.warn(`⚠️  Session limit reached, evicting ${sessionId}`);
+            await this.delete(sessionId);
+        }
+    }
+
+    close() {
+        clearInterval(this.pruneTimer);
+    }
+}
+
+/**
+ * Create a session store from configuration
+ */
+export function createSessionStore({ type = 'memory', ...options } = {}) {
+    switch (type) {
+        case 'memory':
+            return new MemorySessionStore(options);
+        case 'file':
+            return new FileSessionStore(options);
+        default:
+            throw new Error(`Unknown session store type: ${type}`);
+    }
+}
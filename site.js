@@ -0,0 +1,166 @@
+import { SitemapParser } from './sitemapParser.js';
+import { WebScraper } from './webScraper.js';
+import { RAGChatbot } from './chatbot.js';
+import { PageCache } from './pageCache.js';
+import { ContentIndex } from './contentIndex.js';
+import { VectorStore } from './vectorStore.js';
+import { ProductCatalog } from './productCatalog.js';
+import { createSessionStore } from './sessionStore.js';
+import { FetchPolicy } from './fetchPolicy.js';
+import { TranscriptStore } from './transcriptStore.js';
+import { SupportDesk } from './supportRequests.js';
+import { ConversationMemory } from './conversationMemory.js';
+import { Guardrails } from './guardrails.js';
+import { SitemapReloader } from './sitemapReloader.js';
+import { logger } from './logger.js';
+
+/**
+ * Build everything one site needs: sitemaps (kept up to date while the
+ * server runs), scraper and cache, indexes, sessions, transcripts, support
+ * requests and its chatbot
+ *
+ * LLM providers, the embedding provider and cassettes are shared between
+ * sites; `settings` carries the instance-wide limits from the environment.
+ */
+export async function createSite(config, {
+    llmProviders,
+    embeddingProvider,
+    webCassette = null,
+    settings = {}
+}) {
+    logger.info(`\n🌍 Loading site ${config.id} (${config.baseUrl})`, { site: config.id });
+
+    // Tag the site's chat and fetch logs with its id
+    const siteLogger = logger.child({ site: config.id });
+
+    const fetchPolicy = new FetchPolicy({ allowedDomains: config.allowedDomains, ...settings.fetchPolicy });
+    const sitemapParser = new SitemapParser(config.sitemapDir, {
+        sitemapUrl: config.sitemapUrl,
+        baseUrl: config.baseUrl,
+        fetchPolicy
+    });
+    const pageCache = new PageCache({
+        dir: config.pageCacheDir === 'memory' ? null : config.pageCacheDir,
+        ttlMs: settings.pageCacheTtlMs,
+        maxEntries: settings.pageCacheMaxEntries
+    });
+    const webScraper = new WebScraper({
+        cassette: webCassette,
+        cache: pageCache,
+        getLastmod: url => sitemapParser.getLastmod(url),
+        fetchPolicy,
+        selectors: { content: config.contentSelectors, noise: config.noiseSelectors },
+        logger: siteLogger
+    });
+
+    // Load sitemaps
+    logger.info('📚 Loading sitemaps...');
+    await sitemapParser.loadSitemaps();
+
+    // Load the full-text content index (built with `npm run index`)
+    const contentIndex = new ContentIndex(config.contentIndexPath).load();
+    if (contentIndex.isEmpty()) {
+        logger.warn('⚠️  Content index not built, falling back to sitemap slug search (run `npm run index`)');
+    }
+
+    // Load page embeddings for semantic search (also built with `npm run index`)
+    const vectorStore = new VectorStore(config.vectorStorePath).load();
+    if (!vectorStore.isEmpty() && vectorStore.providerId !== embeddingProvider.id) {
+        logger.warn(`⚠️  Vectors were built with ${vectorStore.providerId}, not ${embeddingProvider.id}; semantic search disabled until reindexed`);
+    }
+
+    // Load extracted product plans and prices (built with `npm run index`, or lazily on first lookup)
+    const productCatalog = new ProductCatalog(config.productCatalogPath).load();
+
+    // Pick up sitemap changes without a restart
+    const sitemapReloader = new SitemapReloader({
+        siteId: config.id,
+        sitemapParser,
+        pageCache,
+        contentIndex,
+        productCatalog,
+        watch: settings.sitemapWatch !== false,
+        pollIntervalMs: settings.sitemapPollMs,
+        logger: siteLogger
+    }).start();
+
+    const sessionStore = createSessionStore({
+        type: settings.sessionStore || 'memory',
+        dir: config.sessionDir,
+        ttlMs: settings.sessionTtlMs,
+        maxSessions: settings.maxSessions
+    });
+
+    // Chat turns and answer feedback, for the admin review API
+    const transcriptStore = new TranscriptStore({
+        filePath: config.transcriptPath === 'memory' ? null : config.transcriptPath,
+        redact: settings.redactPii
+    });
+
+    // Quotes and handoffs to the team, posted to the site's webhook (or the instance-wide one)
+    const supportDesk = new SupportDesk({
+        filePath: config.supportRequestsPath === 'memory' ? null : config.supportRequestsPath,
+        webhookUrl: config.supportWebhookUrl || settings.supportWebhookUrl || null,
+        webhookSecret: settings.supportWebhookSecret || null,
+        siteId: config.id
+    });
+
+    const chatbot = new RAGChatbot(
+        llmProviders,
+        sitemapParser,
+        webScraper,
+        {
+            sessionStore,
+            memory: new ConversationMemory({
+                historyTokenBudget: settings.historyTokenBudget,
+                maxPages: settings.workingSetPages,
+                pageTokenBudget: settings.workingSetTokenBudget,
+                logger: siteLogger
+            }),
+            guardrails: new Guardrails({ ...config.guardrails, logger: siteLogger }),
+            contentIndex,
+            vectorStore,
+            embeddingProvider,
+            productCatalog,
+            transcriptStore,
+            supportDesk,
+            siteName: config.name,
+            siteDescription: config.description,
+            systemPrompt: config.systemPrompt,
+            maxFetchUrls: settings.maxFetchUrls,
+            fetchTokenBudget: settings.fetchTokenBudget,
+            toolTimeoutMs: settings.toolTimeoutMs,
+            logger: siteLogger
+        }
+    );
+
+    return {
+        id: config.id,
+        config,
+        sitemapParser,
+        sitemapReloader,
+        pageCache,
+        webScraper,
+        contentIndex,
+        vectorStore,
+        productCatalog,
+        sessionStore,
+        transcriptStore,
+        supportDesk,
+        chatbot,
+        cacheWarmStatus: { running: false }
+    };
+}
+
+/**
+ * Public description of a site, safe to send to browsers
+ */
+export function describeSite(site) {
+    return {
+        id: site.id,
+        name: site.config.name,
+        baseUrl: site.config.baseUrl,
+        branding: site.config.branding,
+        urlCount: site.sitemapParser.getAllUrls().length
+    };
+}
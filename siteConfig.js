@@ -0,0 +1,154 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+const SITE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+/**
+ * Fill in defaults for one site entry and resolve its paths
+ *
+ * Sites never share data: the content index, vectors and product catalog
+ * live in the site's `dataDir` (its sitemap directory by default), page
+ * cache and session files go in a subdirectory named after the site id, and
+ * chat transcripts and support requests in `<id>.jsonl` files under their roots.
+ */
+export function normalizeSiteConfig(site, {
+    rootDir = process.cwd(),
+    pageCacheRoot = 'cache/pages',
+    sessionRoot = 'sessions',
+    transcriptRoot = 'transcripts',
+    supportRequestRoot = 'support-requests'
+} = {}) {
+    if (!site || !SITE_ID_PATTERN.test(site.id || '')) {
+        throw new Error(`Invalid site id: ${site && site.id} (use lowercase letters, digits, "-" and "_")`);
+    }
+
+    let baseUrl;
+    try {
+        baseUrl = new URL(site.baseUrl);
+    } catch (error) {
+        throw new Error(`Site ${site.id} needs a valid baseUrl`);
+    }
+
+    let allowedOrigins;
+    try {
+        allowedOrigins = (site.allowedOrigins || [baseUrl.origin]).map(origin => new URL(origin).origin);
+    } catch (error) {
+        throw new Error(`Site ${site.id} has an invalid allowedOrigins entry (use e.g. "https://www.example.com")`);
+    }
+
+    const selectorList = (field) => {
+        const value = site[field] || [];
+        if (!Array.isArray(value) || !value.every(selector => typeof selector === 'string' && selector.trim())) {
+            throw new Error(`Site ${site.id} needs ${field} to be a list of CSS selectors`);
+        }
+        return value.map(selector => selector.trim());
+    };
+
+    const resolve = (value, fallback) => path.resolve(rootDir, value || fallback);
+    const sitemapDir = resolve(site.sitemapDir, path.join('sites', site.id));
+    const dataDir = resolve(site.dataDir, sitemapDir);
+    const name = site.name || baseUrl.hostname;
+
+    return {
+        id: site.id,
+        name,
+        description: site.description || '',
+        baseUrl: baseUrl.href,
+        sitemapDir,
+        sitemapUrl: site.sitemapUrl || null,
+        systemPrompt: site.systemPrompt || null,
+        allowedDomains: (site.allowedDomains || [baseUrl.hostname]).map(domain => domain.toLowerCase()),
+        allowedOrigins,
+        contentSelectors: selectorList('contentSelectors'),
+        noiseSelectors: selectorList('noiseSelectors'),
+        branding: {
+            title: `${name} Assistant`,
+            subtitle: 'Ask me anything about our services!',
+            welcomeMessage: `👋 Hello! I'm the ${name} assistant. What would you like to know?`,
+            primaryColor: '#667eea',
+            suggestions: [],
+            ...site.branding
+        },
+        guardrails: {
+            offTopicMessage: `I can only help with questions about ${name}. What would you like to know about our products or services?`,
+            blockedTopics: [],
+            competitors: [],
+            ...site.guardrails
+        },
+        contentIndexPath: resolve(site.contentIndexPath, path.join(dataDir, 'content-index.json')),
+        vectorStorePath: resolve(site.vectorStorePath, path.join(dataDir, 'vectors.json')),
+        productCatalogPath: resolve(site.productCatalogPath, path.join(dataDir, 'products.json')),
+        pageCacheDir: (site.pageCacheDir || pageCacheRoot) === 'memory'
+            ? 'memory'
+            : resolve(site.pageCacheDir, path.join(pageCacheRoot, site.id)),
+        sessionDir: resolve(site.sessionDir, path.join(sessionRoot, site.id)),
+        transcriptPath: (site.transcriptPath || transcriptRoot) === 'memory'
+            ? 'memory'
+            : resolve(site.transcriptPath, path.join(transcriptRoot, `${site.id}.jsonl`)),
+        supportRequestsPath: (site.supportRequestsPath || supportRequestRoot) === 'memory'
+            ? 'memory'
+            : resolve(site.supportRequestsPath, path.join(supportRequestRoot, `${site.id}.jsonl`)),
+        supportWebhookUrl: site.supportWebhookUrl || null
+    };
+}
+
+/**
+ * Load the sites served by this instance
+ *
+ * Reads a JSON file of the form `{ "defaultSite": "id", "sites": [...] }`.
+ * Without a config file, a single site is built from the legacy environment
+ * variables so existing single-site deployments keep working.
+ */
+export function loadSiteConfigs(configPath, { rootDir = process.cwd(), env = process.env } = {}) {
+    let config;
+
+    try {
+        config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            throw new Error(`Error loading site config ${configPath}: ${error.message}`);
+        }
+
+        logger.warn(`⚠️  No site config at ${configPath}, serving a single site from environment variables`);
+        config = {
+            sites: [{
+                id: env.SITE_ID || 'vsf',
+                name: env.SITE_NAME || 'VSF Technology',
+                description: 'a web hosting and domain services company',
+                baseUrl: env.SITE_BASE_URL || 'https://www.vsf.technology/',
+                sitemapDir: 'www.vsf.technology',
+                sitemapUrl: env.SITEMAP_URL,
+                contentIndexPath: env.CONTENT_INDEX_PATH,
+                vectorStorePath: env.VECTOR_STORE_PATH,
+                productCatalogPath: env.PRODUCT_CATALOG_PATH
+            }]
+        };
+    }
+
+    if (!Array.isArray(config.sites) || config.sites.length === 0) {
+        throw new Error(`Site config ${configPath} must list at least one site`);
+    }
+
+    const sites = config.sites.map(site => normalizeSiteConfig(site, {
+        rootDir,
+        pageCacheRoot: env.PAGE_CACHE_DIR || 'cache/pages',
+        sessionRoot: env.SESSION_DIR || 'sessions',
+        transcriptRoot: env.TRANSCRIPT_DIR || 'transcripts',
+        supportRequestRoot: env.SUPPORT_REQUESTS_DIR || 'support-requests'
+    }));
+    const ids = new Set();
+    for (const site of sites) {
+        if (ids.has(site.id)) {
+            throw new Error(`Duplicate site id in ${configPath}: ${site.id}`);
+        }
+        ids.add(site.id);
+    }
+
+    const defaultSite = config.defaultSite || sites[0].id;
+    if (!ids.has(defaultSite)) {
+        throw new Error(`Default site ${defaultSite} is not defined in ${configPath}`);
+    }
+
+    return { defaultSite, sites };
+}
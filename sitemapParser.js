@@ -1,77 +1,324 @@
 import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
+import { parseStringPromise, processors } from 'xml2js';
+import { FetchPolicy } from './fetchPolicy.js';
+import { logger } from './logger.js';
 
 /**
  * Parse sitemap files and extract URLs with metadata
+ *
+ * Supports XML `urlset` sitemaps, `sitemapindex` files pointing to child
+ * sitemaps, gzipped `.xml.gz` files and the tab-separated text dump that
+ * browsers show for Yoast sitemaps. Sources can be local files or a remote URL.
+ *
+ * Remote sitemaps, including the children of an index, are fetched through
+ * `fetchPolicy` (so an index can't point the server at internal hosts), and
+ * no sitemap may be larger than `maxBytes`, compressed or not.
  */
 export class SitemapParser {
-    constructor(sitemapDir) {
+    constructor(sitemapDir, options = {}) {
         this.sitemapDir = sitemapDir;
+        this.sitemapUrl = options.sitemapUrl || null;
+        this.baseUrl = options.baseUrl || null;
+        this.maxDepth = options.maxDepth || 3;
+        this.fetchPolicy = options.fetchPolicy || new FetchPolicy();
+        // The sitemap protocol's limit for one file
+        this.maxBytes = options.maxBytes || 50 * 1024 * 1024;
         this.urls = [];
+        // URL to its entry, for lookups on every page fetch
+        this.byUrl = new Map();
     }
 
     /**
      * Load and parse all sitemap files
+     *
+     * Sitemaps that can't be read are skipped, so a site still starts with
+     * whatever could be loaded.
      */
     async loadSitemaps() {
-        const files = [
-            'page-sitemap.xml',
-            'post-sitemap.xml',
-            'reseller_product-sitemap.xml'
-        ];
-
-        for (const file of files) {
-            const filePath = path.join(this.sitemapDir, file);
-            try {
-                const content = fs.readFileSync(filePath, 'utf-8');
-                const urls = this.parseSitemapContent(content, file);
-                this.urls.push(...urls);
-            } catch (error) {
-                console.error(`Error reading ${file}:`, error.message);
+        await this.reload({ allowPartial: true });
+        return this.urls;
+    }
+
+    /**
+     * Read every sitemap again and swap in the new URL set in one step
+     *
+     * Returns the URLs `added`, `removed` and `changed` (by lastmod) compared
+     * with the previous set, and the sitemaps that couldn't be read. Unless
+     * `allowPartial` is set, an unreadable sitemap, or no URLs at all where
+     * there were some, throws and keeps the current set, so a network blip or
+     * a half-copied file doesn't empty the site.
+     */
+    async reload({ allowPartial = false } = {}) {
+        const sources = this.sitemapUrl ? [this.sitemapUrl] : this.listLocalSitemaps();
+        const visited = new Set();
+        const failures = [];
+        const urlMap = new Map();
+
+        for (const source of sources) {
+            for (const urlData of await this.loadSitemap(source, visited, 0, failures)) {
+                if (!urlMap.has(urlData.url)) {
+                    urlMap.set(urlData.url, urlData);
+                }
             }
         }
 
-        console.log(`Loaded ${this.urls.length} URLs from sitemaps`);
-        return this.urls;
+        if (!allowPartial) {
+            if (failures.length > 0) {
+                throw new Error(`Could not read ${failures.join(', ')}; keeping the current ${this.urls.length} URLs`);
+            }
+            if (urlMap.size === 0 && this.urls.length > 0) {
+                throw new Error(`Sitemaps contain no URLs; keeping the current ${this.urls.length} URLs`);
+            }
+        }
+
+        const previous = new Map(this.urls.map(urlData => [urlData.url, urlData]));
+        const diff = {
+            added: [...urlMap.keys()].filter(url => !previous.has(url)),
+            removed: [...previous.keys()].filter(url => !urlMap.has(url)),
+            changed: [...urlMap.values()]
+                .filter(urlData => previous.has(urlData.url) && previous.get(urlData.url).lastmod !== urlData.lastmod)
+                .map(urlData => urlData.url)
+        };
+
+        this.urls = [...urlMap.values()];
+        this.byUrl = urlMap;
+        logger.info(`Loaded ${this.urls.length} URLs from sitemaps`);
+        return { total: this.urls.length, ...diff, failures };
+    }
+
+    /**
+     * List sitemap files in the sitemap directory
+     */
+    listLocalSitemaps() {
+        try {
+            return fs.readdirSync(this.sitemapDir)
+                .filter(file => /\.xml(\.gz)?$/i.test(file))
+                .sort()
+                .map(file => path.join(this.sitemapDir, file));
+        } catch (error) {
+            logger.error(`Error reading sitemap directory ${this.sitemapDir}:`, { error });
+            return [];
+        }
+    }
+
+    /**
+     * Load a single sitemap source, following sitemap indexes
+     *
+     * Sources that can't be read or parsed are added to `failures`.
+     */
+    async loadSitemap(source, visited, depth, failures = []) {
+        const location = this.resolveSource(source);
+        if (visited.has(location)) return [];
+        visited.add(location);
+
+        const filename = path.basename(location.split('?')[0]);
+
+        try {
+            const content = await this.readSource(location);
+            const parsed = await this.parseSitemapContent(content, filename);
+
+            if (parsed.type !== 'sitemapindex') {
+                return parsed.urls;
+            }
+
+            if (depth >= this.maxDepth) {
+                logger.warn(`Skipping nested sitemap index ${filename}: max depth ${this.maxDepth} reached`);
+                return [];
+            }
+
+            const urls = [];
+            for (const child of parsed.sitemaps) {
+                urls.push(...await this.loadSitemap(child.loc, visited, depth + 1, failures));
+            }
+            return urls;
+        } catch (error) {
+            logger.error(`Error reading ${filename}:`, { error });
+            failures.push(filename);
+            return [];
+        }
+    }
+
+    /**
+     * Prefer a local copy of a remote child sitemap when one exists
+     */
+    resolveSource(source) {
+        if (!this.isRemote(source) || !this.sitemapDir || this.sitemapUrl) {
+            return source;
+        }
+
+        const localPath = path.join(this.sitemapDir, path.basename(new URL(source).pathname));
+        return fs.existsSync(localPath) ? localPath : source;
+    }
+
+    isRemote(source) {
+        return /^https?:\/\//i.test(source);
+    }
+
+    /**
+     * Read a sitemap from disk or over HTTP, decompressing gzip if needed
+     */
+    async readSource(location) {
+        let buffer;
+
+        if (this.isRemote(location)) {
+            logger.info(`Fetching sitemap: ${location}`);
+            const response = await this.fetchPolicy.request(location, { contentTypes: null, maxBodyBytes: this.maxBytes, encoding: null });
+            buffer = response.body;
+        } else {
+            buffer = await fs.promises.readFile(location);
+        }
+
+        // Gzip magic bytes, regardless of file extension
+        if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+            buffer = zlib.gunzipSync(buffer, { maxOutputLength: this.maxBytes });
+        }
+
+        return buffer.toString('utf-8');
     }
 
     /**
      * Parse sitemap content and extract URLs
+     *
+     * Returns `{ type: 'urlset', urls }` or `{ type: 'sitemapindex', sitemaps }`.
      */
-    parseSitemapContent(content, filename) {
-        const urls = [];
-        const lines = content.split('\n');
-
-        let category = 'general';
-        if (filename.includes('page')) category = 'page';
-        else if (filename.includes('post')) category = 'blog';
-        else if (filename.includes('product')) category = 'product';
-
-        for (const line of lines) {
-            if (line.startsWith('https://')) {
-                const url = line.split('\t')[0].trim();
-                const urlPath = url.replace('https://www.vsf.technology/', '');
-
-                // Extract keywords from URL path
-                const keywords = urlPath
-                    .replace(/\//g, ' ')
-                    .replace(/-/g, ' ')
-                    .toLowerCase()
-                    .trim();
-
-                urls.push({
-                    url,
-                    path: urlPath,
-                    category,
-                    keywords,
-                    title: this.generateTitle(urlPath)
+    async parseSitemapContent(content, filename) {
+        const category = this.getCategory(filename);
+        const trimmed = content.replace(/^\uFEFF/, '').trim();
+
+        if (!trimmed.startsWith('<')) {
+            return { type: 'urlset', urls: this.parseTextDump(trimmed, category) };
+        }
+
+        const xml = await parseStringPromise(trimmed, {
+            tagNameProcessors: [processors.stripPrefix],
+            explicitArray: true
+        });
+
+        if (xml.sitemapindex) {
+            const sitemaps = (xml.sitemapindex.sitemap || [])
+                .map(entry => ({
+                    loc: this.textOf(entry.loc),
+                    lastmod: this.normalizeLastmod(this.textOf(entry.lastmod))
+                }))
+                .filter(entry => entry.loc);
+            return { type: 'sitemapindex', sitemaps };
+        }
+
+        if (!xml.urlset) {
+            throw new Error('Unrecognized sitemap format');
+        }
+
+        const urls = (xml.urlset.url || [])
+            .filter(entry => this.textOf(entry.loc))
+            .map(entry => {
+                const images = (entry.image || []).map(image => ({
+                    loc: this.textOf(image.loc),
+                    title: this.textOf(image.title),
+                    caption: this.textOf(image.caption)
+                }));
+                const priority = this.textOf(entry.priority);
+
+                return this.createUrlEntry(this.textOf(entry.loc), category, {
+                    lastmod: this.normalizeLastmod(this.textOf(entry.lastmod)),
+                    changefreq: this.textOf(entry.changefreq),
+                    priority: priority ? parseFloat(priority) : null,
+                    images,
+                    imageCount: images.length
                 });
-            }
+            });
+
+        return { type: 'urlset', urls };
+    }
+
+    /**
+     * Parse the tab-separated "URL / Images / Last Mod." browser dump
+     */
+    parseTextDump(content, category) {
+        const urls = [];
+
+        for (const line of content.split('\n')) {
+            if (!line.startsWith('https://') && !line.startsWith('http://')) continue;
+
+            const [url, images, lastmod] = line.split('\t').map(col => col.trim());
+            urls.push(this.createUrlEntry(url, category, {
+                lastmod: this.normalizeLastmod(lastmod),
+                imageCount: parseInt(images, 10) || 0
+            }));
         }
 
         return urls;
     }
 
+    /**
+     * Build a URL entry with search keywords and a readable title
+     */
+    createUrlEntry(url, category, metadata = {}) {
+        const urlPath = this.relativePath(url);
+
+        // Extract keywords from URL path
+        const keywords = urlPath
+            .replace(/\//g, ' ')
+            .replace(/-/g, ' ')
+            .toLowerCase()
+            .trim();
+
+        return {
+            url,
+            path: urlPath,
+            category,
+            keywords,
+            title: this.generateTitle(urlPath),
+            lastmod: null,
+            changefreq: null,
+            priority: null,
+            images: [],
+            imageCount: 0,
+            ...metadata
+        };
+    }
+
+    /**
+     * Path of a URL relative to the site's base URL (or its origin, without one)
+     */
+    relativePath(url) {
+        if (this.baseUrl && url.startsWith(this.baseUrl)) {
+            return url.slice(this.baseUrl.length);
+        }
+
+        try {
+            return new URL(url).pathname.replace(/^\//, '');
+        } catch (error) {
+            return url;
+        }
+    }
+
+    getCategory(filename) {
+        if (filename.includes('page')) return 'page';
+        if (filename.includes('post')) return 'blog';
+        if (filename.includes('product')) return 'product';
+        return 'general';
+    }
+
+    textOf(value) {
+        const node = Array.isArray(value) ? value[0] : value;
+        if (node === undefined || node === null) return null;
+        const text = typeof node === 'object' ? node._ : node;
+        return text ? String(text).trim() : null;
+    }
+
+    /**
+     * Normalize W3C and Yoast ("2025-05-14 08:09 +00:00") dates to ISO strings
+     */
+    normalizeLastmod(value) {
+        if (!value) return null;
+
+        const isoLike = value.replace(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}(?::\d{2})?) ?([+-]\d{2}:\d{2}|Z)?$/, '$1T$2$3');
+        const date = new Date(isoLike);
+        return isNaN(date.getTime()) ? value : date.toISOString();
+    }
+
     /**
      * Generate a readable title from URL path
      */
@@ -123,6 +370,14 @@ export class SitemapParser {
             .slice(0, limit);
     }
 
+    /**
+     * Get the sitemap lastmod of a URL, if known
+     */
+    getLastmod(url) {
+        const urlData = this.byUrl.get(url);
+        return urlData ? urlData.lastmod : null;
+    }
+
     /**
      * Get all URLs
      */
@@ -130,4 +385,3 @@ export class SitemapParser {
         return this.urls;
     }
 }
-
@@ -0,0 +1,184 @@
+import fs from 'fs';
+import { logger as defaultLogger } from './logger.js';
+import { sitemapReloads } from './metrics.js';
+
+const MAX_REPORT_URLS = 100;
+const MAX_HISTORY = 10;
+
+/**
+ * Keep a site's URL set in sync with its sitemaps while the server runs
+ *
+ * Local sitemap directories are watched for changes (`watch`), remote
+ * sitemaps are polled every `pollIntervalMs`, and `reload()` can be called
+ * directly (the admin reindex endpoint). Each reload swaps in the new URL set
+ * in one step, then evicts the cached pages of changed and removed URLs and
+ * drops removed pages from the content index and product catalog. New pages
+ * are fetched on demand; `npm run index` adds them to the content index.
+ *
+ * Reloads never overlap: one requested while another runs happens after it.
+ * The report of each reload is kept for `/api/urls`.
+ */
+export class SitemapReloader {
+    constructor({
+        siteId,
+        sitemapParser,
+        pageCache = null,
+        contentIndex = null,
+        productCatalog = null,
+        watch = true,
+        pollIntervalMs = 60 * 60 * 1000,
+        debounceMs = 2000,
+        logger = defaultLogger
+    }) {
+        this.siteId = siteId;
+        this.sitemapParser = sitemapParser;
+        this.pageCache = pageCache;
+        this.contentIndex = contentIndex;
+        this.productCatalog = productCatalog;
+        this.watch = watch;
+        this.pollIntervalMs = pollIntervalMs;
+        this.debounceMs = debounceMs;
+        this.logger = logger;
+        this.history = [];
+        this.running = null;
+        this.queued = null;
+        this.watcher = null;
+        this.pollTimer = null;
+        this.debounceTimer = null;
+    }
+
+    /**
+     * Start watching the sitemap directory, or polling the remote sitemap
+     */
+    start() {
+        if (this.sitemapParser.sitemapUrl) {
+            if (this.pollIntervalMs > 0) {
+                this.pollTimer = setInterval(() => this.reload({ trigger: 'poll' }), this.pollIntervalMs);
+                this.pollTimer.unref();
+                this.logger.info(`🔁 Polling ${this.sitemapParser.sitemapUrl} every ${Math.round(this.pollIntervalMs / 60000)} minutes`);
+            }
+            return this;
+        }
+
+        if (this.watch && this.sitemapParser.sitemapDir) {
+            try {
+                this.watcher = fs.watch(this.sitemapParser.sitemapDir, (eventType, filename) => {
+                    if (filename && !/\.xml(\.gz)?$/i.test(filename)) return;
+
+                    // Copying a file fires several events; reload once it has settled
+                    clearTimeout(this.debounceTimer);
+                    this.debounceTimer = setTimeout(() => this.reload({ trigger: 'watch' }), this.debounceMs);
+                });
+                this.watcher.on('error', error => {
+                    this.logger.error(`❌ Stopped watching ${this.sitemapParser.sitemapDir}:`, { error });
+                    this.watcher = null;
+                });
+                this.watcher.unref();
+                this.logger.info(`👀 Watching ${this.sitemapParser.sitemapDir} for sitemap changes`);
+            } catch (error) {
+                this.logger.warn(`⚠️  Can't watch ${this.sitemapParser.sitemapDir}: ${error.message}`);
+            }
+        }
+
+        return this;
+    }
+
+    /**
+     * Reload the sitemaps, after any reload already running, and return the report
+     */
+    reload({ trigger = 'manual' } = {}) {
+        if (this.running) {
+            if (!this.queued) {
+                this.queued = this.running.then(() => {
+                    this.queued = null;
+                    return this.reload({ trigger });
+                });
+            }
+            return this.queued;
+        }
+
+        this.running = this.runReload(trigger).finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    async runReload(trigger) {
+        const startedAt = new Date();
+        const report = { trigger, startedAt: startedAt.toISOString() };
+
+        try {
+            const diff = await this.sitemapParser.reload();
+            Object.assign(report, {
+                status: 'ok',
+                total: diff.total,
+                counts: { added: diff.added.length, removed: diff.removed.length, changed: diff.changed.length },
+                ...this.applyDiff(diff),
+                added: diff.added.slice(0, MAX_REPORT_URLS),
+                removed: diff.removed.slice(0, MAX_REPORT_URLS),
+                changed: diff.changed.slice(0, MAX_REPORT_URLS)
+            });
+
+            const { added, removed, changed } = report.counts;
+            this.logger.info(`🗺️  Sitemaps reloaded (${trigger}): ${diff.total} URLs, ${added} added, ${removed} removed, ${changed} changed`, { trigger, ...report.counts });
+        } catch (error) {
+            Object.assign(report, { status: 'failed', error: error.message, total: this.sitemapParser.getAllUrls().length });
+            this.logger.error(`❌ Sitemap reload failed (${trigger}):`, { trigger, error });
+        }
+
+        report.finishedAt = new Date().toISOString();
+        report.durationMs = Date.now() - startedAt.getTime();
+        sitemapReloads.inc({ site: this.siteId, trigger, status: report.status });
+
+        this.history = [report, ...this.history].slice(0, MAX_HISTORY);
+        return report;
+    }
+
+    /**
+     * Forget what the site knew about changed and removed URLs
+     */
+    applyDiff({ removed, changed }) {
+        const result = { evicted: 0, unindexed: 0 };
+
+        if (this.pageCache) {
+            for (const url of [...changed, ...removed]) {
+                if (this.pageCache.delete(url)) result.evicted++;
+            }
+        }
+
+        if (this.contentIndex) {
+            for (const url of removed.filter(url => this.contentIndex.pages[url])) {
+                this.contentIndex.removePage(url);
+                result.unindexed++;
+            }
+            if (result.unindexed > 0) this.contentIndex.save();
+        }
+
+        if (this.productCatalog) {
+            const products = removed.filter(url => this.productCatalog.get(url));
+            products.forEach(url => this.productCatalog.remove(url));
+            if (products.length > 0) this.productCatalog.save();
+        }
+
+        return result;
+    }
+
+    /**
+     * How the sitemaps are kept up to date, with the latest reload reports, newest first
+     */
+    describe() {
+        return {
+            mode: this.pollTimer ? 'poll' : (this.watcher ? 'watch' : 'manual'),
+            pollIntervalMs: this.pollTimer ? this.pollIntervalMs : null,
+            reloading: Boolean(this.running),
+            lastReload: this.history[0] || null,
+            history: this.history.slice(1).map(({ added, removed, changed, ...summary }) => summary)
+        };
+    }
+
+    close() {
+        clearInterval(this.pollTimer);
+        clearTimeout(this.debounceTimer);
+        if (this.watcher) this.watcher.close();
+    }
+}
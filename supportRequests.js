@@ -0,0 +1,175 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { logger } from './logger.js';
+
+export const REQUEST_TYPES = ['quote', 'custom_plan', 'human', 'other'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const MAX_FIELD_LENGTHS = { name: 100, email: 254, phone: 40, company: 100, need: 2000 };
+
+/**
+ * Check the details a visitor gave for a support request
+ *
+ * Returns `{ request, errors }`: the trimmed request, and a message for each
+ * missing or invalid field so the assistant can ask the visitor again.
+ */
+export function validateSupportRequest({ name, email, need, phone, company, request_type: requestType } = {}) {
+    const text = value => (typeof value === 'string' ? value.trim() : '');
+    const request = {
+        name: text(name),
+        email: text(email).toLowerCase(),
+        need: text(need),
+        phone: text(phone) || null,
+        company: text(company) || null,
+        requestType: REQUEST_TYPES.includes(requestType) ? requestType : 'other'
+    };
+    const errors = {};
+
+    if (!request.name) errors.name = 'The visitor\'s name is required';
+    if (!request.email) {
+        errors.email = 'An email address is required';
+    } else if (!EMAIL_PATTERN.test(request.email)) {
+        errors.email = `"${request.email}" is not a valid email address`;
+    }
+    if (request.need.length < 10) errors.need = 'Describe what the visitor needs in at least a sentence';
+    if (request.phone && !/^[+()\d\s.-]{6,}$/.test(request.phone)) errors.phone = `"${request.phone}" is not a valid phone number`;
+
+    for (const [field, maxLength] of Object.entries(MAX_FIELD_LENGTHS)) {
+        if (request[field] && request[field].length > maxLength) {
+            errors[field] = `${field} must be at most ${maxLength} characters`;
+        }
+    }
+
+    return { request, errors };
+}
+
+/**
+ * Support requests (quotes, custom plans, handoffs to a person) raised in chat
+ *
+ * Requests are saved to an append-only JSONL file (or kept in memory without
+ * `filePath`) and, when `webhookUrl` is set, posted there as JSON. With a
+ * `webhookSecret`, the body is signed in `X-Signature: sha256=<hmac>`. A
+ * failed delivery is retried once; the request is kept either way and its
+ * `delivery` says what happened. Delivery runs in the background, so
+ * `create` returns as soon as the request is saved.
+ */
+export class SupportDesk {
+    constructor({ filePath = null, webhookUrl = null, webhookSecret = null, timeoutMs = 10000, siteId = null } = {}) {
+        this.filePath = filePath;
+        this.webhookUrl = webhookUrl;
+        this.webhookSecret = webhookSecret;
+        this.timeoutMs = timeoutMs;
+        this.siteId = siteId;
+        this.requests = new Map();
+
+        if (this.filePath) {
+            this.load();
+        }
+    }
+
+    load() {
+        try {
+            for (const line of fs.readFileSync(this.filePath, 'utf-8').split('\n').filter(Boolean)) {
+                try {
+                    const request = JSON.parse(line);
+                    this.requests.set(request.id, request);
+                } catch (error) {
+                    logger.warn(`⚠️  Skipping unreadable support request line in ${this.filePath}`);
+                }
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error loading support requests ${this.filePath}:`, { error });
+            }
+        }
+        return this;
+    }
+
+    /**
+     * Save the latest state of a request (the last line for an id wins on load)
+     */
+    persist(request) {
+        this.requests.set(request.id, request);
+        if (!this.filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, `${JSON.stringify(request)}\n`);
+        } catch (error) {
+            logger.error(`Error saving support request ${request.id}:`, { error });
+        }
+    }
+
+    get(id) {
+        return this.requests.get(id) || null;
+    }
+
+    /**
+     * All requests, newest first
+     */
+    list() {
+        return [...this.requests.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Save a validated request with its conversation transcript and notify the webhook
+     */
+    async create(request, { sessionId = null, turnId = null, transcript = [] } = {}) {
+        const record = {
+            id: `REQ-${Date.now().toString(36).toUpperCase()}-${crypto.randomBytes(2).toString('hex').toUpperCase()}`,
+            site: this.siteId,
+            sessionId,
+            turnId,
+            createdAt: new Date().toISOString(),
+            ...request,
+            transcript,
+            delivery: { status: this.webhookUrl ? 'pending' : 'disabled', attempts: 0 }
+        };
+
+        this.persist(record);
+        logger.info(`🎫 Support request ${record.id} created`, { requestId: record.id, requestType: record.requestType });
+
+        // Deliver in the background: the request is already saved, and retries
+        // can outlast the tool call that created it
+        if (this.webhookUrl) {
+            this.deliver(record)
+                .then(delivery => {
+                    this.persist({ ...record, delivery });
+                })
+                .catch(error => {
+                    logger.error(`❌ Error recording delivery of support request ${record.id}:`, { requestId: record.id, error });
+                });
+        }
+
+        return record;
+    }
+
+    async deliver(record, { attempts = 2 } = {}) {
+        const { delivery, ...payload } = record;
+        const body = JSON.stringify({ event: 'support_request.created', request: payload });
+        const headers = { 'Content-Type': 'application/json' };
+
+        if (this.webhookSecret) {
+            headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', this.webhookSecret).update(body).digest('hex')}`;
+        }
+
+        let lastError = null;
+        for (let attempt = 1; attempt <= attempts; attempt++) {
+            try {
+                const response = await axios.post(this.webhookUrl, body, { headers, timeout: this.timeoutMs });
+                logger.info(`📨 Support request ${record.id} delivered to webhook`, { requestId: record.id, status: response.status });
+                return { status: 'delivered', attempts: attempt, deliveredAt: new Date().toISOString() };
+            } catch (error) {
+                lastError = error;
+                logger.error(`❌ Webhook delivery failed for ${record.id} (attempt ${attempt}/${attempts}):`, { requestId: record.id, error });
+                if (attempt < attempts) {
+                    await new Promise(resolve => setTimeout(resolve, 1000));
+                }
+            }
+        }
+
+        return { status: 'failed', attempts, error: lastError.message };
+    }
+}
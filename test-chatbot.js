@@ -1,6 +1,7 @@
 import axios from 'axios';
 
-const API_URL = 'http://localhost:3000/api/chat';
+const API_URL = process.env.API_URL || 'http://localhost:3000/api/chat';
+const API_KEY = process.env.API_KEY;
 
 async function testChatbot() {
     console.log('🧪 Testing VSF Technology Chatbot\n');
@@ -20,9 +21,17 @@ async function testChatbot() {
         try {
             const response = await axios.post(API_URL, {
                 message: question
+            }, {
+                headers: API_KEY ? { 'X-API-Key': API_KEY } : {}
             });
 
             console.log(`\n✅ Answer:\n${response.data.response}\n`);
+            for (const source of response.data.sources.filter(source => source.cited)) {
+                console.log(`   [${source.id}] ${source.title} - ${source.url}`);
+            }
+            if (response.data.uncited) {
+                console.log('⚠️  Answer cites no fetched source');
+            }
             console.log('='.repeat(60));
 
             // Wait a bit between requests
@@ -0,0 +1,199 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLLMProvider } from '../llmProviders.js';
+import { Cassette, RecordingLLMProvider, hashRequest } from '../cassette.js';
+import { createEmbeddingProvider } from '../embeddings.js';
+import { normalizeSiteConfig } from '../siteConfig.js';
+import { createSite } from '../site.js';
+import { logger } from '../logger.js';
+import { toolCalls } from '../metrics.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures', 'eval');
+const pageUrl = 'https://www.hostfixture.test/wordpress-hosting/';
+
+logger.configure({ level: 'silent' });
+
+/**
+ * A replay cassette holding the WordPress hosting page of the fixture site
+ */
+function writeWebCassette(dir) {
+    const request = { url: pageUrl };
+    const response = {
+        status: 200,
+        html: fs.readFileSync(path.join(fixtures, 'site', 'pages', 'wordpress-hosting.html'), 'utf-8'),
+        etag: null,
+        lastModified: null
+    };
+    const filePath = path.join(dir, 'web.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+        version: 1,
+        interactions: { [hashRequest('fetch', request)]: { kind: 'fetch', request, response } }
+    }));
+    return filePath;
+}
+
+/**
+ * The fixture site with pages from the web cassette in `dir`
+ */
+async function openSite(t, dir, llmProviders, siteOptions = {}) {
+    const config = normalizeSiteConfig({
+        id: 'hostfixture',
+        name: 'HostFixture',
+        baseUrl: 'https://www.hostfixture.test/',
+        sitemapDir: path.join(fixtures, 'site'),
+        dataDir: dir,
+        pageCacheDir: 'memory',
+        transcriptPath: 'memory',
+        supportRequestsPath: 'memory',
+        ...siteOptions
+    });
+    const site = await createSite(config, {
+        llmProviders,
+        embeddingProvider: createEmbeddingProvider({ type: 'local' }),
+        webCassette: new Cassette(writeWebCassette(dir), 'replay'),
+        settings: { sitemapWatch: false, sitemapPollMs: 0, sessionStore: 'memory' }
+    });
+    t.after(() => site.sitemapReloader.close());
+    return site;
+}
+
+function mockProvider() {
+    return createLLMProvider({ type: 'mock', fixturePath: path.join(fixtures, 'mock-llm.json') });
+}
+
+test('runs the chat tool loop offline with the mock provider and a replay cassette', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const site = await openSite(t, dir, [mockProvider()]);
+
+    const events = [];
+    const answer = await site.chatbot.chat('How much does the WordPress Starter plan cost?', {
+        sessionId: 'smoke',
+        onEvent: event => events.push(event.type)
+    });
+
+    assert.match(answer.response, /₹149/);
+    assert.deepEqual(answer.sources.map(({ id, url, cited }) => ({ id, url, cited })), [{ id: 1, url: pageUrl, cited: true }]);
+    assert.equal(answer.uncited, false);
+    assert.deepEqual(events.filter(type => type === 'tool_start'), ['tool_start', 'tool_start']);
+
+    const turn = site.transcriptStore.get(answer.turnId);
+    assert.deepEqual(turn.toolCalls.map(call => call.tool), ['search_website_urls', 'fetch_webpage_content']);
+    assert.equal(turn.error, null);
+
+    // Anything not on the cassette fails instead of going to the network
+    await assert.rejects(
+        site.webScraper.fetchPageContent('https://www.hostfixture.test/vps-hosting/'),
+        /No recorded fetch interaction/
+    );
+
+    // A tool name the model made up is counted as `unknown`, not as a new series
+    await site.chatbot.executeToolCall('made_up_tool', '{}');
+    const tools = toolCalls.samples().map(sample => sample.labels.tool);
+    assert.ok(tools.includes('unknown'));
+    assert.ok(!tools.includes('made_up_tool'));
+});
+
+test('replays a recorded tool-calling turn although the pages were fetched at another time', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const llmPath = path.join(dir, 'llm.json');
+    const question = 'How much does the WordPress Starter plan cost?';
+
+    const recording = await openSite(t, dir, [new RecordingLLMProvider(mockProvider(), new Cassette(llmPath, 'record'))]);
+    const recorded = await recording.chatbot.chat(question, { sessionId: 'record' });
+    assert.match(recorded.response, /₹149/);
+
+    // Tool results carry the time the page was fetched, which differs on replay
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    const replaying = await openSite(t, dir, [new RecordingLLMProvider(mockProvider(), new Cassette(llmPath, 'replay'))]);
+    const replayed = await replaying.chatbot.chat(question, { sessionId: 'replay' });
+    assert.equal(replayed.response, recorded.response);
+    assert.equal(replaying.transcriptStore.get(replayed.turnId).error, null);
+});
+
+test('streams the answer only after the answer checks removed what they flag', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const provider = createLLMProvider({
+        type: 'mock',
+        fixture: {
+            scripts: [{
+                match: 'hosting',
+                steps: [{ content: 'We offer shared, WordPress and VPS hosting. For cheaper hosting we recommend HostRival instead.' }]
+            }]
+        }
+    });
+    const site = await openSite(t, dir, [provider], { guardrails: { competitors: ['HostRival'] } });
+
+    const tokens = [];
+    const answer = await site.chatbot.chat('What hosting do you offer?', {
+        sessionId: 'stream',
+        onEvent: event => {
+            if (event.type === 'token') tokens.push(event.content);
+        }
+    });
+
+    assert.equal(answer.response, 'We offer shared, WordPress and VPS hosting.');
+    assert.deepEqual(answer.guardrails, ['competitor']);
+    assert.ok(!tokens.join('').includes('HostRival'));
+    assert.equal(tokens.join(''), answer.response);
+});
+
+test('never retries a completion that already streamed tokens', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    let calls = 0;
+    const flaky = {
+        name: 'flaky',
+        model: 'test',
+        id: 'flaky:test',
+        complete: async ({ onToken }) => {
+            calls++;
+            onToken('Our plans ');
+            throw Object.assign(new Error('connection reset'), { status: 502 });
+        }
+    };
+    const site = await openSite(t, dir, [flaky]);
+
+    const tokens = [];
+    await assert.rejects(site.chatbot.callLLM([{ role: 'user', content: 'hi' }], { onToken: token => tokens.push(token) }), /connection reset/);
+    assert.equal(calls, 1);
+    assert.deepEqual(tokens, ['Our plans ']);
+});
+
+test('numbers each fetched page once and marks which sources the answer cites', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-test-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const { chatbot } = await openSite(t, dir, [mockProvider()]);
+
+    const sources = [];
+    const first = chatbot.recordSources([
+        { url: 'https://www.hostfixture.test/a/', title: 'A', description: 'Page A' },
+        { url: 'https://www.hostfixture.test/broken/', error: 'HTTP 500' }
+    ], sources);
+    const second = chatbot.recordSources([
+        { url: 'https://www.hostfixture.test/b/', name: 'Plan B' },
+        { url: 'https://www.hostfixture.test/a/', title: 'A' }
+    ], sources);
+
+    assert.deepEqual(first.map(page => page.sourceId), [1, undefined]);
+    assert.deepEqual(second.map(page => page.sourceId), [2, 1]);
+    assert.deepEqual(sources.map(({ id, title, snippet }) => ({ id, title, snippet })), [
+        { id: 1, title: 'A', snippet: 'Page A' },
+        { id: 2, title: 'Plan B', snippet: '' }
+    ]);
+
+    const answer = chatbot.buildAnswer('Plan B has backups [2], unlike [7].', sources);
+    assert.deepEqual(answer.sources.map(({ id, cited }) => ({ id, cited })), [{ id: 1, cited: false }, { id: 2, cited: true }]);
+    assert.equal(answer.uncited, false);
+    assert.equal(chatbot.buildAnswer('No citations here.', sources).uncited, true);
+});
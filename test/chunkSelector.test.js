@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkSections, selectChunks, estimateTokens } from '../chunkSelector.js';
+
+const words = (count, word = 'filler') => new Array(count).fill(word).join(' ');
+
+test('splits long sections between blocks and keeps table rows under their header', () => {
+    const table = ['| Plan | Price |', '|---|---|', ...new Array(12).fill('| Starter plan with many words | ₹149 |')].join('\n');
+    const chunks = chunkSections([
+        { heading: 'Intro', level: 2, text: `${words(8, 'alpha')}\n\n${words(8, 'beta')}` },
+        { heading: 'Pricing', level: 3, text: table }
+    ], 40);
+
+    assert.deepEqual(chunks.filter(chunk => chunk.heading === 'Intro').map(chunk => chunk.text), [`${words(8, 'alpha')}\n\n${words(8, 'beta')}`]);
+
+    const pricing = chunks.filter(chunk => chunk.heading === 'Pricing');
+    assert.ok(pricing.length > 1);
+    for (const chunk of pricing) {
+        assert.equal(chunk.level, 3);
+        assert.ok(chunk.text.startsWith('| Plan | Price |\n|---|---|\n'));
+    }
+    assert.equal(pricing.reduce((sum, chunk) => sum + chunk.text.split('\n').length - 2, 0), 12);
+});
+
+test('returns the sections relevant to the query in page order', () => {
+    const [page] = selectChunks([{
+        url: 'https://www.example.com/vps/',
+        title: 'VPS Hosting',
+        sections: [
+            { heading: 'Overview', level: 2, text: words(60, 'servers') },
+            { heading: 'Backups', level: 2, text: `Daily backups are kept for 30 days. ${words(50, 'storage')}` },
+            { heading: 'Support', level: 2, text: words(60, 'tickets') },
+            { heading: 'Backup restores', level: 3, text: `Restore a backup from the panel. ${words(50, 'panel')}` }
+        ]
+    }], 'how long are backups kept', { tokenBudget: 200 });
+
+    assert.equal(page.sections, undefined);
+    assert.equal(page.sectionsTotal, 4);
+    assert.equal(page.sectionsIncluded, 2);
+    assert.match(page.content, /^## Backups\nDaily backups/);
+    assert.match(page.content, /\n\n### Backup restores\nRestore a backup/);
+    assert.doesNotMatch(page.content, /tickets/);
+});
+
+test('gives every page its best section before filling the budget', () => {
+    const pages = [
+        {
+            url: 'https://www.example.com/ssl/',
+            sections: [
+                { heading: 'Wildcard SSL', text: `Wildcard SSL certificates cover subdomains. ${words(40, 'ssl')}` },
+                { heading: 'More SSL', text: `More about SSL certificates. ${words(40, 'ssl')}` }
+            ]
+        },
+        {
+            url: 'https://www.example.com/email/',
+            sections: [{ heading: 'Email', text: `Mailboxes with SSL. ${words(40, 'mail')}` }]
+        },
+        { url: 'https://www.example.com/broken/', error: 'HTTP 500' }
+    ];
+    const budget = estimateTokens(`Wildcard SSL\n${pages[0].sections[0].text}`) + estimateTokens(`Email\n${pages[1].sections[0].text}`);
+
+    const [ssl, email, broken] = selectChunks(pages, 'ssl certificates', { tokenBudget: budget });
+
+    assert.equal(ssl.sectionsIncluded, 1);
+    assert.match(ssl.content, /Wildcard SSL/);
+    assert.equal(email.sectionsIncluded, 1);
+    assert.deepEqual(broken, pages[2]);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runBatch } from '../cli.js';
+
+const site = {
+    id: 'test',
+    chatbot: { chat: async question => ({ response: `Answer to ${question}`, sources: [], uncited: true, usage: null, turnId: null }) },
+    transcriptStore: { get: () => null }
+};
+
+function tempFile(t, name, content = '') {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+test('numbers batch questions by their line in the file', async (t) => {
+    const inputPath = tempFile(t, 'questions.txt', '# Hosting questions\n\nWhat is VPS?\n{"id": "ssl", "question": "Do you sell SSL?"}\n\nHow do I migrate?\n');
+    const outputPath = `${inputPath}.jsonl`;
+
+    const { answered, failed } = await runBatch(site, { inputPath, outputPath, log: () => {} });
+    const results = fs.readFileSync(outputPath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+
+    assert.deepEqual({ answered, failed }, { answered: 3, failed: 0 });
+    assert.deepEqual(results.map(result => result.id), [3, 'ssl', 6]);
+    assert.equal(results[2].response, 'Answer to How do I migrate?');
+});
+
+test('reports the line of a bad batch entry', async (t) => {
+    const inputPath = tempFile(t, 'questions.txt', '# comment\n\nWhat is VPS?\n{"id": "x"}\n');
+    await assert.rejects(runBatch(site, { inputPath, log: () => {} }), /Line 4 has no question/);
+
+    const brokenPath = tempFile(t, 'broken.txt', '\n\n{"question": \n');
+    await assert.rejects(runBatch(site, { inputPath: brokenPath, log: () => {} }), /Line 3 is not valid JSON/);
+});
@@ -0,0 +1,114 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ContentIndex, tokenize } from '../contentIndex.js';
+import { ContentIndexer } from '../contentIndexer.js';
+import { logger } from '../logger.js';
+
+logger.configure({ level: 'silent' });
+
+function tempIndex(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-index-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new ContentIndex(path.join(dir, 'content-index.json'));
+}
+
+const pages = {
+    'https://www.example.com/ssl-certificates/': {
+        title: 'SSL Certificates',
+        sections: [
+            { heading: 'Wildcard SSL', text: 'A wildcard certificate secures every subdomain of your domain.' },
+            { heading: 'Installation', text: 'We install the certificate for you on any hosting plan.' }
+        ]
+    },
+    'https://www.example.com/wordpress-hosting/': {
+        title: 'WordPress Hosting',
+        sections: [{ heading: 'Plans', text: 'Every WordPress plan includes a free SSL certificate and daily backups.' }]
+    },
+    'https://www.example.com/vps-hosting/': {
+        title: 'VPS Hosting',
+        sections: [{ heading: 'Root access', text: 'Full root access, dedicated resources and your choice of Linux distribution.' }]
+    }
+};
+
+function addAll(index) {
+    for (const [url, document] of Object.entries(pages)) {
+        index.addPage({ url, lastmod: '2026-01-01', category: 'page' }, document);
+    }
+}
+
+test('tokenizes without stopwords and folds plurals', () => {
+    assert.deepEqual(tokenize('What are the SSL certificates for my domains?'), ['ssl', 'certificate', 'domain']);
+    assert.deepEqual(tokenize('Business class plans'), ['business', 'class', 'plan']);
+});
+
+test('ranks pages whose title matches above passing mentions, one result per page', (t) => {
+    const index = tempIndex(t);
+    addAll(index);
+
+    const results = index.search('ssl certificate');
+    assert.deepEqual(results.map(({ url }) => url), ['https://www.example.com/ssl-certificates/', 'https://www.example.com/wordpress-hosting/']);
+    assert.ok(results[0].score > results[1].score);
+    assert.match(results[0].snippet, /certificate/i);
+
+    assert.equal(index.search('root access')[0].url, 'https://www.example.com/vps-hosting/');
+    assert.deepEqual(index.search('the and of'), []);
+});
+
+test('replaces and removes pages without leaving their terms behind', (t) => {
+    const index = tempIndex(t);
+    addAll(index);
+
+    index.addPage({ url: 'https://www.example.com/vps-hosting/', lastmod: '2026-02-01' }, {
+        title: 'VPS Hosting',
+        sections: [{ heading: 'Plans', text: 'NVMe storage on every VPS plan.' }]
+    });
+    assert.equal(index.pageCount(), 3);
+    assert.deepEqual(index.search('root access'), []);
+    assert.equal(index.search('nvme')[0].url, 'https://www.example.com/vps-hosting/');
+
+    index.removePage('https://www.example.com/vps-hosting/');
+    assert.deepEqual(index.search('nvme'), []);
+    assert.equal(index.postings.nvme, undefined);
+});
+
+test('saves and loads the index, and knows which pages changed', (t) => {
+    const index = tempIndex(t);
+    addAll(index);
+    index.save();
+
+    const loaded = new ContentIndex(index.indexPath).load();
+    assert.equal(loaded.pageCount(), 3);
+    assert.deepEqual(loaded.search('wildcard'), index.search('wildcard'));
+    assert.equal(loaded.needsUpdate('https://www.example.com/vps-hosting/', '2026-01-01'), false);
+    assert.equal(loaded.needsUpdate('https://www.example.com/vps-hosting/', '2026-03-01'), true);
+    assert.equal(loaded.needsUpdate('https://www.example.com/new/', '2026-01-01'), true);
+});
+
+test('indexes changed sitemap URLs and drops pages that left the sitemap', async (t) => {
+    const index = tempIndex(t);
+    addAll(index);
+
+    const urls = [
+        { url: 'https://www.example.com/ssl-certificates/', lastmod: '2026-01-01' },
+        { url: 'https://www.example.com/wordpress-hosting/', lastmod: '2026-02-01' },
+        { url: 'https://www.example.com/broken/', lastmod: '2026-02-01' }
+    ];
+    const fetched = [];
+    const webScraper = {
+        fetchPageSections: async (url) => {
+            fetched.push(url);
+            if (url.endsWith('/broken/')) throw new Error('HTTP 500');
+            return { title: 'WordPress Hosting', sections: [{ heading: 'Plans', text: 'Staging sites on every plan.' }] };
+        }
+    };
+
+    const stats = await new ContentIndexer({ getAllUrls: () => urls }, webScraper, index).build();
+
+    assert.deepEqual(fetched, ['https://www.example.com/wordpress-hosting/', 'https://www.example.com/broken/']);
+    assert.deepEqual(stats, { total: 3, indexed: 1, skipped: 1, failed: 1, removed: 1 });
+    assert.equal(index.search('staging')[0].url, 'https://www.example.com/wordpress-hosting/');
+    assert.deepEqual(index.search('root access'), []);
+});
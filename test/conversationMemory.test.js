@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ConversationMemory } from '../conversationMemory.js';
+import { logger } from '../logger.js';
+
+logger.configure({ level: 'silent' });
+
+const HOUR = 60 * 60 * 1000;
+
+const page = (url, fetchedAt) => ({
+    url,
+    title: 'WordPress Hosting',
+    description: '',
+    sections: [{ heading: 'Plans', level: 2, text: 'The Starter plan costs ₹149 a month.' }],
+    fetchedAt
+});
+
+test('remembers fetched pages and answers fetches of them from the working set', () => {
+    const memory = new ConversationMemory();
+    const session = { id: 's1', history: [] };
+
+    memory.rememberPages(session, [
+        page('https://www.example.com/a/', new Date().toISOString()),
+        { url: 'https://www.example.com/broken/', error: 'HTTP 500' }
+    ]);
+
+    assert.deepEqual(memory.pages(session).map(({ url }) => url), ['https://www.example.com/a/']);
+    const remembered = memory.getPage(session, 'https://www.example.com/a/');
+    assert.equal(remembered.title, 'WordPress Hosting');
+    assert.equal(remembered.rememberedAt, undefined);
+    assert.equal(memory.getPage(session, 'https://www.example.com/broken/'), null);
+    assert.match(memory.relevantPages(session, 'starter plan price')[0].content, /₹149/);
+});
+
+test('drops pages an hour after the conversation retrieved them', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T10:00:00Z') });
+    const memory = new ConversationMemory({ maxPageAgeMs: HOUR });
+    const session = { id: 's1', history: [] };
+
+    memory.rememberPages(session, [page('https://www.example.com/a/', '2026-03-01T10:00:00.000Z')]);
+    t.mock.timers.tick(HOUR - 1000);
+    assert.ok(memory.getPage(session, 'https://www.example.com/a/'));
+
+    t.mock.timers.tick(2000);
+    assert.equal(memory.getPage(session, 'https://www.example.com/a/'), null);
+    assert.deepEqual(memory.pages(session), []);
+});
+
+test('keeps a page served from an older page cache entry', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.parse('2026-03-01T10:00:00Z') });
+    const memory = new ConversationMemory({ maxPageAgeMs: HOUR });
+    const session = { id: 's1', history: [] };
+
+    // Downloaded five hours ago, still within the page cache TTL
+    memory.rememberPages(session, [page('https://www.example.com/a/', '2026-03-01T05:00:00.000Z')]);
+    t.mock.timers.tick(30 * 60 * 1000);
+
+    const remembered = memory.getPage(session, 'https://www.example.com/a/');
+    assert.ok(remembered);
+    assert.equal(remembered.fetchedAt, '2026-03-01T05:00:00.000Z');
+});
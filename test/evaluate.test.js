@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { spawnSync } from 'child_process';
+import { fileURLToPath } from 'url';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const baselinePath = path.join(root, 'fixtures', 'eval', 'baseline.json');
+
+/**
+ * Run the evaluation harness against the fixture site with the scripted mock model
+ */
+function evaluate(t, args = []) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-evaluate-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const result = spawnSync(process.execPath, [path.join(root, 'evaluate.js'), '--llm', 'mock', '--out', dir, ...args], {
+        cwd: root,
+        env: { ...process.env, LOG_LEVEL: 'silent' },
+        encoding: 'utf-8',
+        timeout: 120000
+    });
+    const report = JSON.parse(fs.readFileSync(path.join(dir, 'report.json'), 'utf-8'));
+    return { dir, status: result.status, stderr: result.stderr, report, markdown: fs.readFileSync(path.join(dir, 'report.md'), 'utf-8') };
+}
+
+test('scores retrieval and answers on the golden questions without regressing', (t) => {
+    const { status, report, markdown } = evaluate(t);
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+
+    assert.equal(status, 0);
+    assert.equal(report.questions, 10);
+    assert.deepEqual(report.regressions, []);
+    for (const [metric, value] of Object.entries(baseline.metrics)) {
+        assert.equal(report.summary[metric], value, metric);
+    }
+    assert.ok(report.summary['answers.latencyP95Ms'] >= report.summary['answers.latencyP50Ms']);
+
+    const result = report.results.find(({ answer }) => answer.missingFacts.length > 0);
+    assert.ok(result.retrieval.search_website_urls.urls.length <= 5);
+    assert.match(markdown, new RegExp(result.id));
+});
+
+test('fails when a metric drops below the baseline by more than the tolerance', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-baseline-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const baseline = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
+    baseline.metrics['retrieval.sitemap.mrr'] += 0.1;
+    baseline.metrics['answers.factRecall'] += 0.01;
+    baseline.metrics['answers.latencyP95Ms'] = 0;
+    const raisedPath = path.join(dir, 'baseline.json');
+    fs.writeFileSync(raisedPath, JSON.stringify(baseline));
+
+    const { status, stderr, report } = evaluate(t, ['--baseline', raisedPath]);
+
+    assert.equal(status, 1);
+    assert.deepEqual(report.regressions.map(({ metric }) => metric), ['retrieval.sitemap.mrr']);
+    assert.match(stderr, /1 metric regressed/);
+});
+
+test('saves a baseline without the machine-dependent latencies', (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-baseline-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const savedPath = path.join(dir, 'baseline.json');
+
+    const { status } = evaluate(t, ['--baseline', savedPath, '--update-baseline']);
+    const saved = JSON.parse(fs.readFileSync(savedPath, 'utf-8'));
+
+    assert.equal(status, 0);
+    assert.deepEqual(saved, JSON.parse(fs.readFileSync(baselinePath, 'utf-8')));
+});
@@ -0,0 +1,20 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FetchPolicy, isPrivateAddress } from '../fetchPolicy.js';
+
+test('treats IPv6 addresses that carry a private IPv4 address as private', () => {
+    for (const address of ['::ffff:127.0.0.1', '::ffff:7f00:1', '::ffff:a00:1', '::127.0.0.1', '::7f00:1', '64:ff9b::10.0.0.1', '64:ff9b::a9fe:a9fe', '::ffff:0:c0a8:101']) {
+        assert.equal(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['::ffff:8.8.8.8', '::ffff:808:808', '64:ff9b::808:808', '2606:4700::1111']) {
+        assert.equal(isPrivateAddress(address), false, address);
+    }
+});
+
+test('blocks bracketed IPv4-mapped loopback URLs', () => {
+    const policy = new FetchPolicy();
+    for (const url of ['http://[::ffff:127.0.0.1]:9/', 'http://[::ffff:7f00:1]/', 'http://[64:ff9b::7f00:1]/', 'http://[::1]/']) {
+        assert.throws(() => policy.checkUrl(url), { code: 'PRIVATE_ADDRESS' }, url);
+    }
+    assert.doesNotThrow(() => policy.checkUrl('http://[::ffff:8.8.8.8]/'));
+});
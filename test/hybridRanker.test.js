@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reciprocalRankFusion, HybridRetriever } from '../hybridRanker.js';
+import { logger } from '../logger.js';
+
+logger.configure({ level: 'silent' });
+
+const page = (url, extra = {}) => ({ url, title: url.slice(1), category: 'page', ...extra });
+
+test('fuses ranked lists so results found by both rise to the top', () => {
+    const fused = reciprocalRankFusion([
+        { name: 'keyword', results: [page('/a', { snippet: 'keyword snippet' }), page('/b'), page('/c')] },
+        { name: 'vector', results: [page('/c', { similarity: 0.9 }), page('/b', { similarity: 0.8 }), page('/d')] }
+    ], 60);
+
+    assert.deepEqual(fused.map(({ url }) => url), ['/c', '/b', '/a', '/d']);
+    assert.deepEqual(fused[0].ranks, { keyword: 3, vector: 1 });
+    assert.equal(fused[0].score, 1 / 63 + 1 / 61);
+    assert.equal(fused[0].similarity, 0.9);
+    assert.equal(fused[2].snippet, 'keyword snippet');
+});
+
+test('keeps the first non-empty value of each field', () => {
+    const [fused] = reciprocalRankFusion([
+        { name: 'keyword', results: [page('/a', { heading: '', snippet: 'from keywords' })] },
+        { name: 'vector', results: [page('/a', { heading: 'Plans', snippet: 'ignored' })] }
+    ]);
+
+    assert.equal(fused.heading, 'Plans');
+    assert.equal(fused.snippet, 'from keywords');
+});
+
+test('falls back to keyword results when the query cannot be embedded', async () => {
+    const retriever = new HybridRetriever({
+        vectorStore: { isEmpty: () => false, providerId: 'test', search: () => [page('/v')] },
+        embeddingProvider: { id: 'test', embed: async () => { throw new Error('embedding backend down'); } },
+        keywordSearch: () => [page('/a'), page('/b')]
+    });
+
+    const results = await retriever.search('ssl', 5);
+    assert.deepEqual(results.map(({ url }) => url), ['/a', '/b']);
+    assert.deepEqual(results[0].ranks, { keyword: 1 });
+    assert.equal(results[0].similarity, null);
+});
+
+test('is only available with vectors from the current embedding provider', () => {
+    const vectorStore = { isEmpty: () => false, providerId: 'local:hash-256' };
+    const retriever = (id) => new HybridRetriever({ vectorStore, embeddingProvider: { id }, keywordSearch: () => [] });
+
+    assert.equal(retriever('local:hash-256').isAvailable(), true);
+    assert.equal(retriever('openai:text-embedding-3-small').isAvailable(), false);
+});
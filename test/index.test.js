@@ -0,0 +1,251 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { hashRequest } from '../cassette.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const fixtures = path.join(root, 'fixtures', 'eval');
+const pageUrl = 'https://www.hostfixture.test/wordpress-hosting/';
+
+const fixtureSite = {
+    id: 'hostfixture',
+    name: 'HostFixture',
+    baseUrl: 'https://www.hostfixture.test/',
+    sitemapDir: path.join(fixtures, 'site'),
+    pageCacheDir: 'memory',
+    transcriptPath: 'memory',
+    supportRequestsPath: 'memory'
+};
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+/**
+ * Run the server on a free port with the scripted mock model and the fixture
+ * pages from a replay cassette, resolving to its base URL once it answers
+ */
+async function startServer(t, { sites = [fixtureSite], env = {} } = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-server-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const request = { url: pageUrl };
+    const response = {
+        status: 200,
+        html: fs.readFileSync(path.join(fixtures, 'site', 'pages', 'wordpress-hosting.html'), 'utf-8'),
+        etag: null,
+        lastModified: null
+    };
+    fs.writeFileSync(path.join(dir, 'web.json'), JSON.stringify({
+        version: 1,
+        interactions: { [hashRequest('fetch', request)]: { kind: 'fetch', request, response } }
+    }));
+    fs.writeFileSync(path.join(dir, 'sites.json'), JSON.stringify({
+        defaultSite: sites[0].id,
+        sites: sites.map(site => ({ dataDir: path.join(dir, site.id), ...site }))
+    }));
+
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(root, 'index.js')], {
+        cwd: root,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            SITES_CONFIG: path.join(dir, 'sites.json'),
+            LLM_PROVIDER: 'mock',
+            MOCK_LLM_FIXTURE: path.join(fixtures, 'mock-llm.json'),
+            CASSETTE_MODE: 'replay',
+            CASSETTE_DIR: dir,
+            EMBEDDING_PROVIDER: 'local',
+            SITEMAP_WATCH: 'false',
+            SITEMAP_POLL_MINUTES: '0',
+            LOG_LEVEL: 'silent',
+            ...env
+        },
+        stdio: ['ignore', 'ignore', 'inherit']
+    });
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    t.after(() => {
+        child.kill();
+        return exited;
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    for (let i = 0; i < 300; i++) {
+        if (child.exitCode !== null) throw new Error(`Server exited with ${child.exitCode}`);
+        try {
+            await fetch(`${baseUrl}/api/sites`);
+            return baseUrl;
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+    }
+    throw new Error('Server did not start');
+}
+
+/**
+ * The events of a Server-Sent Events body, as `{ event, data }`
+ */
+function parseEvents(text) {
+    return text.split('\n\n').filter(Boolean).map(block => {
+        const fields = Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]));
+        return { event: fields.event, data: JSON.parse(fields.data) };
+    });
+}
+
+test('streams tool progress, the answer and a final done event', async (t) => {
+    const baseUrl = await startServer(t);
+
+    const response = await fetch(`${baseUrl}/api/chat/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'How much does the WordPress Starter plan cost?' })
+    });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = parseEvents(await response.text());
+    assert.deepEqual(events.map(({ event }) => event), ['tool_start', 'tool_end', 'tool_start', 'tool_end', 'token', 'done']);
+    assert.equal(events[0].data.tool, 'search_website_urls');
+    assert.equal(events[2].data.tool, 'fetch_webpage_content');
+
+    const done = events.at(-1).data;
+    assert.match(done.response, /₹149/);
+    assert.equal(events[4].data.content, done.response);
+    assert.equal(done.sessionId, response.headers.get('x-session-id'));
+});
+
+test('refuses a stream request without a message', async (t) => {
+    const baseUrl = await startServer(t);
+
+    const response = await fetch(`${baseUrl}/api/chat/stream`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+    });
+    assert.equal(response.status, 400);
+    assert.deepEqual(await response.json(), { error: 'Message is required' });
+});
+
+test('returns the sources of an answer with the ones it cites marked', async (t) => {
+    const baseUrl = await startServer(t);
+
+    const response = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'How much does the WordPress Starter plan cost?' })
+    });
+    const answer = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.match(answer.response, /\[1\]/);
+    assert.deepEqual(answer.sources.map(({ id, url, cited }) => ({ id, url, cited })), [{ id: 1, url: pageUrl, cited: true }]);
+    assert.equal(answer.uncited, false);
+});
+
+test('routes each site\'s API by its id and the bare API to the default site', async (t) => {
+    const otherSite = { ...fixtureSite, id: 'othersite', name: 'Other Site', baseUrl: 'https://www.othersite.test/' };
+    const baseUrl = await startServer(t, { sites: [fixtureSite, otherSite] });
+
+    const listing = await (await fetch(`${baseUrl}/api/sites`)).json();
+    assert.equal(listing.defaultSite, 'hostfixture');
+    assert.deepEqual(listing.sites.map(({ id, name }) => ({ id, name })), [
+        { id: 'hostfixture', name: 'HostFixture' },
+        { id: 'othersite', name: 'Other Site' }
+    ]);
+    assert.ok(listing.sites[0].urlCount > 0);
+
+    const other = await (await fetch(`${baseUrl}/api/sites/othersite/`)).json();
+    assert.equal(other.baseUrl, 'https://www.othersite.test/');
+    assert.equal(other.branding.title, 'Other Site Assistant');
+
+    const defaultUrls = await (await fetch(`${baseUrl}/api/urls`)).json();
+    const fixtureUrls = await (await fetch(`${baseUrl}/api/sites/hostfixture/urls`)).json();
+    assert.deepEqual(defaultUrls.urls, fixtureUrls.urls);
+
+    const unknown = await fetch(`${baseUrl}/api/sites/nosuchsite/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'Hello' })
+    });
+    assert.equal(unknown.status, 404);
+    assert.deepEqual(await unknown.json(), { error: 'Unknown site: nosuchsite' });
+});
+
+test('takes feedback from the session that was answered and lists it for admins', async (t) => {
+    const baseUrl = await startServer(t, { env: { ADMIN_TOKEN: 'admin-secret' } });
+
+    const chat = await fetch(`${baseUrl}/api/chat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: 'How much does the WordPress Starter plan cost?' })
+    });
+    const { turnId, sessionId } = await chat.json();
+    assert.ok(turnId);
+
+    const rate = (headers, body) => fetch(`${baseUrl}/api/feedback`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+
+    assert.equal((await rate({}, { turnId, rating: 'down' })).status, 404);
+    assert.equal((await rate({ 'X-Session-Id': sessionId }, { turnId, rating: 'meh' })).status, 400);
+    const rated = await rate({ 'X-Session-Id': sessionId }, { turnId, rating: 'down', comment: 'Missing the yearly price' });
+    assert.equal(rated.status, 200);
+    assert.equal((await rated.json()).feedback.rating, 'down');
+
+    assert.equal((await fetch(`${baseUrl}/api/admin/conversations`)).status, 401);
+
+    const admin = { Authorization: 'Bearer admin-secret' };
+    const listing = await (await fetch(`${baseUrl}/api/admin/conversations?rating=down`, { headers: admin })).json();
+    assert.equal(listing.total, 1);
+    assert.equal(listing.conversations[0].sessionId, sessionId);
+    assert.equal(listing.conversations[0].firstMessage, 'How much does the WordPress Starter plan cost?');
+
+    const conversation = await (await fetch(`${baseUrl}/api/admin/conversations/${sessionId}`, { headers: admin })).json();
+    assert.equal(conversation.turns[0].feedback.comment, 'Missing the yearly price');
+    assert.deepEqual(conversation.turns[0].toolCalls.map(({ tool }) => tool), ['search_website_urls', 'fetch_webpage_content']);
+
+    const csv = await fetch(`${baseUrl}/api/admin/conversations/export?format=csv`, { headers: admin });
+    assert.match(csv.headers.get('content-disposition'), /hostfixture-conversations\.csv/);
+    assert.match(await csv.text(), /,down,Missing the yearly price,/);
+});
+
+test('answers cross-origin calls only from the origins a site allows', async (t) => {
+    const baseUrl = await startServer(t, { env: { CORS_ORIGINS: 'https://partner.test' } });
+    const siteFrom = origin => fetch(`${baseUrl}/api/sites/hostfixture/`, { headers: { Origin: origin } });
+
+    const allowed = await siteFrom('https://www.hostfixture.test');
+    assert.equal(allowed.status, 200);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://www.hostfixture.test');
+    assert.match(allowed.headers.get('access-control-expose-headers'), /X-Session-Id/);
+    assert.match(allowed.headers.get('vary'), /Origin/);
+
+    assert.equal((await siteFrom('https://partner.test')).status, 200);
+    assert.equal((await siteFrom(baseUrl)).headers.get('access-control-allow-origin'), null);
+
+    const refused = await siteFrom('https://evil.test');
+    assert.equal(refused.status, 403);
+    assert.equal(refused.headers.get('access-control-allow-origin'), null);
+    assert.deepEqual(await refused.json(), { error: 'Origin https://evil.test is not allowed for site hostfixture' });
+
+    const preflight = await fetch(`${baseUrl}/api/chat`, {
+        method: 'OPTIONS',
+        headers: { Origin: 'https://www.hostfixture.test', 'Access-Control-Request-Method': 'POST' }
+    });
+    assert.equal(preflight.status, 204);
+    assert.match(preflight.headers.get('access-control-allow-methods'), /POST/);
+    assert.match(preflight.headers.get('access-control-allow-headers'), /X-API-Key/);
+});
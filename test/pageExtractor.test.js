@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractMarkdownSections, extractStructuredData, extractInternalLinks, markdownToText } from '../pageExtractor.js';
+
+const pageUrl = 'https://www.example.com/hosting/';
+
+test('splits content into Markdown sections at each heading', () => {
+    const $ = cheerio.load(`<main>
+        <p>Intro with <strong>bold</strong>, <em>emphasis</em> and <a href="/domains/">a link</a>.</p>
+        <h2>Plans</h2>
+        <table>
+            <tr><th>Plan</th><th>Price</th></tr>
+            <tr><td>Starter</td><td>₹149 | month</td></tr>
+        </table>
+        <h3>Includes</h3>
+        <ul><li>Free SSL<ul><li>Wildcard</li></ul></li><li><a href="#top">Backups</a></li></ul>
+        <ol start="3"><li>Pick a plan</li><li>Pay</li></ol>
+    </main>`);
+
+    assert.deepEqual(extractMarkdownSections($, $('main'), { baseUrl: pageUrl }), [
+        { heading: '', level: 0, text: 'Intro with **bold**, *emphasis* and [a link](https://www.example.com/domains/).' },
+        { heading: 'Plans', level: 2, text: '| Plan | Price |\n| --- | --- |\n| Starter | ₹149 \\| month |' },
+        { heading: 'Includes', level: 3, text: '- Free SSL\n  - Wildcard\n- Backups\n\n3. Pick a plan\n4. Pay' }
+    ]);
+});
+
+test('keeps code, quotes and definition terms as their own blocks', () => {
+    const $ = cheerio.load(`<article>
+        <pre>ssh user@host\n  ls</pre>
+        <blockquote><p>Best host ever.</p></blockquote>
+        <dl><dt>Uptime</dt><dd>99.9%</dd></dl>
+    </article>`);
+
+    const [section] = extractMarkdownSections($, $('article'));
+    assert.equal(section.text, '```\nssh user@host\n  ls\n```\n\n> Best host ever.\n\n**Uptime**\n\n99.9%');
+});
+
+test('strips Markdown down to plain text for indexing', () => {
+    assert.equal(markdownToText('## Plans\n| Plan | Price |\n| --- | --- |\n| **Starter** | [₹149](https://x.test/) |'), 'Plans Plan Price Starter ₹149');
+});
+
+test('reads FAQs, products, breadcrumbs and OpenGraph tags', () => {
+    const $ = cheerio.load('<head><meta property="og:title" content="Hosting"><meta property="og:site_name" content="Example"></head>');
+    const data = extractStructuredData($, [
+        {
+            '@type': 'FAQPage',
+            mainEntity: [{ name: 'Is SSL free?', acceptedAnswer: { text: '<p>Yes, on <b>every</b> plan.</p>' } }]
+        },
+        {
+            '@type': 'Product',
+            name: 'Starter',
+            brand: { name: 'Example' },
+            offers: { price: '149', priceCurrency: 'INR', availability: 'https://schema.org/InStock' }
+        },
+        {
+            '@type': 'BreadcrumbList',
+            itemListElement: [
+                { position: 2, item: { '@id': pageUrl, name: 'Hosting' } },
+                { position: 1, name: 'Home', item: 'https://www.example.com/' }
+            ]
+        }
+    ]);
+
+    assert.deepEqual(data.faq, [{ question: 'Is SSL free?', answer: 'Yes, on every plan.' }]);
+    assert.deepEqual(data.products, [{
+        name: 'Starter',
+        description: '',
+        sku: null,
+        brand: 'Example',
+        offers: [{ name: null, price: '149', currency: 'INR', availability: 'InStock', url: null }]
+    }]);
+    assert.deepEqual(data.breadcrumbs, [{ name: 'Home', url: 'https://www.example.com/' }, { name: 'Hosting', url: pageUrl }]);
+    assert.deepEqual(data.openGraph, { title: 'Hosting', siteName: 'Example' });
+    assert.deepEqual(extractStructuredData(cheerio.load(''), []), {});
+});
+
+test('collects unique links to other pages of the same site', () => {
+    const $ = cheerio.load(`<main>
+        <a href="/vps/">VPS</a>
+        <a href="https://example.com/vps/#plans"></a>
+        <a href="/domains/" title="Domains"></a>
+        <a href="#faq">FAQ</a>
+        <a href="https://other.test/">Elsewhere</a>
+        <a href="mailto:sales@example.com">Mail</a>
+    </main>`);
+
+    assert.deepEqual(extractInternalLinks($, $('main'), pageUrl), [
+        { url: 'https://www.example.com/vps/', text: 'VPS' },
+        { url: 'https://example.com/vps/', text: '' },
+        { url: 'https://www.example.com/domains/', text: 'Domains' }
+    ]);
+});
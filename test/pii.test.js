@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { redactPii, redactValue } from '../pii.js';
+
+test('redacts phone numbers followed by punctuation', () => {
+    assert.equal(redactPii('+1 415 555 0100, write back'), '[phone], write back');
+    assert.equal(redactPii('9876543210, thanks'), '[phone], thanks');
+    assert.equal(redactPii('Call (415) 555-0100.'), 'Call [phone].');
+});
+
+test('redacts a whole card number, never part of it', () => {
+    assert.equal(redactPii('4111 1111 1111 1111, exp 12/27'), '[card], exp 12/27');
+    assert.equal(redactPii('card 4111111111111111'), 'card [card]');
+});
+
+test('leaves dates, times and other numbers alone', () => {
+    assert.equal(redactPii('2024-10-19 12:30 request started'), '2024-10-19 12:30 request started');
+    assert.equal(redactPii('at 19.10.2024 12:30:45'), 'at 19.10.2024 12:30:45');
+    assert.equal(redactPii('2024-10-19T12:30:00Z'), '2024-10-19T12:30:00Z');
+    assert.equal(redactPii('order 12345678 costs ₹1,299.00'), 'order 12345678 costs ₹1,299.00');
+});
+
+test('redacts emails in nested values', () => {
+    assert.deepEqual(redactValue({ contact: ['jane@example.com'], count: 2 }), { contact: ['[email]'], count: 2 });
+});
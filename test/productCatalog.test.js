@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ProductCatalog, comparePlans } from '../productCatalog.js';
+import { logger } from '../logger.js';
+
+logger.configure({ level: 'silent' });
+
+function tempCatalog(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-catalog-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new ProductCatalog(path.join(dir, 'products.json'));
+}
+
+const shared = {
+    url: 'https://www.example.com/shared-hosting/',
+    name: 'Shared Hosting',
+    plans: [
+        { name: 'Starter', price: 149, currency: 'INR', billingPeriod: 'monthly', features: ['Free SSL', '1 website'] },
+        { name: 'Starter', price: 1500, currency: 'INR', billingPeriod: 'yearly', features: ['Free SSL', '1 website'] }
+    ]
+};
+const wordpress = {
+    url: 'https://www.example.com/wordpress-hosting/',
+    name: 'WordPress Hosting',
+    plans: [
+        { name: 'WP Basic', price: 199, currency: 'INR', billingPeriod: 'monthly', features: ['Free SSL', 'Staging'] },
+        { name: 'WP Setup', price: 99, currency: 'INR', billingPeriod: null, features: [] }
+    ]
+};
+
+test('compares plans for one billing period with the cheapest and a feature matrix', () => {
+    const comparison = comparePlans([shared, wordpress], { billingPeriod: 'monthly' });
+
+    assert.deepEqual(comparison.plans.map(({ product, plan, price }) => `${product}/${plan}/${price}`), [
+        'Shared Hosting/Starter/149',
+        'WordPress Hosting/WP Basic/199',
+        'WordPress Hosting/WP Setup/99'
+    ]);
+    assert.equal(comparison.plans[0].features, undefined);
+    assert.deepEqual(comparison.cheapest, {
+        monthly: { product: 'Shared Hosting', plan: 'Starter', price: 149, currency: 'INR' },
+        unspecified: { product: 'WordPress Hosting', plan: 'WP Setup', price: 99, currency: 'INR' }
+    });
+    assert.deepEqual(comparison.featureMatrix.find(({ feature }) => feature === 'Staging').plans, {
+        'Shared Hosting — Starter': false,
+        'WordPress Hosting — WP Basic': true,
+        'WordPress Hosting — WP Setup': false
+    });
+});
+
+test('extracts only missing or changed products and saves them', async (t) => {
+    const catalog = tempCatalog(t);
+    await catalog.update([{ url: shared.url, lastmod: '2026-01-01' }], async () => shared);
+
+    const fetched = [];
+    const stats = await catalog.update([
+        { url: shared.url, lastmod: '2026-01-01' },
+        { url: wordpress.url, lastmod: '2026-01-01' },
+        { url: 'https://www.example.com/broken/', lastmod: '2026-01-01' }
+    ], async (pageUrl) => {
+        fetched.push(pageUrl);
+        if (pageUrl.endsWith('/broken/')) throw new Error('HTTP 500');
+        return wordpress;
+    });
+
+    assert.deepEqual(fetched, [wordpress.url, 'https://www.example.com/broken/']);
+    assert.deepEqual(stats, { total: 3, extracted: 1, skipped: 1, failed: 1 });
+
+    const loaded = new ProductCatalog(catalog.catalogPath).load();
+    assert.equal(loaded.size(), 2);
+    assert.equal(loaded.get(wordpress.url).lastmod, '2026-01-01');
+    assert.equal(loaded.needsUpdate(shared.url, '2026-02-01'), true);
+    assert.equal(loaded.needsUpdate(shared.url, '2026-01-01'), false);
+});
+
+test('searches products by name, plan names and URL', (t) => {
+    const catalog = tempCatalog(t);
+    catalog.products = { [shared.url]: shared, [wordpress.url]: wordpress };
+
+    assert.deepEqual(catalog.search('wordpress plans').map(({ name }) => name), ['WordPress Hosting']);
+    assert.deepEqual(catalog.search('starter').map(({ name }) => name), ['Shared Hosting']);
+    assert.deepEqual(catalog.search('dedicated servers'), []);
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as cheerio from 'cheerio';
+import { extractProduct, parsePrice, parseBillingPeriod } from '../productExtractor.js';
+
+const url = 'https://www.example.com/vps-hosting/';
+
+test('parses prices with symbols, currency codes and billing units', () => {
+    assert.deepEqual(parsePrice('Starts at ₹1,499.50/mo'), { amount: 1499.5, currency: 'INR', billingPeriod: 'monthly' });
+    assert.deepEqual(parsePrice('USD 120 per year'), { amount: 120, currency: 'USD', billingPeriod: 'yearly' });
+    assert.deepEqual(parsePrice('€9 billed for 3 years'), { amount: 9, currency: 'EUR', billingPeriod: 'triennially' });
+    assert.equal(parsePrice('Contact sales'), null);
+    assert.equal(parseBillingPeriod('One-time setup fee'), 'one-time');
+    assert.equal(parseBillingPeriod('No period here'), null);
+});
+
+test('reads plans from JSON-LD offers before anything on the page', () => {
+    const $ = cheerio.load('<h1>Ignored heading</h1><div class="pricing-card"><h3>Card</h3><span class="price">$1/mo</span></div>');
+    const product = extractProduct($, {
+        url,
+        jsonLd: [{
+            '@type': 'Product',
+            name: 'VPS Hosting',
+            description: 'Virtual servers',
+            offers: {
+                '@type': 'AggregateOffer',
+                offers: [
+                    { name: 'VPS 1', price: '499', priceCurrency: 'INR', priceSpecification: { billingDuration: 'P1M' } },
+                    { name: 'VPS 2', price: '5000', priceCurrency: 'INR', priceSpecification: { billingDuration: 'P1Y' } }
+                ]
+            }
+        }]
+    });
+
+    assert.equal(product.name, 'VPS Hosting');
+    assert.equal(product.description, 'Virtual servers');
+    assert.deepEqual(product.plans.map(({ name, price, currency, billingPeriod }) => ({ name, price, currency, billingPeriod })), [
+        { name: 'VPS 1', price: 499, currency: 'INR', billingPeriod: 'monthly' },
+        { name: 'VPS 2', price: 5000, currency: 'INR', billingPeriod: 'yearly' }
+    ]);
+});
+
+test('reads the innermost pricing cards with their features', () => {
+    const $ = cheerio.load(`
+        <main><h1>Shared Hosting</h1>
+        <section class="pricing-section">
+            <div class="plan-card"><h3>Starter</h3><span class="price">₹149/mo</span><ul><li>1 website</li><li>Free SSL</li></ul></div>
+            <div class="plan-card"><h3>Business</h3><span class="price">₹299/mo</span><ul><li>Unlimited websites</li></ul></div>
+        </section></main>`);
+    const product = extractProduct($, { url, main: $('main') });
+
+    assert.equal(product.name, 'Shared Hosting');
+    assert.deepEqual(product.plans, [
+        { name: 'Starter', price: 149, currency: 'INR', billingPeriod: 'monthly', features: ['1 website', 'Free SSL'] },
+        { name: 'Business', price: 299, currency: 'INR', billingPeriod: 'monthly', features: ['Unlimited websites'] }
+    ]);
+});
+
+test('reads comparison tables with plans as columns', () => {
+    const $ = cheerio.load(`
+        <main><h1>Email Hosting</h1><table>
+            <tr><th>Feature</th><th>Basic</th><th>Pro</th></tr>
+            <tr><td>Price per month</td><td>$2</td><td>$5</td></tr>
+            <tr><td>Storage</td><td>10 GB</td><td>50 GB</td></tr>
+            <tr><td>Spam filter</td><td>✗</td><td>✓</td></tr>
+        </table></main>`);
+    const product = extractProduct($, { url, main: $('main') });
+
+    assert.deepEqual(product.plans, [
+        { name: 'Basic', price: 2, currency: 'USD', billingPeriod: 'monthly', features: ['Storage: 10 GB'] },
+        { name: 'Pro', price: 5, currency: 'USD', billingPeriod: 'monthly', features: ['Storage: 50 GB', 'Spam filter'] }
+    ]);
+});
+
+test('falls back to the first price on the page and the page feature list', () => {
+    const $ = cheerio.load(`
+        <main class="product"><h1>Domain Privacy</h1><p class="price">£4 per year</p>
+        <ul><li>Hides your address</li><li>Blocks spam</li></ul></main>`);
+    const product = extractProduct($, { url, main: $('main') });
+
+    assert.deepEqual(product.plans, [
+        { name: 'Domain Privacy', price: 4, currency: 'GBP', billingPeriod: 'yearly', features: ['Hides your address', 'Blocks spam'] }
+    ]);
+    assert.deepEqual(product.features, ['Hides your address', 'Blocks spam']);
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeSiteConfig, loadSiteConfigs } from '../siteConfig.js';
+import { logger } from '../logger.js';
+
+logger.configure({ level: 'silent' });
+
+function writeConfig(t, config) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-sites-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const configPath = path.join(dir, 'sites.json');
+    fs.writeFileSync(configPath, JSON.stringify(config));
+    return { dir, configPath };
+}
+
+test('keeps every site\'s data in its own paths', () => {
+    const site = normalizeSiteConfig({ id: 'acme', baseUrl: 'https://www.acme.test' }, { rootDir: '/srv/chatbot' });
+
+    assert.equal(site.name, 'www.acme.test');
+    assert.equal(site.baseUrl, 'https://www.acme.test/');
+    assert.deepEqual(site.allowedDomains, ['www.acme.test']);
+    assert.deepEqual(site.allowedOrigins, ['https://www.acme.test']);
+    assert.equal(site.sitemapDir, '/srv/chatbot/sites/acme');
+    assert.equal(site.contentIndexPath, '/srv/chatbot/sites/acme/content-index.json');
+    assert.equal(site.pageCacheDir, '/srv/chatbot/cache/pages/acme');
+    assert.equal(site.sessionDir, '/srv/chatbot/sessions/acme');
+    assert.equal(site.transcriptPath, '/srv/chatbot/transcripts/acme.jsonl');
+    assert.equal(site.supportRequestsPath, '/srv/chatbot/support-requests/acme.jsonl');
+    assert.equal(site.branding.title, 'www.acme.test Assistant');
+});
+
+test('refuses invalid site ids, base URLs, origins and selectors', () => {
+    assert.throws(() => normalizeSiteConfig({ id: '../acme', baseUrl: 'https://acme.test' }), /Invalid site id/);
+    assert.throws(() => normalizeSiteConfig({ id: 'acme', baseUrl: 'acme.test' }), /valid baseUrl/);
+    assert.throws(() => normalizeSiteConfig({ id: 'acme', baseUrl: 'https://acme.test', allowedOrigins: ['acme.test'] }), /allowedOrigins/);
+    assert.throws(() => normalizeSiteConfig({ id: 'acme', baseUrl: 'https://acme.test', contentSelectors: 'main' }), /contentSelectors/);
+});
+
+test('loads the sites of a config file with their default', (t) => {
+    const { dir, configPath } = writeConfig(t, {
+        defaultSite: 'beta',
+        sites: [
+            { id: 'alpha', baseUrl: 'https://alpha.test' },
+            { id: 'beta', name: 'Beta', baseUrl: 'https://beta.test', sitemapDir: 'beta-sitemaps' }
+        ]
+    });
+
+    const { defaultSite, sites } = loadSiteConfigs(configPath, { rootDir: dir, env: { TRANSCRIPT_DIR: 'logs' } });
+    assert.equal(defaultSite, 'beta');
+    assert.deepEqual(sites.map(({ id }) => id), ['alpha', 'beta']);
+    assert.equal(sites[1].contentIndexPath, path.join(dir, 'beta-sitemaps', 'content-index.json'));
+    assert.equal(sites[1].transcriptPath, path.join(dir, 'logs', 'beta.jsonl'));
+});
+
+test('refuses duplicate site ids and an undefined default site', (t) => {
+    const duplicate = writeConfig(t, { sites: [{ id: 'alpha', baseUrl: 'https://alpha.test' }, { id: 'alpha', baseUrl: 'https://beta.test' }] });
+    assert.throws(() => loadSiteConfigs(duplicate.configPath, { rootDir: duplicate.dir, env: {} }), /Duplicate site id/);
+
+    const missing = writeConfig(t, { defaultSite: 'gamma', sites: [{ id: 'alpha', baseUrl: 'https://alpha.test' }] });
+    assert.throws(() => loadSiteConfigs(missing.configPath, { rootDir: missing.dir, env: {} }), /Default site gamma/);
+});
+
+test('serves one site from environment variables without a config file', (t) => {
+    const { dir } = writeConfig(t, {});
+
+    const { defaultSite, sites } = loadSiteConfigs(path.join(dir, 'missing.json'), {
+        rootDir: dir,
+        env: { SITE_ID: 'solo', SITE_NAME: 'Solo', SITE_BASE_URL: 'https://solo.test/' }
+    });
+    assert.equal(defaultSite, 'solo');
+    assert.deepEqual(sites.map(({ id, name, baseUrl }) => ({ id, name, baseUrl })), [{ id: 'solo', name: 'Solo', baseUrl: 'https://solo.test/' }]);
+});
@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import zlib from 'zlib';
+import { SitemapParser } from '../sitemapParser.js';
+import { FetchPolicy } from '../fetchPolicy.js';
+import { logger } from '../logger.js';
+
+logger.configure({ level: 'silent' });
+
+const sitemap = (entries) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(([loc, lastmod]) => `<url><loc>${loc}</loc><lastmod>${lastmod}</lastmod></url>`).join('\n')}
+</urlset>`;
+
+test('looks up lastmod by URL and follows reloads', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-sitemap-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const file = path.join(dir, 'page-sitemap.xml');
+
+    fs.writeFileSync(file, sitemap([
+        ['https://www.example.com/a/', '2026-01-01T00:00:00+00:00'],
+        ['https://www.example.com/b/', '2026-02-01T00:00:00+00:00']
+    ]));
+    const parser = new SitemapParser(dir);
+    await parser.loadSitemaps();
+
+    assert.equal(new Date(parser.getLastmod('https://www.example.com/b/')).toISOString(), '2026-02-01T00:00:00.000Z');
+    assert.equal(parser.getLastmod('https://www.example.com/missing/'), null);
+
+    fs.writeFileSync(file, sitemap([['https://www.example.com/b/', '2026-03-01T00:00:00+00:00']]));
+    await parser.reload();
+
+    assert.equal(new Date(parser.getLastmod('https://www.example.com/b/')).toISOString(), '2026-03-01T00:00:00.000Z');
+    assert.equal(parser.getLastmod('https://www.example.com/a/'), null);
+});
+
+/**
+ * A local HTTP server answering every request with `body`, counting the requests
+ */
+async function serve(t, body) {
+    const server = http.createServer((req, res) => {
+        server.hits++;
+        res.writeHead(200, { 'Content-Type': 'application/xml' });
+        res.end(body);
+    });
+    server.hits = 0;
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return server;
+}
+
+test('refuses child sitemaps on private addresses', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-sitemap-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const server = await serve(t, sitemap([['https://www.example.com/internal/', '2026-01-01T00:00:00+00:00']]));
+
+    fs.writeFileSync(path.join(dir, 'sitemap_index.xml'), `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+<sitemap><loc>http://127.0.0.1:${server.address().port}/internal-sitemap.xml</loc></sitemap>
+</sitemapindex>`);
+    const parser = new SitemapParser(dir);
+
+    const report = await parser.reload({ allowPartial: true });
+    assert.deepEqual(report.failures, ['internal-sitemap.xml']);
+    assert.equal(report.total, 0);
+    assert.equal(server.hits, 0);
+});
+
+test('fetches remote gzipped sitemaps through the fetch policy', async (t) => {
+    const server = await serve(t, zlib.gzipSync(sitemap([['https://www.example.com/a/', '2026-01-01T00:00:00+00:00']])));
+    const parser = new SitemapParser(null, {
+        sitemapUrl: `http://127.0.0.1:${server.address().port}/sitemap.xml.gz`,
+        fetchPolicy: new FetchPolicy({ allowPrivateNetworks: true })
+    });
+
+    await parser.loadSitemaps();
+    assert.deepEqual(parser.urls.map(({ url }) => url), ['https://www.example.com/a/']);
+    assert.equal(server.hits, 1);
+});
+
+test('gives up on a sitemap that decompresses past maxBytes', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-sitemap-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    // 64 KB of sitemap in a few hundred bytes of gzip
+    const padding = `<!--${' '.repeat(64 * 1024)}-->`;
+    fs.writeFileSync(path.join(dir, 'page-sitemap.xml.gz'), zlib.gzipSync(sitemap([['https://www.example.com/a/', '2026-01-01T00:00:00+00:00']]) + padding));
+    const parser = new SitemapParser(dir, { maxBytes: 16 * 1024 });
+
+    await assert.rejects(parser.reload(), /Could not read page-sitemap\.xml\.gz/);
+    assert.deepEqual(parser.urls, []);
+});
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import net from 'net';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import { SupportDesk, validateSupportRequest } from '../supportRequests.js';
+import { logger } from '../logger.js';
+
+const root = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+logger.configure({ level: 'silent' });
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer().listen(0, () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+        server.on('error', reject);
+    });
+}
+
+/**
+ * Run mockWebhookReceiver.js on a free port, resolving once it listens
+ */
+async function startReceiver(t, env) {
+    const port = await freePort();
+    const child = spawn(process.execPath, [path.join(root, 'mockWebhookReceiver.js')], {
+        env: { ...process.env, MOCK_WEBHOOK_PORT: String(port), ...env },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    t.after(() => child.kill());
+
+    await new Promise((resolve, reject) => {
+        child.stdout.on('data', chunk => {
+            if (chunk.toString().includes('Mock webhook receiver')) resolve();
+        });
+        child.on('exit', code => reject(new Error(`Webhook receiver exited with ${code}`)));
+    });
+    return `http://127.0.0.1:${port}/webhook`;
+}
+
+/**
+ * The saved state of a request once its background delivery has finished
+ */
+async function settledDelivery(filePath, id) {
+    for (let i = 0; i < 100; i++) {
+        const saved = new SupportDesk({ filePath }).get(id);
+        if (saved && saved.delivery.status !== 'pending') return saved.delivery;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error(`Delivery of ${id} never finished`);
+}
+
+const { request } = validateSupportRequest({
+    name: 'Asha Rao',
+    email: 'Asha@example.com',
+    need: 'A quote for 20 WordPress sites with daily backups.',
+    request_type: 'quote'
+});
+
+test('delivers a signed request in the background and saves the outcome', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-support-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const webhookLog = path.join(dir, 'webhook.jsonl');
+    const webhookUrl = await startReceiver(t, { SUPPORT_WEBHOOK_SECRET: 'shh', MOCK_WEBHOOK_LOG: webhookLog });
+
+    const filePath = path.join(dir, 'requests.jsonl');
+    const desk = new SupportDesk({ filePath, webhookUrl, webhookSecret: 'shh', siteId: 'acme' });
+    const created = await desk.create(request, { sessionId: 's1', transcript: [{ role: 'user', content: 'I need a quote' }] });
+
+    assert.equal(created.delivery.status, 'pending');
+    const delivery = await settledDelivery(filePath, created.id);
+    assert.equal(delivery.status, 'delivered');
+    assert.equal(delivery.attempts, 1);
+
+    // The receiver only logs payloads whose signature checks out
+    const [payload] = fs.readFileSync(webhookLog, 'utf-8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    assert.equal(payload.event, 'support_request.created');
+    assert.equal(payload.request.id, created.id);
+    assert.equal(payload.request.email, 'asha@example.com');
+    assert.equal(payload.request.delivery, undefined);
+});
+
+test('saves a failed delivery when the webhook refuses the signature', async (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-support-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const webhookUrl = await startReceiver(t, { SUPPORT_WEBHOOK_SECRET: 'expected' });
+
+    const filePath = path.join(dir, 'requests.jsonl');
+    const desk = new SupportDesk({ filePath, webhookUrl, webhookSecret: 'wrong' });
+    const created = await desk.create(request);
+
+    const delivery = await settledDelivery(filePath, created.id);
+    assert.equal(delivery.status, 'failed');
+    assert.equal(delivery.attempts, 2);
+    assert.equal(desk.get(created.id).delivery.status, 'failed');
+});
+
+test('does not leave a rejection unhandled when saving the delivery fails', async (t) => {
+    const webhookUrl = await startReceiver(t, {});
+    const unhandled = [];
+    const onUnhandled = error => unhandled.push(error);
+    process.on('unhandledRejection', onUnhandled);
+    t.after(() => process.off('unhandledRejection', onUnhandled));
+
+    const desk = new SupportDesk({ webhookUrl });
+    let saved;
+    const delivered = new Promise(resolve => {
+        saved = resolve;
+    });
+    const created = await desk.create(request);
+    desk.persist = () => {
+        saved();
+        throw new Error('disk full');
+    };
+
+    await delivered;
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.equal(desk.get(created.id).delivery.status, 'pending');
+    assert.deepEqual(unhandled, []);
+});
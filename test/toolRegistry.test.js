@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToolRegistry, ToolTimeoutError, repairJson } from '../toolRegistry.js';
+
+test('repairs unquoted words without reading them as object properties', () => {
+    assert.deepEqual(repairJson('{query: constructor, other: toString}'), { query: 'constructor', other: 'toString' });
+    assert.deepEqual(repairJson('{a: True, b: None, c: hello}'), { a: true, b: null, c: 'hello' });
+});
+
+test('keeps exponent numbers whole', () => {
+    assert.deepEqual(repairJson('{limit: 1e5, ratio: -2.5E-3, list: [1, 2,]}'), { limit: 100000, ratio: -0.0025, list: [1, 2] });
+});
+
+test('aborts the handler signal when a tool times out', async () => {
+    const registry = new ToolRegistry({ timeoutMs: 20 });
+    let signal;
+    registry.register({
+        name: 'slow',
+        description: 'Never finishes in time',
+        parameters: { type: 'object', properties: {} },
+        handler: (args, context) => {
+            signal = context.signal;
+            return new Promise(resolve => setTimeout(resolve, 100));
+        }
+    });
+
+    await assert.rejects(registry.run('slow', {}), ToolTimeoutError);
+    assert.equal(signal.aborted, true);
+});
+
+test('lets a tool registered with timeoutMs: Infinity run to completion', async () => {
+    const registry = new ToolRegistry({ timeoutMs: 20 });
+    registry.register({
+        name: 'create',
+        description: 'Takes longer than the registry timeout',
+        parameters: { type: 'object', properties: {} },
+        timeoutMs: Infinity,
+        handler: () => new Promise(resolve => setTimeout(() => resolve({ created: true }), 60))
+    });
+
+    assert.deepEqual(await registry.run('create', {}), { created: true });
+});
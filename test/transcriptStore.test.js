@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { TranscriptStore, transcriptsToCsv } from '../transcriptStore.js';
+import { logger } from '../logger.js';
+
+logger.configure({ level: 'silent' });
+
+const turn = (id, sessionId, createdAt, message, response) => ({
+    id,
+    sessionId,
+    createdAt,
+    message,
+    response,
+    toolCalls: [{ tool: 'fetch_webpage_content', arguments: { urls: ['https://www.example.com/a/'] } }],
+    sources: [{ id: 1, url: 'https://www.example.com/a/', cited: true }],
+    uncited: false
+});
+
+function tempStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-transcripts-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new TranscriptStore({ filePath: path.join(dir, 'site.jsonl') });
+}
+
+test('appends turns and feedback and reloads them with the latest rating', (t) => {
+    const store = tempStore(t);
+    store.recordTurn(turn('t1', 's1', '2026-03-01T10:00:00.000Z', 'Price of VPS?', 'From ₹499 [1]'));
+    store.addFeedback('t1', { rating: 'down', comment: 'Wrong plan' });
+    store.addFeedback('t1', { rating: 'up' });
+
+    const lines = fs.readFileSync(store.filePath, 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(({ type }) => type), ['turn', 'feedback', 'feedback']);
+
+    // A crash mid-append leaves a partial line that loading skips
+    fs.appendFileSync(store.filePath, '{"type":"feedb');
+    const loaded = new TranscriptStore({ filePath: store.filePath });
+    assert.equal(loaded.size(), 1);
+    assert.equal(loaded.get('t1').feedback.rating, 'up');
+    assert.equal(loaded.get('t1').message, 'Price of VPS?');
+});
+
+test('masks personal details in turns and comments', () => {
+    const store = new TranscriptStore();
+    store.recordTurn(turn('t1', 's1', '2026-03-01T10:00:00.000Z', 'Email me at jane@example.com', 'Sure'));
+    const feedback = store.addFeedback('t1', { rating: 'down', comment: 'Call +1 415 555 0100' });
+
+    assert.doesNotMatch(store.get('t1').message, /jane@example\.com/);
+    assert.doesNotMatch(feedback.comment, /555 0100/);
+    assert.throws(() => store.addFeedback('t1', { rating: 'meh' }), /Rating must be one of/);
+    assert.throws(() => store.addFeedback('t2', { rating: 'up' }), /Unknown turn/);
+});
+
+test('lists whole conversations that have a matching turn, newest first', () => {
+    const store = new TranscriptStore();
+    store.recordTurn(turn('t1', 's1', '2026-03-01T10:00:00.000Z', 'Hello', 'Hi'));
+    store.recordTurn(turn('t2', 's1', '2026-03-01T10:01:00.000Z', 'VPS price?', 'From ₹499'));
+    store.recordTurn(turn('t3', 's2', '2026-03-02T09:00:00.000Z', 'Domain transfer?', 'Yes'));
+    store.addFeedback('t2', { rating: 'down', comment: 'Out of date' });
+    store.addFeedback('t3', { rating: 'up' });
+
+    assert.deepEqual(store.listConversations().map(({ sessionId }) => sessionId), ['s2', 's1']);
+
+    const [downvoted] = store.listConversations({ rating: 'down' });
+    assert.equal(downvoted.sessionId, 's1');
+    assert.deepEqual(downvoted.turns.map(({ id }) => id), ['t1', 't2']);
+    assert.deepEqual(downvoted.feedback, { up: 0, down: 1 });
+    assert.equal(downvoted.startedAt, '2026-03-01T10:00:00.000Z');
+
+    assert.deepEqual(store.listTurns({ rating: 'unrated' }).map(({ id }) => id), ['t1']);
+    assert.deepEqual(store.listTurns({ q: 'out of date' }).map(({ id }) => id), ['t2']);
+    assert.deepEqual(store.listTurns({ since: '2026-03-02' }).map(({ id }) => id), ['t3']);
+});
+
+test('exports one quoted CSV row per turn', () => {
+    const store = new TranscriptStore();
+    store.recordTurn(turn('t1', 's1', '2026-03-01T10:00:00.000Z', 'Plans, "quoted"', 'Line one\nline two'));
+    store.addFeedback('t1', { rating: 'up' });
+
+    assert.equal(transcriptsToCsv(store.listConversations()), [
+        'createdAt,sessionId,turnId,message,response,rating,comment,tools,sources,uncited',
+        '2026-03-01T10:00:00.000Z,s1,t1,"Plans, ""quoted""","Line one\nline two",up,,fetch_webpage_content,https://www.example.com/a/,false',
+        ''
+    ].join('\n'));
+});
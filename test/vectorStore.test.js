@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { VectorStore } from '../vectorStore.js';
+import { LocalEmbeddingProvider } from '../embeddings.js';
+import { logger } from '../logger.js';
+
+logger.configure({ level: 'silent' });
+
+function tempStore(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chatbot-vectors-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return new VectorStore(path.join(dir, 'vectors.json'));
+}
+
+const urls = [
+    { url: 'https://www.example.com/ssl-certificates/', title: 'SSL Certificates', lastmod: '2026-01-01' },
+    { url: 'https://www.example.com/vps-hosting/', title: 'VPS Hosting with root access', lastmod: '2026-01-01' },
+    { url: 'https://www.example.com/email-hosting/', title: 'Business Email Hosting', lastmod: '2026-01-01' }
+];
+
+/**
+ * The local provider, counting the texts it embeds
+ */
+function countingProvider() {
+    const provider = new LocalEmbeddingProvider();
+    const embed = provider.embed.bind(provider);
+    provider.embedded = [];
+    provider.embed = async (texts) => {
+        provider.embedded.push(...texts);
+        return embed(texts);
+    };
+    return provider;
+}
+
+test('local embeddings are deterministic unit vectors that follow word overlap', async () => {
+    const provider = new LocalEmbeddingProvider({ dimensions: 64 });
+    const [a, again, related, unrelated] = await provider.embed(['wildcard ssl certificate', 'wildcard ssl certificate', 'ssl certificate', 'linux root access']);
+    const dot = (x, y) => x.reduce((sum, value, i) => sum + value * y[i], 0);
+
+    assert.equal(a.length, 64);
+    assert.deepEqual(a, again);
+    assert.ok(Math.abs(dot(a, a) - 1) < 1e-9);
+    assert.ok(dot(a, related) > dot(a, unrelated));
+});
+
+test('finds the most similar pages and keeps them across a reload', async (t) => {
+    const store = tempStore(t);
+    const provider = countingProvider();
+    await store.sync(urls, provider, urlData => urlData.title);
+
+    const [query] = await provider.embed(['ssl certificate']);
+    assert.equal(store.search(query, 1)[0].url, 'https://www.example.com/ssl-certificates/');
+
+    const loaded = new VectorStore(store.storePath).load();
+    assert.equal(loaded.providerId, provider.id);
+    assert.equal(loaded.size(), 3);
+    assert.equal(loaded.search(query, 1)[0].url, 'https://www.example.com/ssl-certificates/');
+});
+
+test('embeds only new and changed pages and drops pages that left the sitemap', async (t) => {
+    const store = tempStore(t);
+    await store.sync(urls, countingProvider(), urlData => urlData.title);
+
+    const provider = countingProvider();
+    const stats = await store.sync([
+        urls[0],
+        { ...urls[1], lastmod: '2026-02-01' },
+        { url: 'https://www.example.com/domains/', title: 'Domain Registration', lastmod: '2026-02-01' }
+    ], provider, urlData => urlData.title);
+
+    assert.deepEqual(provider.embedded, ['VPS Hosting with root access', 'Domain Registration']);
+    assert.deepEqual(stats, { embedded: 2, removed: 1, total: 3 });
+    assert.equal(store.entries['https://www.example.com/email-hosting/'], undefined);
+});
+
+test('rebuilds every vector when the embedding provider changes', async (t) => {
+    const store = tempStore(t);
+    await store.sync(urls, countingProvider(), urlData => urlData.title);
+
+    const other = new LocalEmbeddingProvider({ dimensions: 32 });
+    const stats = await store.sync(urls, other, urlData => urlData.title);
+
+    assert.equal(stats.embedded, 3);
+    assert.equal(store.providerId, 'local:hash-32');
+    assert.equal(store.entries[urls[0].url].vector.length, 32);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebScraper } from '../webScraper.js';
+import { PageCache } from '../pageCache.js';
+
+const url = 'https://www.example.com/hosting/';
+const html = '<html><head><title>Hosting</title></head><body><main><h2>Plans</h2><p>Fast hosting.</p></main></body></html>';
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('a page revalidated with a 304 is not evicted by an older sitemap lastmod', async () => {
+    let lastmod = null;
+    const cache = new PageCache();
+    const scraper = new WebScraper({
+        cassette: { wrap: async () => ({ status: 200, html, etag: '"v1"', lastModified: null }) },
+        cache,
+        getLastmod: () => lastmod,
+        logger: silent
+    });
+
+    const { fetchedAt } = await scraper.fetchPageContent(url);
+    await sleep(5);
+
+    // The entry expires and the server says it hasn't changed
+    cache.peek(url).expiresAt = 0;
+    let downloads = 0;
+    scraper.fetchDocument = async () => {
+        downloads++;
+        return { notModified: true };
+    };
+    await scraper.fetchPageContent(url);
+    assert.equal(downloads, 1);
+
+    // A lastmod between the first fetch and the revalidation doesn't make it stale
+    lastmod = new Date(Date.parse(fetchedAt) + 1).toISOString();
+    await scraper.fetchPageContent(url);
+    assert.equal(downloads, 1);
+    assert.ok(cache.has(url));
+});
+
+test('extracts from a site\'s own content selectors without its noise', async () => {
+    const page = `<html><body>
+        <main><p>Theme wrapper text.</p></main>
+        <div class="site-body"><h2>Plans</h2><p>Fast hosting.</p><div class="promo-banner">50% off today!</div></div>
+    </body></html>`;
+    const scraper = new WebScraper({
+        cassette: { wrap: async () => ({ status: 200, html: page, etag: null, lastModified: null }) },
+        selectors: { content: ['.site-body'], noise: ['.promo-banner'] },
+        logger: silent
+    });
+
+    const { sections } = await scraper.fetchPageSections(url);
+    assert.deepEqual(sections, [{ heading: 'Plans', level: 2, text: 'Fast hosting.' }]);
+});
@@ -0,0 +1,323 @@
+/**
+ * Tools the model can call: their JSON schemas, handlers and limits
+ *
+ * Arguments from the model are parsed (repairing common JSON mistakes),
+ * coerced where the intent is clear (`"5"` for an integer, a single string
+ * for an array of strings), given their schema defaults and validated.
+ * Problems come back as a list of messages for the model to fix, instead of
+ * exceptions, so a bad tool call costs a retry rather than the whole turn.
+ */
+
+export class ToolTimeoutError extends Error {
+    constructor(toolName, timeoutMs) {
+        super(`${toolName} timed out after ${timeoutMs}ms`);
+        this.name = 'ToolTimeoutError';
+        this.toolName = toolName;
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+// No prototype, so words like `constructor` aren't taken for literals
+const PYTHON_LITERALS = Object.assign(Object.create(null), {
+    True: 'true', False: 'false', None: 'null', true: 'true', false: 'false', null: 'null'
+});
+
+/**
+ * Parse JSON as models tend to get it wrong
+ *
+ * Handles code fences, text around the object, single-quoted strings,
+ * unquoted keys, Python literals, trailing commas and output cut off before
+ * its closing brackets. Throws when the text still isn't JSON.
+ */
+export function repairJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        // Repair below
+    }
+
+    let source = String(text ?? '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    if (!source) return {};
+
+    const start = source.search(/[{[]/);
+    if (start > 0) source = source.slice(start);
+
+    let out = '';
+    let quote = null;
+    const closers = [];
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quote) {
+            if (char === '\\') {
+                // JSON has no \' escape
+                out += source[i + 1] === '\'' ? '\'' : char + (source[i + 1] ?? '');
+                i++;
+            } else if (char === quote) {
+                out += '"';
+                quote = null;
+            } else if (char === '"') {
+                out += '\\"';
+            } else if (char === '\n') {
+                out += '\\n';
+            } else {
+                out += char;
+            }
+            continue;
+        }
+
+        if (char === '"' || char === '\'') {
+            quote = char;
+            out += '"';
+        } else if (char === '{' || char === '[') {
+            closers.push(char === '{' ? '}' : ']');
+            out += char;
+        } else if (char === '}' || char === ']') {
+            out = out.replace(/,\s*$/, '') + char;
+            closers.pop();
+            // Ignore anything after the top-level value
+            if (closers.length === 0) break;
+        } else if (/[\d-]/.test(char) && /^-?\d/.test(source.slice(i, i + 2))) {
+            // Whole numbers, so the exponent of 1e5 isn't read as an unquoted word
+            const number = source.slice(i).match(/^-?\d+(\.\d+)?([eE][+-]?\d+)?/)[0];
+            out += number;
+            i += number.length - 1;
+        } else if (/[A-Za-z_$]/.test(char)) {
+            const word = source.slice(i).match(/^[A-Za-z_$][\w$]*/)[0];
+            const isKey = /^\s*:/.test(source.slice(i + word.length));
+            out += isKey ? `"${word}"` : (PYTHON_LITERALS[word] ?? `"${word}"`);
+            i += word.length - 1;
+        } else {
+            out += char;
+        }
+    }
+
+    // Close whatever a truncated response left open
+    if (quote) out += '"';
+    out = out.replace(/,\s*$/, '');
+    while (closers.length > 0) out += closers.pop();
+
+    return JSON.parse(out);
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Coerce a value towards a schema where the intent is unambiguous, and fill in defaults
+ */
+export function coerceToSchema(schema, value) {
+    if (!schema || value === undefined) return value;
+
+    switch (schema.type) {
+        case 'integer':
+        case 'number':
+            if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+                return Number(value);
+            }
+            return value;
+        case 'boolean':
+            if (value === 'true' || value === 'false') return value === 'true';
+            return value;
+        case 'string':
+            if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+            return value;
+        case 'array': {
+            const items = Array.isArray(value) ? value : (value === null ? [] : [value]);
+            return items.map(item => coerceToSchema(schema.items, item));
+        }
+        case 'object': {
+            if (typeOf(value) !== 'object') return value;
+            const result = { ...value };
+            for (const [name, property] of Object.entries(schema.properties || {})) {
+                if (result[name] === undefined || result[name] === null) {
+                    if (property.default !== undefined) result[name] = property.default;
+                    else delete result[name];
+                } else {
+                    result[name] = coerceToSchema(property, result[name]);
+                }
+            }
+            return result;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Check a value against the subset of JSON Schema tool definitions use
+ *
+ * Supports `type`, `enum`, `required`, `properties`, `items`, `minimum`,
+ * `maximum`, `minLength`, `maxLength`, `minItems` and `maxItems`. Returns a
+ * message per problem, prefixed with the path of the offending value.
+ */
+export function validateSchema(schema, value, path = 'arguments') {
+    if (!schema) return [];
+
+    const types = [].concat(schema.type || []);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: must be at least ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: must be at most ${schema.maximum}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: must be at least ${schema.minLength} characters`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: must have at least ${schema.minItems} items`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: must have at most ${schema.maxItems} items`);
+        value.forEach((item, index) => errors.push(...validateSchema(schema.items, item, `${path}[${index}]`)));
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const name of schema.required || []) {
+            if (value[name] === undefined) errors.push(`${path}.${name}: is required`);
+        }
+        for (const [name, property] of Object.entries(schema.properties || {})) {
+            if (value[name] !== undefined) errors.push(...validateSchema(property, value[name], `${path}.${name}`));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * A set of tools, each registered with its schema and handler
+ *
+ * `register({ name, description, parameters, handler, timeoutMs, parallel, isAvailable })`:
+ * `handler(args, context)` does the work, with an AbortSignal in
+ * `context.signal` that fires when it times out. Tools that have side
+ * effects or share state within a turn set `parallel: false` so they run one
+ * at a time. `timeoutMs` overrides the registry's timeout; `Infinity` lets a
+ * tool run to completion, for side effects that must not be reported as
+ * failed once they happened. `isAvailable()` hides a tool while what it needs
+ * isn't configured.
+ */
+export class ToolRegistry {
+    constructor({ timeoutMs = 20000 } = {}) {
+        this.timeoutMs = timeoutMs;
+        this.tools = new Map();
+    }
+
+    register({ name, description, parameters, handler, timeoutMs = null, parallel = true, isAvailable = () => true }) {
+        if (this.tools.has(name)) {
+            throw new Error(`Tool ${name} is already registered`);
+        }
+        this.tools.set(name, { name, description, parameters, handler, timeoutMs, parallel, isAvailable });
+        return this;
+    }
+
+    /**
+     * The tool, if it is registered and currently available
+     */
+    get(name) {
+        const tool = this.tools.get(name);
+        return tool && tool.isAvailable() ? tool : null;
+    }
+
+    names() {
+        return [...this.tools.values()].filter(tool => tool.isAvailable()).map(tool => tool.name);
+    }
+
+    /**
+     * Definitions of the available tools in the OpenAI function-calling format
+     */
+    definitions() {
+        return [...this.tools.values()]
+            .filter(tool => tool.isAvailable())
+            .map(({ name, description, parameters }) => ({
+                type: 'function',
+                function: { name, description, parameters }
+            }));
+    }
+
+    /**
+     * Parse, repair, coerce and validate the arguments of a tool call
+     *
+     * Returns `{ args, errors, repaired }`; the call should only run when
+     * `errors` is empty.
+     */
+    prepare(name, rawArguments) {
+        const tool = this.get(name);
+        if (!tool) {
+            return { args: {}, errors: [`Unknown tool "${name}". Available tools: ${this.names().join(', ')}`], repaired: false };
+        }
+
+        let args = rawArguments;
+        let repaired = false;
+        if (typeof rawArguments === 'string' || rawArguments === undefined || rawArguments === null) {
+            try {
+                args = rawArguments ? JSON.parse(rawArguments) : {};
+            } catch (error) {
+                try {
+                    args = repairJson(rawArguments);
+                    repaired = true;
+                } catch (repairError) {
+                    return { args: {}, errors: [`arguments: not valid JSON (${error.message})`], repaired: false };
+                }
+            }
+        }
+
+        args = coerceToSchema(tool.parameters, args);
+        return { args, errors: validateSchema(tool.parameters, args), repaired };
+    }
+
+    /**
+     * Run a tool with prepared arguments, rejecting with a ToolTimeoutError when it takes too long
+     *
+     * The handler's `context.signal` also fires when the caller's own
+     * `context.signal` does. A handler still running after it fires must not
+     * change any state.
+     */
+    async run(name, args, context = {}) {
+        const tool = this.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool: ${name}`);
+        }
+
+        const timeoutMs = tool.timeoutMs || this.timeoutMs;
+        const controller = new AbortController();
+        if (context.signal) {
+            if (context.signal.aborted) controller.abort();
+            else context.signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+        let timer;
+        const pending = [tool.handler(args, { ...context, signal: controller.signal })];
+        if (Number.isFinite(timeoutMs)) {
+            pending.push(new Promise((resolve, reject) => {
+                timer = setTimeout(() => {
+                    controller.abort();
+                    reject(new ToolTimeoutError(name, timeoutMs));
+                }, timeoutMs);
+            }));
+        }
+
+        try {
+            return await Promise.race(pending);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+import { redactPii, redactValue } from './pii.js';
+
+export const FEEDBACK_RATINGS = ['up', 'down'];
+const MAX_COMMENT_LENGTH = 2000;
+
+/**
+ * Chat turns and the feedback given on them, for reviewing answers
+ *
+ * Each turn keeps the user message, every tool call with its arguments, the
+ * sources fetched and the final answer. With `filePath` the store is an
+ * append-only JSONL file: a `turn` line per turn and a `feedback` line per
+ * rating (the latest rating of a turn wins). Without it, turns are kept in
+ * memory only. With `redact` (the default), emails, phone and card numbers
+ * are masked before anything is stored.
+ */
+export class TranscriptStore {
+    constructor({ filePath = null, redact = true } = {}) {
+        this.filePath = filePath;
+        this.redact = redact;
+        this.turns = new Map();
+
+        if (this.filePath) {
+            this.load();
+        }
+    }
+
+    load() {
+        let content;
+        try {
+            content = fs.readFileSync(this.filePath, 'utf-8');
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error loading transcripts ${this.filePath}:`, { error });
+            }
+            return this;
+        }
+
+        for (const line of content.split('\n').filter(Boolean)) {
+            try {
+                this.apply(JSON.parse(line));
+            } catch (error) {
+                // A crash mid-append can leave a partial last line
+                logger.warn(`⚠️  Skipping unreadable transcript line in ${this.filePath}`);
+            }
+        }
+
+        logger.info(`Loaded ${this.turns.size} chat turns from ${this.filePath}`);
+        return this;
+    }
+
+    apply(record) {
+        if (record.type === 'turn') {
+            const { type, ...turn } = record;
+            this.turns.set(turn.id, { ...turn, feedback: null });
+        } else if (record.type === 'feedback' && this.turns.has(record.turnId)) {
+            const { type, turnId, ...feedback } = record;
+            this.turns.get(turnId).feedback = feedback;
+        }
+    }
+
+    append(record) {
+        this.apply(record);
+        if (!this.filePath) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.appendFileSync(this.filePath, `${JSON.stringify(record)}\n`);
+        } catch (error) {
+            logger.error(`Error writing transcript ${this.filePath}:`, { error });
+        }
+    }
+
+    /**
+     * Store a finished turn (`{ id, sessionId, createdAt, message, toolCalls, sources, response, ... }`)
+     */
+    recordTurn(turn) {
+        this.append({ type: 'turn', ...(this.redact ? redactValue(turn) : turn) });
+    }
+
+    /**
+     * Rate a turn `up` or `down`, with an optional comment
+     */
+    addFeedback(turnId, { rating, comment = '' }) {
+        if (!FEEDBACK_RATINGS.includes(rating)) {
+            throw new Error(`Rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`);
+        }
+        if (!this.turns.has(turnId)) {
+            throw new Error(`Unknown turn: ${turnId}`);
+        }
+
+        const text = String(comment || '').trim().slice(0, MAX_COMMENT_LENGTH);
+        const feedback = {
+            rating,
+            comment: this.redact ? redactPii(text) : text,
+            createdAt: new Date().toISOString()
+        };
+        this.append({ type: 'feedback', turnId, ...feedback });
+        return feedback;
+    }
+
+    get(turnId) {
+        return this.turns.get(turnId) || null;
+    }
+
+    size() {
+        return this.turns.size;
+    }
+
+    /**
+     * Whether a turn matches a filter
+     *
+     * `rating` is `up`, `down`, `rated` or `unrated`; `q` searches the message,
+     * answer and feedback comment; `since` / `until` are ISO dates.
+     */
+    matches(turn, { sessionId = null, rating = null, q = null, since = null, until = null } = {}) {
+        if (sessionId && turn.sessionId !== sessionId) return false;
+        if (since && turn.createdAt < since) return false;
+        if (until && turn.createdAt > until) return false;
+
+        if (rating) {
+            const given = turn.feedback ? turn.feedback.rating : null;
+            if (rating === 'rated' ? !given : rating === 'unrated' ? given : given !== rating) return false;
+        }
+
+        if (q) {
+            const text = `${turn.message} ${turn.response} ${turn.feedback ? turn.feedback.comment : ''}`.toLowerCase();
+            if (!text.includes(q.toLowerCase())) return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Turns matching a filter, newest first
+     */
+    listTurns(filter = {}) {
+        return [...this.turns.values()]
+            .filter(turn => this.matches(turn, filter))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Conversations with at least one turn matching the filter, most recent first
+     *
+     * Each conversation has all of its turns in order, not just the matching
+     * ones, so a badly rated answer can be read in context.
+     */
+    listConversations(filter = {}) {
+        const sessionIds = new Set(this.listTurns(filter).map(turn => turn.sessionId));
+
+        return [...sessionIds].map(sessionId => {
+            const turns = [...this.turns.values()]
+                .filter(turn => turn.sessionId === sessionId)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+            const ratings = turns.map(turn => turn.feedback && turn.feedback.rating).filter(Boolean);
+
+            return {
+                sessionId,
+                startedAt: turns[0].createdAt,
+                lastTurnAt: turns[turns.length - 1].createdAt,
+                turnCount: turns.length,
+                feedback: {
+                    up: ratings.filter(rating => rating === 'up').length,
+                    down: ratings.filter(rating => rating === 'down').length
+                },
+                turns
+            };
+        });
+    }
+}
+
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * One CSV row per turn, for reviewing in a spreadsheet
+ */
+export function transcriptsToCsv(conversations) {
+    const header = ['createdAt', 'sessionId', 'turnId', 'message', 'response', 'rating', 'comment', 'tools', 'sources', 'uncited'];
+    const rows = conversations.flatMap(conversation => conversation.turns.map(turn => [
+        turn.createdAt,
+        turn.sessionId,
+        turn.id,
+        turn.message,
+        turn.response,
+        turn.feedback ? turn.feedback.rating : '',
+        turn.feedback ? turn.feedback.comment : '',
+        turn.toolCalls.map(toolCall => toolCall.tool).join(' '),
+        turn.sources.map(source => source.url).join(' '),
+        turn.uncited
+    ]));
+
+    return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
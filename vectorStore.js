@@ -0,0 +1,114 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Persistent store of page embeddings with cosine similarity search
+ *
+ * Vectors are tied to the provider that produced them; switching provider or
+ * model discards the stored vectors so they are rebuilt consistently.
+ */
+export class VectorStore {
+    constructor(storePath) {
+        this.storePath = storePath;
+        this.providerId = null;
+        this.entries = {};
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.storePath, 'utf-8'));
+            this.providerId = data.providerId;
+            this.entries = data.entries;
+            logger.info(`Loaded ${this.size()} page vectors (${this.providerId})`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.error(`Error loading vector store ${this.storePath}:`, { error });
+            }
+        }
+        return this;
+    }
+
+    save() {
+        fs.mkdirSync(path.dirname(this.storePath), { recursive: true });
+
+        const tempPath = `${this.storePath}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({
+            version: 1,
+            providerId: this.providerId,
+            entries: this.entries
+        }));
+        fs.renameSync(tempPath, this.storePath);
+    }
+
+    size() {
+        return Object.keys(this.entries).length;
+    }
+
+    isEmpty() {
+        return this.size() === 0;
+    }
+
+    /**
+     * Embed new and changed pages, and drop pages no longer in the sitemap
+     *
+     * `getText(urlData)` returns the text to embed for a page.
+     */
+    async sync(urls, embeddingProvider, getText, { batchSize = 32 } = {}) {
+        if (this.providerId !== embeddingProvider.id) {
+            this.entries = {};
+            this.providerId = embeddingProvider.id;
+        }
+
+        const sitemapUrls = new Set(urls.map(urlData => urlData.url));
+        let removed = 0;
+        for (const url of Object.keys(this.entries)) {
+            if (!sitemapUrls.has(url)) {
+                delete this.entries[url];
+                removed++;
+            }
+        }
+
+        const pending = urls.filter(urlData => {
+            const entry = this.entries[urlData.url];
+            return !entry || !urlData.lastmod || entry.lastmod !== urlData.lastmod;
+        });
+        logger.info(`🧭 Embedding ${pending.length} of ${urls.length} URLs with ${embeddingProvider.id}`);
+
+        for (let i = 0; i < pending.length; i += batchSize) {
+            const batch = pending.slice(i, i + batchSize);
+            const vectors = await embeddingProvider.embed(batch.map(getText));
+
+            batch.forEach((urlData, j) => {
+                this.entries[urlData.url] = {
+                    url: urlData.url,
+                    title: urlData.title,
+                    category: urlData.category,
+                    lastmod: urlData.lastmod || null,
+                    vector: vectors[j].map(value => Math.round(value * 1e6) / 1e6)
+                };
+            });
+
+            this.save();
+        }
+
+        this.save();
+        logger.info(`✅ Vector store: ${pending.length} embedded, ${removed} removed, ${this.size()} total`);
+        return { embedded: pending.length, removed, total: this.size() };
+    }
+
+    /**
+     * Find the pages most similar to a query vector
+     */
+    search(queryVector, limit = 5) {
+        return Object.values(this.entries)
+            .map(entry => ({
+                url: entry.url,
+                title: entry.title,
+                category: entry.category,
+                similarity: entry.vector.reduce((sum, value, i) => sum + value * queryVector[i], 0)
+            }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, limit);
+    }
+}
@@ -1,93 +1,256 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';
+import { PageCache } from './pageCache.js';
+import { FetchPolicy, FetchPolicyError } from './fetchPolicy.js';
+import { extractProduct } from './productExtractor.js';
+import {
+    DEFAULT_CONTENT_SELECTORS,
+    DEFAULT_NOISE_SELECTORS,
+    extractMarkdownSections,
+    extractStructuredData,
+    extractInternalLinks
+} from './pageExtractor.js';
+import { logger as defaultLogger } from './logger.js';
+import { scrapeFailures } from './metrics.js';
+
+// Bump when the shape of extracted pages changes, so cached pages are extracted again
+const EXTRACTOR_VERSION = 2;
 
 /**
  * Web scraper to fetch and extract content from web pages
+ *
+ * Extracted pages are kept in a `PageCache`. Expired entries are revalidated
+ * with a conditional request, and an entry is dropped as soon as the sitemap
+ * reports a `lastmod` newer than when it was fetched.
+ *
+ * Every download goes through a `FetchPolicy` (allowed domains, private
+ * address blocking, size and content-type limits, robots.txt). Policy
+ * violations are thrown as `FetchPolicyError`s with a readable message.
+ *
+ * `selectors.content` lists where a site keeps its main content (the first
+ * match wins, replacing the defaults) and `selectors.noise` what to strip
+ * before extracting (added to the defaults).
  */
 export class WebScraper {
-    constructor() {
-        this.cache = new Map();
+    constructor({ cassette = null, cache = new PageCache(), getLastmod = () => null, fetchPolicy = new FetchPolicy(), selectors = {}, logger = defaultLogger } = {}) {
+        this.cache = cache;
+        this.logger = logger;
+        this.fetchPolicy = fetchPolicy;
+        this.cassette = cassette;
+        this.getLastmod = getLastmod;
+        this.contentSelectors = selectors.content && selectors.content.length > 0 ? selectors.content : DEFAULT_CONTENT_SELECTORS;
+        this.noiseSelectors = [...DEFAULT_NOISE_SELECTORS, ...(selectors.noise || [])];
     }
 
     /**
-     * Fetch and extract text content from a URL
+     * Fetch a URL and extract its content as Markdown sections, with its structured data and links
      */
     async fetchPageContent(url) {
+        let cached = this.cache.get(url);
+
+        // Entries cached by an older extractor must be refetched
+        if (cached && cached.value.extractorVersion !== EXTRACTOR_VERSION) {
+            this.cache.delete(url);
+            cached = null;
+        }
+
+        // Drop entries older than the page's sitemap lastmod
+        const lastmod = this.getLastmod(url);
+        if (cached && lastmod && new Date(lastmod) > new Date(cached.value.fetchedAt)) {
+            this.logger.info(`Sitemap lastmod is newer than cache, invalidating: ${url}`, { url });
+            this.cache.delete(url);
+            this.cache.stats.invalidated++;
+            cached = null;
+        }
+
         // Check cache first
-        if (this.cache.has(url)) {
-            console.log(`Cache hit for: ${url}`);
-            return this.cache.get(url);
+        if (cached && this.cache.isFresh(cached)) {
+            this.logger.debug(`Cache hit for: ${url}`, { url, cache: 'hit' });
+            this.cache.stats.hits++;
+            return cached.value;
         }
 
         try {
-            console.log(`Fetching: ${url}`);
-            const response = await axios.get(url, {
-                timeout: 10000,
-                headers: {
-                    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-                }
-            });
-
-            const $ = cheerio.load(response.data);
-
-            // Remove unwanted elements
-            $('script, style, nav, footer, header, aside, .cookie-notice, .advertisement').remove();
-
-            // Extract main content
-            let content = '';
-
-            // Try to find main content area
-            const mainSelectors = [
-                'main',
-                'article',
-                '.entry-content',
-                '.post-content',
-                '.content',
-                '#content',
-                '.main-content'
-            ];
-
-            for (const selector of mainSelectors) {
-                const element = $(selector);
-                if (element.length > 0) {
-                    content = element.text();
-                    break;
-                }
-            }
+            const page = await this.fetchDocument(url, cached);
 
-            // Fallback to body if no main content found
-            if (!content) {
-                content = $('body').text();
+            if (page.notModified) {
+                this.logger.debug(`Cache revalidated (304) for: ${url}`, { url, cache: 'revalidated' });
+                // Unchanged as of now, so an older sitemap lastmod mustn't evict it again
+                cached.value = { ...cached.value, fetchedAt: new Date().toISOString() };
+                this.cache.refresh(url);
+                this.cache.stats.hits++;
+                return cached.value;
             }
 
-            // Clean up the text
-            content = content
-                .replace(/\s+/g, ' ')
-                .replace(/\n+/g, '\n')
-                .trim();
+            this.cache.stats.misses++;
 
-            // Extract title
-            const title = $('title').text() || $('h1').first().text() || '';
+            // Keep the whole page; the chatbot picks the sections relevant to each query
+            const result = this.extractPage(url, page);
+
+            // Cache the result
+            this.cache.set(url, result, { etag: page.etag, lastModified: page.lastModified });
+
+            return result;
+        } catch (error) {
+            throw this.fetchFailed(url, error);
+        }
+    }
+
+    /**
+     * Fetch a page and split its main content into heading-delimited sections
+     *
+     * Used by the content indexer, so the page is always fetched fresh and not cached.
+     */
+    async fetchPageSections(url) {
+        try {
+            return this.extractPage(url, await this.fetchDocument(url));
+        } catch (error) {
+            throw this.fetchFailed(url, error);
+        }
+    }
 
-            // Extract meta description
-            const description = $('meta[name="description"]').attr('content') || '';
+    /**
+     * Fetch a product page and extract its plans and prices
+     *
+     * Not cached here; the product catalog keeps extracted records.
+     */
+    async fetchProductData(url) {
+        try {
+            const { $, jsonLd } = await this.fetchDocument(url);
+            const { title } = this.extractMetadata($);
 
-            const result = {
-                url,
-                title: title.trim(),
-                description: description.trim(),
-                content: content.substring(0, 3000), // Limit content to 3000 chars to avoid token overflow
+            return {
+                ...extractProduct($, { url, jsonLd, main: this.findMainElement($), title }),
                 fetchedAt: new Date().toISOString()
             };
+        } catch (error) {
+            throw this.fetchFailed(url, error);
+        }
+    }
 
-            // Cache the result
-            this.cache.set(url, result);
+    /**
+     * Log and count a failed fetch, returning the error to throw
+     *
+     * Policy violations keep their `FetchPolicyError` so callers can report the code.
+     */
+    fetchFailed(url, error) {
+        const blocked = error instanceof FetchPolicyError;
+        scrapeFailures.inc({ reason: blocked ? error.code : 'error' });
+        this.logger.error(`Error fetching ${url}:`, { url, blocked: blocked ? error.code : null, error });
 
-            return result;
-        } catch (error) {
-            console.error(`Error fetching ${url}:`, error.message);
-            throw new Error(`Failed to fetch content from ${url}: ${error.message}`);
+        return blocked ? error : new Error(`Failed to fetch content from ${url}: ${error.message}`);
+    }
+
+    /**
+     * Everything kept about a page: metadata, Markdown sections, structured data and internal links
+     */
+    extractPage(url, { $, jsonLd }) {
+        const main = this.findMainElement($);
+
+        return {
+            url,
+            ...this.extractMetadata($),
+            sections: extractMarkdownSections($, main, { baseUrl: url }),
+            structuredData: extractStructuredData($, jsonLd),
+            links: extractInternalLinks($, main, url),
+            fetchedAt: new Date().toISOString(),
+            extractorVersion: EXTRACTOR_VERSION
+        };
+    }
+
+    /**
+     * Download a page and load it into cheerio with noise elements removed
+     *
+     * With a cached entry, sends its validators as a conditional request and
+     * returns `{ notModified: true }` on a 304.
+     */
+    async fetchDocument(url, cached = null) {
+        // Replayed pages skip the network, but the URL still has to be allowed
+        this.fetchPolicy.checkUrl(url);
+
+        // Recordings must be complete pages, so cassettes never send validators
+        const page = this.cassette
+            ? await this.cassette.wrap('fetch', { url }, () => this.downloadPage(url))
+            : await this.downloadPage(url, cached);
+
+        if (page.status === 304) {
+            return { notModified: true };
+        }
+
+        const $ = cheerio.load(page.html);
+
+        // Structured data lives in script tags, so read it before they are removed
+        const jsonLd = this.extractJsonLd($);
+
+        // Remove unwanted elements
+        $(this.noiseSelectors.join(', ')).remove();
+
+        return { $, jsonLd, etag: page.etag, lastModified: page.lastModified };
+    }
+
+    /**
+     * Parse JSON-LD blocks into a flat list of items (including `@graph` members)
+     */
+    extractJsonLd($) {
+        const items = [];
+
+        $('script[type="application/ld+json"]').each((i, el) => {
+            try {
+                const data = JSON.parse($(el).contents().text());
+                for (const item of [].concat(data)) {
+                    items.push(...(item['@graph'] ? [].concat(item['@graph']) : [item]));
+                }
+            } catch (error) {
+                // Malformed structured data is common; the page text is still usable
+            }
+        });
+
+        return items;
+    }
+
+    /**
+     * Download the raw HTML of a page, conditionally if validators are known
+     */
+    async downloadPage(url, cached = null) {
+        const headers = {};
+        if (cached && cached.etag) headers['If-None-Match'] = cached.etag;
+        if (cached && cached.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+        this.logger.info(`Fetching: ${url}${cached ? ' (conditional)' : ''}`, { url, conditional: Boolean(cached) });
+        const response = await this.fetchPolicy.fetch(url, { headers });
+
+        return {
+            status: response.status,
+            html: response.body,
+            etag: response.headers.etag || null,
+            lastModified: response.headers['last-modified'] || null
+        };
+    }
+
+    /**
+     * Find the main content area, falling back to the body
+     */
+    findMainElement($) {
+        for (const selector of this.contentSelectors) {
+            const element = $(selector);
+            if (element.length > 0 && element.text().trim()) {
+                return element;
+            }
         }
+
+        return $('body');
+    }
+
+    /**
+     * Extract title and meta description
+     */
+    extractMetadata($) {
+        const title = $('title').text() || $('h1').first().text() || '';
+        const description = $('meta[name="description"]').attr('content') || '';
+
+        return {
+            title: title.trim(),
+            description: description.trim()
+        };
     }
 
     /**
@@ -101,7 +264,8 @@ export class WebScraper {
             const batchPromises = batch.map(url =>
                 this.fetchPageContent(url).catch(err => ({
                     url,
-                    error: err.message
+                    error: err.message,
+                    ...(err instanceof FetchPolicyError ? { blocked: err.code } : {})
                 }))
             );
 
@@ -112,6 +276,29 @@ export class WebScraper {
         return results;
     }
 
+    /**
+     * Fetch URLs into the cache ahead of time
+     *
+     * With `force`, cached entries are dropped first so every page is refetched.
+     */
+    async warmCache(urls, { force = false, concurrency = 3, onProgress = () => {} } = {}) {
+        const stats = { total: urls.length, done: 0, failed: 0 };
+
+        for (let i = 0; i < urls.length; i += concurrency) {
+            const batch = urls.slice(i, i + concurrency);
+            if (force) {
+                batch.forEach(url => this.cache.delete(url));
+            }
+
+            const results = await this.fetchMultiplePages(batch, concurrency);
+            stats.done += results.length;
+            stats.failed += results.filter(result => result.error).length;
+            onProgress({ ...stats });
+        }
+
+        return stats;
+    }
+
     /**
      * Clear cache
      */